@@ -121,78 +121,6 @@ async function initializeFirebase() {
   }
 }
 
-/**
- * Get Fal.ai API key from Firebase
- */
-async function getFalAIApiKey() {
-  try {
-    if (!firestore) {
-      await initializeFirebase();
-    }
-
-    if (!firestore) {
-      console.log('⚠️ Firebase not available, using environment fallback');
-      return process.env.FAL_AI_API_KEY;
-    }
-
-    // Get Fal.ai configuration from Firebase
-    const doc = await firestore.collection('settings').doc('fal-ai').get();
-    
-    if (doc.exists) {
-      const data = doc.data();
-      const apiKey = data.apiKey;
-      
-      if (apiKey) {
-        console.log('✅ Fal.ai API key retrieved from Firebase');
-        return apiKey;
-      }
-    }
-
-    console.log('⚠️ Fal.ai API key not found in Firebase');
-    return process.env.FAL_AI_API_KEY;
-    
-  } catch (error) {
-    console.error('❌ Error getting Fal.ai API key from Firebase:', error);
-    return process.env.FAL_AI_API_KEY;
-  }
-}
-
-/**
- * Get OpenRouter API key from Firebase
- */
-async function getOpenRouterApiKey() {
-  try {
-    if (!firestore) {
-      await initializeFirebase();
-    }
-
-    if (!firestore) {
-      console.log('⚠️ Firebase not available, using environment fallback');
-      return process.env.OPENROUTER_API_KEY;
-    }
-
-    // Get OpenRouter configuration from Firebase
-    const doc = await firestore.collection('settings').doc('openrouter').get();
-    
-    if (doc.exists) {
-      const data = doc.data();
-      const apiKey = data.apiKey;
-      
-      if (apiKey) {
-        console.log('✅ OpenRouter API key retrieved from Firebase');
-        return apiKey;
-      }
-    }
-
-    console.log('⚠️ OpenRouter API key not found in Firebase');
-    return process.env.OPENROUTER_API_KEY;
-    
-  } catch (error) {
-    console.error('❌ Error getting OpenRouter API key from Firebase:', error);
-    return process.env.OPENROUTER_API_KEY;
-  }
-}
-
 /**
  * Get active models from Firebase
  */
@@ -244,7 +172,13 @@ async function getActiveModelsFromFirebase() {
           type: modelData.type || 'text',
           provider: modelData.provider || 'unknown',
           active: true,
-          description: modelData.description || ''
+          description: modelData.description || '',
+          originalId: modelData.originalId || null,
+          // Admin-set price; overrides model-config.js when pricing generations
+          costPer1kTokens: typeof modelData.costPer1kTokens === 'number' ? modelData.costPer1kTokens : null,
+          // Admin-set retry policy: models to try, in order, when this one keeps failing
+          fallbackModels: Array.isArray(modelData.fallbackModels) ? modelData.fallbackModels : [],
+          maxRetries: typeof modelData.maxRetries === 'number' ? modelData.maxRetries : null
         });
       }
     });
@@ -274,6 +208,109 @@ async function getActiveModelsFromFirebase() {
   }
 }
 
+/**
+ * Verify a Firebase ID token sent by the client
+ *
+ * @param {string} idToken - Raw ID token from the Authorization header
+ * @returns {Promise<Object>} Decoded token (uid, email, ...)
+ * @throws {Error} If the Admin SDK is unavailable or the token is invalid/expired
+ */
+async function verifyIdToken(idToken) {
+  if (!idToken) {
+    throw new Error('Missing ID token');
+  }
+
+  if (!admin.apps.length) {
+    await initializeFirebase();
+  }
+
+  if (!admin.apps.length) {
+    throw new Error('Firebase Admin SDK not initialized - cannot verify ID token');
+  }
+
+  return admin.auth().verifyIdToken(idToken);
+}
+
+/**
+ * Check whether a verified user is an admin. Admin status is the `admin` custom
+ * claim (set with setUserAdminClaim, and the same claim the Firestore rules check),
+ * never users/{uid}, which its owner can write.
+ *
+ * @param {Object} decodedToken - Token returned by verifyIdToken
+ * @returns {boolean} True for admins
+ */
+function isUserAdmin(decodedToken) {
+  return Boolean(decodedToken && decodedToken.admin === true);
+}
+
+/**
+ * Grant or revoke a user's `admin` custom claim and mirror it onto their
+ * profile (role/isAdmin, display only). The user picks it up on their next token refresh.
+ *
+ * @param {string} uid - Firebase uid
+ * @param {boolean} isAdmin - Whether the user should be an admin
+ * @throws {Error} If the Admin SDK is unavailable
+ */
+async function setUserAdminClaim(uid, isAdmin) {
+  if (!admin.apps.length) {
+    await initializeFirebase();
+  }
+
+  if (!admin.apps.length || !firestore) {
+    throw new Error('Firebase Admin SDK not initialized - cannot set admin claim');
+  }
+
+  const userRecord = await admin.auth().getUser(uid);
+  await admin.auth().setCustomUserClaims(uid, { ...(userRecord.customClaims || {}), admin: isAdmin });
+  await firestore.collection('users').doc(uid).set({
+    role: isAdmin ? 'admin' : 'user',
+    isAdmin,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+}
+
+/**
+ * Grant the admin claim to the uids in ADMIN_UIDS (comma-separated) so the
+ * first admin can be bootstrapped without a Firestore write
+ */
+async function grantConfiguredAdmins() {
+  const uids = (process.env.ADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+  for (const uid of uids) {
+    try {
+      await setUserAdminClaim(uid, true);
+      console.log(`🛡️ Admin claim granted to ${uid} (ADMIN_UIDS)`);
+    } catch (error) {
+      console.error(`❌ Could not grant admin claim to ${uid}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Get a user's subscription plan from subscriptions/{uid}.plan. Only admins and
+ * the server can write that collection; users/{uid}.subscription is a display copy
+ * its owner can edit, so quotas never read it.
+ *
+ * @param {string} uid - Firebase uid
+ * @returns {Promise<string>} Plan name, 'free' if unknown or Firestore is unavailable
+ */
+async function getUserSubscription(uid) {
+  try {
+    if (!firestore) {
+      await initializeFirebase();
+    }
+
+    if (!firestore || !uid) {
+      return 'free';
+    }
+
+    const doc = await firestore.collection('subscriptions').doc(uid).get();
+    return (doc.exists && doc.data().plan) || 'free';
+  } catch (error) {
+    console.error('❌ Error reading subscription:', error);
+    return 'free';
+  }
+}
+
 /**
  * Save generation to Firebase
  */
@@ -370,9 +407,12 @@ async function diagnoseFirebaseModels() {
 
 module.exports = {
   initializeFirebase,
-  getFalAIApiKey,
-  getOpenRouterApiKey,
   getActiveModelsFromFirebase,
+  verifyIdToken,
+  isUserAdmin,
+  setUserAdminClaim,
+  grantConfiguredAdmins,
+  getUserSubscription,
   saveGenerationToFirebase,
   diagnoseFirebaseModels
 };
\ No newline at end of file
@@ -77,6 +77,27 @@ async function getActiveModelsLocal() {
       provider: 'fal-ai',
       active: true
     },
+    {
+      id: 'dall-e-3',
+      name: 'DALL-E 3',
+      type: 'image',
+      provider: 'openai',
+      active: true
+    },
+    {
+      id: 'tts-1',
+      name: 'TTS-1',
+      type: 'audio',
+      provider: 'openai',
+      active: true
+    },
+    {
+      id: 'tts-1-hd',
+      name: 'TTS-1 HD',
+      type: 'audio',
+      provider: 'openai',
+      active: true
+    },
     {
       id: 'sora-2',
       name: 'Sora 2',
@@ -10,19 +10,39 @@ let adminData = {
     payments: []
 };
 
-// Fal.ai configuration
+// Provider configuration - API keys live in the server's key vault;
+// the dashboard only knows whether each provider is configured
 let falAIConfig = {
-    apiKey: null,
+    configured: false,
     baseUrl: 'https://fal.run',
     enabled: false
 };
 
 let openRouterConfig = {
-    apiKey: null,
+    configured: false,
     baseUrl: 'https://openrouter.ai/api/v1',
     enabled: false
 };
 
+let anthropicConfig = {
+    configured: false,
+    baseUrl: 'https://api.anthropic.com/v1',
+    enabled: false
+};
+
+let openAIConfig = {
+    configured: false,
+    baseUrl: 'https://api.openai.com/v1',
+    enabled: false
+};
+
+// Self-hosted OpenAI-compatible server; baseUrl comes from the server
+let localModelsConfig = {
+    configured: false,
+    baseUrl: null,
+    enabled: false
+};
+
 // Firebase services (will be available after firebase-config.js loads)
 let adminDb, adminAuth;
 
@@ -42,8 +62,7 @@ document.addEventListener('DOMContentLoaded', function() {
             adminAuth = firebase.auth();
             console.log('✅ Firebase services initialized');
             checkAdminAuthentication();
-            loadFalAIConfig();
-            loadOpenRouterConfig();
+            loadProviderKeyStatus();
         } else {
             console.error('❌ Firebase not available');
             showError('Firebase not loaded. Please refresh the page.');
@@ -383,7 +402,7 @@ function filterModels() {
 // Fal.ai API functions
 async function fetchFalAIModels() {
     try {
-        if (!falAIConfig.apiKey) {
+        if (!falAIConfig.configured) {
             throw new Error('Fal.ai API key not configured');
         }
 
@@ -445,7 +464,7 @@ async function fetchFalAIModels() {
  */
 async function repopulateFalAIModels() {
     try {
-        if (!falAIConfig.apiKey) {
+        if (!falAIConfig.configured) {
             showError('Fal.ai API key not configured');
             return;
         }
@@ -516,7 +535,7 @@ async function repopulateFalAIModels() {
 
 async function fetchOpenRouterModels() {
     try {
-        if (!openRouterConfig.apiKey) {
+        if (!openRouterConfig.configured) {
             throw new Error('OpenRouter API key not configured');
         }
         
@@ -706,93 +725,115 @@ function categorizeModelType(name, description) {
     return 'text';
 }
 
-async function loadFalAIConfig() {
-    try {
-        const configDoc = await adminDb.collection('admin').doc('fal-ai-config').get();
-        if (configDoc.exists) {
-            const config = configDoc.data();
-            falAIConfig.apiKey = config.apiKey;
-            falAIConfig.enabled = config.enabled;
-            console.log('✅ Fal.ai configuration loaded');
-        } else {
-            console.log('ℹ️ No Fal.ai configuration found');
-        }
-    } catch (error) {
-        console.error('❌ Error loading Fal.ai config:', error);
+// Call an admin API endpoint with the signed-in admin's ID token
+async function adminKeyRequest(path, body = null) {
+    const tokenResult = await authService.getIdToken();
+    if (!tokenResult.success) {
+        throw new Error('Please sign in again');
     }
+
+    const response = await fetch(path, {
+        method: body ? 'POST' : 'GET',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${tokenResult.token}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
 }
 
-async function loadOpenRouterConfig() {
+async function loadProviderKeyStatus() {
     try {
-        const configDoc = await adminDb.collection('admin').doc('openrouter-config').get();
-        if (configDoc.exists) {
-            const config = configDoc.data();
-            openRouterConfig.apiKey = config.apiKey;
-            openRouterConfig.enabled = config.enabled;
-            console.log('✅ OpenRouter configuration loaded');
-        } else {
-            console.log('ℹ️ No OpenRouter configuration found');
-        }
+        const { providers } = await adminKeyRequest('/api/admin/keys');
+        falAIConfig.configured = falAIConfig.enabled = !!providers['fal-ai']?.configured;
+        openRouterConfig.configured = openRouterConfig.enabled = !!providers.openrouter?.configured;
+        anthropicConfig.configured = anthropicConfig.enabled = !!providers.anthropic?.configured;
+        openAIConfig.configured = openAIConfig.enabled = !!providers.openai?.configured;
+        localModelsConfig.baseUrl = providers.local?.baseUrl || null;
+        localModelsConfig.enabled = !!localModelsConfig.baseUrl;
+        localModelsConfig.configured = !!providers.local?.configured;
+        console.log('✅ Provider key status loaded');
     } catch (error) {
-        console.error('❌ Error loading OpenRouter config:', error);
+        console.error('❌ Error loading provider key status:', error);
     }
 }
 
-async function configureFalAI() {
-    const apiKey = prompt('Enter your Fal.ai API key:');
+// Store or rotate a provider's key in the server's key vault
+async function configureProviderKey(provider, label, config) {
+    const apiKey = prompt(config.configured
+        ? `Enter a new ${label} API key (replaces the current key):`
+        : `Enter your ${label} API key:`);
     if (!apiKey) {
         showError('API key is required');
         return;
     }
-    
+
     try {
-        // Test the API key
-        falAIConfig.apiKey = apiKey;
-        await fetchFalAIModels();
-        
-        // Save to Firestore
-        await adminDb.collection('admin').doc('fal-ai-config').set({
-            apiKey: apiKey,
-            enabled: true,
-            updatedAt: new Date()
-        });
-        
-        falAIConfig.enabled = true;
-        showSuccess('Fal.ai configuration saved successfully!');
-        
+        const status = await adminKeyRequest(`/api/admin/keys/${encodeURIComponent(provider)}`, { apiKey: apiKey.trim() });
+        config.configured = config.enabled = !!status.configured;
+        showSuccess(`${label} API key saved to the server key vault`);
     } catch (error) {
-        console.error('❌ Error configuring Fal.ai:', error);
-        showError('Invalid API key or connection failed: ' + error.message);
-        falAIConfig.apiKey = null;
+        console.error(`❌ Error configuring ${label}:`, error);
+        showError(`Could not save ${label} API key: ${error.message}`);
     }
 }
 
+async function configureFalAI() {
+    await configureProviderKey('fal-ai', 'Fal.ai', falAIConfig);
+}
+
 async function configureOpenRouter() {
-    const apiKey = prompt('Enter your OpenRouter API key:');
-    if (!apiKey) {
-        showError('API key is required');
+    await configureProviderKey('openrouter', 'OpenRouter', openRouterConfig);
+}
+
+async function configureAnthropic() {
+    await configureProviderKey('anthropic', 'Anthropic', anthropicConfig);
+}
+
+async function configureOpenAI() {
+    await configureProviderKey('openai', 'OpenAI', openAIConfig);
+}
+
+// Point the server at an OpenAI-compatible endpoint (Ollama, llama.cpp, vLLM);
+// its models are discovered from {baseUrl}/models
+async function configureLocalModels() {
+    const baseUrl = prompt(
+        'Base URL of your OpenAI-compatible server (leave empty to remove it):',
+        localModelsConfig.baseUrl || 'http://localhost:11434/v1'
+    );
+    if (baseUrl === null) {
         return;
     }
-    
+
     try {
-        // Test the API key
-        openRouterConfig.apiKey = apiKey;
-        await fetchOpenRouterModels();
-        
-        // Save to Firestore
-        await adminDb.collection('admin').doc('openrouter-config').set({
-            apiKey: apiKey,
-            enabled: true,
-            updatedAt: new Date()
-        });
-        
-        openRouterConfig.enabled = true;
-        showSuccess('OpenRouter configuration saved successfully!');
-        
+        const result = baseUrl.trim()
+            ? await adminKeyRequest('/api/admin/endpoints/local', { baseUrl: baseUrl.trim() })
+            : await adminKeyRequest('/api/admin/endpoints/local/clear', {});
+        localModelsConfig.baseUrl = result.baseUrl;
+        localModelsConfig.enabled = !!result.baseUrl;
+
+        if (!result.baseUrl) {
+            showSuccess('Local model endpoint removed');
+            return;
+        }
+        if (result.models.length === 0) {
+            showError(`Saved ${result.baseUrl}, but no models were found there. Check that the server is running.`);
+        } else {
+            showSuccess(`Found ${result.models.length} local models: ${result.models.join(', ')}`);
+        }
+
+        // Servers started with --api-key need the key too
+        if (confirm('Does this server require an API key?')) {
+            await configureProviderKey('local', 'Local models', localModelsConfig);
+        }
     } catch (error) {
-        console.error('❌ Error configuring OpenRouter:', error);
-        showError('Invalid API key or connection failed: ' + error.message);
-        openRouterConfig.apiKey = null;
+        console.error('❌ Error configuring local models:', error);
+        showError(`Could not save the local model endpoint: ${error.message}`);
     }
 }
 
@@ -1322,8 +1363,14 @@ function openModelModal(modelId = null) {
             document.getElementById('modelId').value = model.id;
             document.getElementById('modelName').value = model.name || '';
             document.getElementById('modelType').value = model.type || 'text';
-            document.getElementById('modelProvider').value = model.provider || 'openai';
+            // Providers with no server adapter aren't offered; those models route via OpenRouter
+            const providerSelect = document.getElementById('modelProvider');
+            providerSelect.value = model.provider || 'openrouter';
+            if (!providerSelect.value) providerSelect.value = 'openrouter';
             document.getElementById('modelDescription').value = model.description || '';
+            document.getElementById('modelCostPer1k').value = typeof model.costPer1kTokens === 'number' ? model.costPer1kTokens : '';
+            document.getElementById('modelFallbacks').value = (model.fallbackModels || []).join(', ');
+            document.getElementById('modelMaxRetries').value = typeof model.maxRetries === 'number' ? model.maxRetries : '';
             
             // Set the model ID in the form dataset for update operations
             form.dataset.modelId = modelId;
@@ -1718,14 +1765,22 @@ document.addEventListener('DOMContentLoaded', function() {
             const userId = document.getElementById('userForm').dataset.userId;
             
             if (userId) {
-                // Update existing user
-                const userData = {
-                    ...formData,
-                    updatedAt: new Date(),
-                    isAdmin: formData.role === 'admin'
-                };
-                
-                await adminDb.collection('users').doc(userId).update(userData);
+                // Update existing user - the role is an auth claim only the server can set
+                const { role, ...profile } = formData;
+                const previous = adminData.users.find(u => u.id === userId);
+                if (!previous || (previous.role || 'user') !== role) {
+                    await adminKeyRequest(`/api/admin/users/${encodeURIComponent(userId)}/role`, { role });
+                }
+
+                await adminDb.collection('users').doc(userId).update({
+                    ...profile,
+                    updatedAt: new Date()
+                });
+                // Quotas read the plan from subscriptions/{uid}, which users can't write
+                await adminDb.collection('subscriptions').doc(userId).set({
+                    plan: profile.subscription,
+                    updatedAt: new Date()
+                }, { merge: true });
                 showSuccess('User updated successfully');
             } else {
                 // Create new user (this would require Firebase Auth integration)
@@ -1797,7 +1852,12 @@ document.addEventListener('DOMContentLoaded', function() {
             name: document.getElementById('modelName').value,
             type: document.getElementById('modelType').value,
             provider: document.getElementById('modelProvider').value,
-            description: document.getElementById('modelDescription').value
+            description: document.getElementById('modelDescription').value,
+            // Blank keeps the built-in price from model-config.js
+            costPer1kTokens: document.getElementById('modelCostPer1k').value === '' ? null : parseFloat(document.getElementById('modelCostPer1k').value),
+            // Tried in order when this model keeps failing; blank retries use the server default
+            fallbackModels: document.getElementById('modelFallbacks').value.split(',').map(id => id.trim()).filter(Boolean),
+            maxRetries: document.getElementById('modelMaxRetries').value === '' ? null : parseInt(document.getElementById('modelMaxRetries').value, 10)
         };
         
         try {
@@ -1,18 +1,13 @@
 /**
- * Client-side AI generation without server
- * Direct API calls to AI services
+ * Client-side AI helpers
+ * Generation goes through the server, which keeps the provider API keys
  */
 
-// AI Service Configuration
-const AI_SERVICES = {
-  openrouter: {
-    baseUrl: 'https://openrouter.ai/api/v1',
-    apiKey: null // Will be loaded from Firebase
-  },
-  falai: {
-    baseUrl: 'https://fal.run',
-    apiKey: null // Will be loaded from Firebase
-  }
+// Provider status - API keys stay on the server; the browser only learns
+// whether each provider is configured
+const providerStatus = {
+  openrouter: false,
+  falai: false
 };
 
 // Available models (fallback if server is not available)
@@ -26,150 +21,90 @@ const FALLBACK_MODELS = [
 ];
 
 /**
- * Load API keys from Firebase
+ * Get an ID token for authenticated server calls
  */
-async function loadAPIKeys() {
-  try {
-    if (typeof db === 'undefined') {
-      console.warn('Firebase not available, using fallback models');
-      return false;
-    }
-
-    // Load OpenRouter API key
-    const openRouterDoc = await db.collection('settings').doc('openrouter').get();
-    if (openRouterDoc.exists) {
-      AI_SERVICES.openrouter.apiKey = openRouterDoc.data().apiKey;
-    }
+async function getAuthToken() {
+  if (typeof authService === 'undefined') {
+    throw new Error('Authentication required');
+  }
+  const tokenResult = await authService.getIdToken();
+  if (!tokenResult.success) {
+    throw new Error('Authentication required');
+  }
+  return tokenResult.token;
+}
 
-    // Load Fal.ai API key
-    const falaiDoc = await db.collection('settings').doc('fal-ai').get();
-    if (falaiDoc.exists) {
-      AI_SERVICES.falai.apiKey = falaiDoc.data().apiKey;
+/**
+ * Load which providers have an API key configured on the server
+ */
+async function loadProviderStatus() {
+  try {
+    const response = await fetch('/api/providers/status', {
+      headers: { 'Authorization': `Bearer ${await getAuthToken()}` }
+    });
+    if (!response.ok) {
+      throw new Error(`Provider status request failed: ${response.status}`);
     }
 
+    const data = await response.json();
+    providerStatus.openrouter = !!data.providers?.openrouter?.configured;
+    providerStatus.falai = !!data.providers?.['fal-ai']?.configured;
     return true;
   } catch (error) {
-    console.error('Error loading API keys:', error);
+    console.error('Error loading provider status:', error);
     return false;
   }
 }
 
 /**
- * Generate content using client-side AI calls
+ * Generate content through the server, which holds the provider API keys
  */
 async function generateContent(prompt, model, temperature = 0.7) {
   try {
     console.log(`🤖 Generating content with ${model}:`, prompt);
-    
-    // Load API keys
-    await loadAPIKeys();
-    
-    // Find the model configuration
-    const modelConfig = FALLBACK_MODELS.find(m => m.id === model);
-    if (!modelConfig) {
-      throw new Error(`Model ${model} not found`);
-    }
 
-    if (modelConfig.type === 'text') {
-      return await generateText(prompt, model, temperature);
-    } else if (modelConfig.type === 'image') {
-      return await generateImage(prompt, model);
-    } else {
-      throw new Error(`Unsupported model type: ${modelConfig.type}`);
+    const response = await fetch('/api/llm', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAuthToken()}`
+      },
+      body: JSON.stringify({ prompt, model, temperature })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || response.statusText);
     }
+    return data.text;
   } catch (error) {
     console.error('Error generating content:', error);
     throw error;
   }
 }
 
-/**
- * Generate text using OpenRouter
- */
-async function generateText(prompt, model, temperature) {
-  if (!AI_SERVICES.openrouter.apiKey) {
-    throw new Error('OpenRouter API key not configured. Please configure it in the admin panel.');
-  }
-
-  const response = await fetch(`${AI_SERVICES.openrouter.baseUrl}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${AI_SERVICES.openrouter.apiKey}`,
-      'Content-Type': 'application/json',
-      'HTTP-Referer': window.location.origin,
-      'X-Title': 'GPT Cells App'
-    },
-    body: JSON.stringify({
-      model: model,
-      messages: [
-        { role: 'user', content: prompt }
-      ],
-      temperature: temperature,
-      max_tokens: 2000
-    })
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(`OpenRouter API error: ${errorData.error?.message || response.statusText}`);
-  }
-
-  const data = await response.json();
-  return data.choices?.[0]?.message?.content || 'No response generated';
-}
-
-/**
- * Generate image using Fal.ai
- */
-async function generateImage(prompt, model) {
-  if (!AI_SERVICES.falai.apiKey) {
-    throw new Error('Fal.ai API key not configured. Please configure it in the admin panel.');
-  }
-
-  const response = await fetch(`${AI_SERVICES.falai.baseUrl}/${model}`, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Key ${AI_SERVICES.falai.apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      prompt: prompt,
-      num_inference_steps: 20,
-      guidance_scale: 7.5
-    })
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(`Fal.ai API error: ${errorData.detail || response.statusText}`);
-  }
-
-  const data = await response.json();
-  return data.images?.[0]?.url || data.data?.[0]?.url || 'No image generated';
-}
-
 /**
  * Get available models
  */
 async function getAvailableModels() {
   try {
-    // Try to load from Firebase first
-    await loadAPIKeys();
+    // Ask the server which providers are configured
+    await loadProviderStatus();
     
-    // Return models based on available API keys
+    // Return models based on configured providers
     const models = [];
     
-    if (AI_SERVICES.openrouter.apiKey) {
+    if (providerStatus.openrouter) {
       models.push(...FALLBACK_MODELS.filter(m => m.provider === 'openrouter'));
     }
     
-    if (AI_SERVICES.falai.apiKey) {
+    if (providerStatus.falai) {
       models.push(...FALLBACK_MODELS.filter(m => m.provider === 'falai'));
     }
     
-    // If no API keys are configured, return all models with a warning
+    // If no providers are configured, return all models with a warning
     if (models.length === 0) {
-      console.warn('No API keys configured, returning all models');
+      console.warn('No providers configured, returning all models');
       return FALLBACK_MODELS;
     }
     
@@ -181,13 +116,13 @@ async function getAvailableModels() {
 }
 
 /**
- * Check if API keys are configured
+ * Check which providers are configured
  */
 async function checkAPIConfiguration() {
-  await loadAPIKeys();
+  await loadProviderStatus();
   
-  const hasOpenRouter = !!AI_SERVICES.openrouter.apiKey;
-  const hasFalai = !!AI_SERVICES.falai.apiKey;
+  const hasOpenRouter = providerStatus.openrouter;
+  const hasFalai = providerStatus.falai;
   
   return {
     openrouter: hasOpenRouter,
@@ -201,5 +136,5 @@ window.clientAI = {
   generateContent,
   getAvailableModels,
   checkAPIConfiguration,
-  loadAPIKeys
+  loadProviderStatus
 };
@@ -150,26 +150,6 @@ const authService = {
     }
   },
 
-  // Make current user admin
-  async makeCurrentUserAdmin() {
-    try {
-      const user = auth.currentUser;
-      if (!user) {
-        return { success: false, error: 'No user logged in' };
-      }
-
-      await db.collection('users').doc(user.uid).update({
-        role: 'admin',
-        isAdmin: true,
-        adminGrantedAt: new Date()
-      });
-
-      return { success: true };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-
   // Check if current user is admin
   async isCurrentUserAdmin() {
     try {
@@ -180,17 +160,11 @@ const authService = {
       }
 
       console.log('🔍 Checking admin status for user:', user.email);
-      const userDoc = await db.collection('users').doc(user.uid).get();
-      
-      if (userDoc.exists) {
-        const userData = userDoc.data();
-        const isAdminUser = userData.isAdmin === true || userData.role === 'admin';
-        console.log('🔍 User data:', { isAdmin: userData.isAdmin, role: userData.role, isAdminUser });
-        return isAdminUser;
-      } else {
-        console.log('🔍 User document does not exist');
-        return false;
-      }
+      // Admin status is a custom claim set by the server, not a profile field
+      const tokenResult = await user.getIdTokenResult();
+      const isAdminUser = tokenResult.claims.admin === true;
+      console.log('🔍 Admin claim:', isAdminUser);
+      return isAdminUser;
     } catch (error) {
       console.error('❌ Error checking admin status:', error);
       return false;
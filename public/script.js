@@ -45,6 +45,7 @@ let sheets = [
     numRows: 10,
     numCols: 10,
     columnNames: {}, // Store column aliases: {0: 'Sales', 1: 'Marketing', etc.}
+    columnTemplates: {}, // Prompt templates filling whole columns: {B: {prompt, model, temperature}, ...}
     cardPositions: {} // Store card positions: {cellId: {x, y}, ...}
   }
 ];
@@ -98,8 +99,15 @@ const EXCEL_FUNCTIONS = {
     return nums.length > 0 ? nums.reduce((sum, val) => sum + parseFloat(val), 0) / nums.length : 0;
   },
   COUNT: (...args) => args.filter(val => !isNaN(parseFloat(val))).length,
-  MAX: (...args) => Math.max(...args.map(val => parseFloat(val) || -Infinity)),
-  MIN: (...args) => Math.min(...args.map(val => parseFloat(val) || Infinity)),
+  // Text is skipped and no numbers at all gives 0, as in a spreadsheet
+  MAX: (...args) => {
+    const nums = args.map(val => parseFloat(val)).filter(num => !Number.isNaN(num));
+    return nums.length > 0 ? Math.max(...nums) : 0;
+  },
+  MIN: (...args) => {
+    const nums = args.map(val => parseFloat(val)).filter(num => !Number.isNaN(num));
+    return nums.length > 0 ? Math.min(...nums) : 0;
+  },
   IF: (condition, trueVal, falseVal) => condition ? trueVal : falseVal,
   CONCATENATE: (...args) => args.join(''),
   LEN: (text) => String(text).length,
@@ -116,138 +124,688 @@ const EXCEL_FUNCTIONS = {
 // SECTION 3: CELL REFERENCE PARSING
 // ============================================================================
 
+/**
+ * Error values produced by formula evaluation (shown as the cell output)
+ * @constant {Object<string, string>} FORMULA_ERRORS
+ */
+const FORMULA_ERRORS = {
+  REF: '#REF!',
+  DIV0: '#DIV/0!',
+  NAME: '#NAME?',
+  VALUE: '#VALUE!',
+  NUM: '#NUM!',
+  ERROR: '#ERROR',
+  CYCLE: '#CYCLE!'
+};
+
+/**
+ * Check whether a value is one of the formula error values
+ * 
+ * @param {*} value - Value to check
+ * @returns {boolean} True for "#REF!", "#DIV/0!", "#CYCLE! A1 → B1 → A1", etc.
+ */
+function isFormulaError(value) {
+  if (typeof value !== 'string') return false;
+  const trimmed = value.trim();
+  // #CYCLE! is followed by the path of the loop
+  return Object.values(FORMULA_ERRORS).includes(trimmed) || trimmed.startsWith(FORMULA_ERRORS.CYCLE);
+}
+
+/**
+ * Create an error that carries a formula error value through evaluation
+ * 
+ * @param {string} code - One of FORMULA_ERRORS
+ * @returns {Error} Error with a `formulaValue` property
+ */
+function formulaError(code) {
+  const error = new Error(code);
+  error.formulaValue = code;
+  return error;
+}
+
+/**
+ * Sheet that unqualified references resolve against while a formula is
+ * evaluated (set by parseFormula; null means the current sheet)
+ * @type {Object|null}
+ */
+let formulaContextSheet = null;
+
+/**
+ * Find the sheet a reference points to
+ * 
+ * @param {string|null} sheetName - Sheet name from a "Sheet2!A1" reference, or null for the formula's own sheet
+ * @returns {Object|null} The sheet, or null if no sheet has that name
+ */
+function getFormulaSheet(sheetName) {
+  if (!sheetName) return formulaContextSheet || currentSheet;
+  return sheets.find(sheet => sheet.name === sheetName) || null;
+}
+
+/**
+ * Convert a cell's output to a formula value (number if numeric)
+ * 
+ * @param {Object|undefined} cell - Cell object
+ * @returns {string|number} The cell's value, or 0 if empty
+ */
+function getCellFormulaValue(cell) {
+  if (cell && cell.output) {
+    const value = String(cell.output).trim();
+    return isNaN(parseFloat(value)) || !isFinite(value) ? value : parseFloat(value);
+  }
+  return 0;
+}
+
 /**
  * Parse a cell reference (e.g., "A1", "B2") and return its value
  * 
  * @param {string} ref - Cell reference in format "A1", "B2", etc.
+ * @param {string|null} [sheetName=null] - Sheet to read from (defaults to the current sheet)
  * @returns {string|number} The cell's output value, or 0 if not found
  * 
  * @example
  * parseCellReference('A1') // Returns the value of cell A1
  */
-function parseCellReference(ref) {
-  const match = ref.match(/^([A-Z]+)(\d+)$/);
+function parseCellReference(ref, sheetName = null) {
+  const match = ref.replace(/\$/g, '').toUpperCase().match(/^([A-Z]+)(\d+)$/);
   if (!match) return 0;
 
-  const col = match[1];
-  const row = parseInt(match[2]) - 1; // Convert to 0-based
+  const sheet = getFormulaSheet(sheetName);
+  if (!sheet || !sheet.cells) return 0;
 
-  // Convert column letter to number (A=0, B=1, etc.)
-  let colNum = 0;
-  for (let i = 0; i < col.length; i++) {
-    colNum = colNum * 26 + (col.charCodeAt(i) - 64);
-  }
-  colNum -= 1; // Convert to 0-based
+  return getCellFormulaValue(sheet.cells[match[1] + match[2]]);
+}
 
-  const cellId = String.fromCharCode(65 + colNum) + (row + 1);
-  const cell = currentSheet.cells[cellId];
+/**
+ * Check whether a cell address lies inside a sheet's grid
+ * 
+ * @param {Object} sheet - Sheet object
+ * @param {string} ref - Cell address without `$` markers (e.g. "B3")
+ * @returns {boolean} True if the sheet has that row and column
+ */
+function isCellInSheetGrid(sheet, ref) {
+  const match = ref.match(/^([A-Z]+)(\d+)$/);
+  if (!match) return false;
+  const col = columnLettersToIndex(match[1]);
+  const row = parseInt(match[2]) - 1;
+  return row >= 0 && row < (sheet.numRows || 10) && col < (sheet.numCols || 10);
+}
 
-  if (cell && cell.output) {
-    const value = cell.output.trim();
-    return isNaN(parseFloat(value)) ? value : parseFloat(value);
+/**
+ * Convert column letters to a zero-based index (A=0, Z=25, AA=26)
+ * 
+ * @param {string} letters - Column letters
+ * @returns {number} Zero-based column index
+ */
+function columnLettersToIndex(letters) {
+  let index = 0;
+  for (let i = 0; i < letters.length; i++) {
+    index = index * 26 + (letters.charCodeAt(i) - 64);
   }
+  return index - 1;
+}
 
-  return 0;
+/**
+ * Convert a zero-based column index to letters (0=A, 25=Z, 26=AA)
+ * 
+ * @param {number} index - Zero-based column index
+ * @returns {string} Column letters
+ */
+function columnIndexToLetters(index) {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * List the cell IDs covered by a range, row by row
+ * 
+ * The range is clipped to the grid - cells outside it can't exist, and a typo
+ * such as A1:ZZZ999999 would otherwise list billions of IDs.
+ * 
+ * @param {string} range - Cell range in format "A1:B2" (either corner first)
+ * @param {Object|null} [sheet=null] - Sheet whose grid clips the range (defaults to the largest grid of any sheet)
+ * @returns {Array<string>} Cell IDs, e.g. ['A1', 'B1', 'A2', 'B2']
+ */
+function expandCellRange(range, sheet = null) {
+  const [start, end] = range.replace(/\$/g, '').toUpperCase().split(':');
+  const startMatch = start && start.match(/^([A-Z]+)(\d+)$/);
+  const endMatch = end && end.match(/^([A-Z]+)(\d+)$/);
+
+  if (!startMatch || !endMatch) return [];
+
+  // Allow ranges written in either direction (B2:A1)
+  const startColNum = Math.min(columnLettersToIndex(startMatch[1]), columnLettersToIndex(endMatch[1]));
+  const endColNum = Math.max(columnLettersToIndex(startMatch[1]), columnLettersToIndex(endMatch[1]));
+  const startRow = Math.min(parseInt(startMatch[2]), parseInt(endMatch[2]));
+  const endRow = Math.max(parseInt(startMatch[2]), parseInt(endMatch[2]));
+
+  const grids = sheet ? [sheet] : (sheets.length > 0 ? sheets : [currentSheet]);
+  const lastRow = Math.min(endRow, Math.max(...grids.map(grid => grid.numRows || 10)));
+  const lastCol = Math.min(endColNum, Math.max(...grids.map(grid => grid.numCols || 10)) - 1);
+
+  const cellIds = [];
+  for (let row = startRow; row <= lastRow; row++) {
+    for (let col = startColNum; col <= lastCol; col++) {
+      cellIds.push(columnIndexToLetters(col) + row);
+    }
+  }
+  return cellIds;
 }
 
 /**
  * Parse a cell range (e.g., "A1:B2") and return array of values
  * 
  * @param {string} range - Cell range in format "A1:B2"
+ * @param {string|null} [sheetName=null] - Sheet to read from (defaults to the current sheet)
  * @returns {Array<string|number>} Array of cell values from the range
  * 
  * @example
  * parseCellRange('A1:B2') // Returns [valueA1, valueB1, valueA2, valueB2]
  */
-function parseCellRange(range) {
-  const [start, end] = range.split(':');
-  const startMatch = start.match(/^([A-Z]+)(\d+)$/);
-  const endMatch = end.match(/^([A-Z]+)(\d+)$/);
+function parseCellRange(range, sheetName = null) {
+  const sheet = getFormulaSheet(sheetName);
+  if (!sheet || !sheet.cells) return [];
 
-  if (!startMatch || !endMatch) return [];
+  return expandCellRange(range, sheet).map(cellId => getCellFormulaValue(sheet.cells[cellId]));
+}
+
+/**
+ * Split a formula expression into tokens
+ * 
+ * Token types: number, string, bool, error, ref, range, func, op, comma, lparen, rparen.
+ * References may carry a sheet prefix (Sheet2!A1 or 'My Sheet'!A1) and "$" markers;
+ * their start/end offsets (including the sheet prefix) let callers rewrite them in place.
+ * 
+ * @param {string} expression - Formula without the leading "="
+ * @returns {Array<Object>} Tokens ({type, value, sheet?, start?, end?})
+ * @throws {Error} formulaError(#ERROR) on unexpected characters
+ */
+function tokenizeFormula(expression) {
+  const tokens = [];
+  const refPattern = /^\$?[A-Za-z]{1,3}\$?\d+/;
+  let i = 0;
 
-  const startCol = startMatch[1];
-  const startRow = parseInt(startMatch[2]);
-  const endCol = endMatch[1];
-  const endRow = parseInt(endMatch[2]);
+  while (i < expression.length) {
+    const rest = expression.slice(i);
+    const char = expression[i];
 
-  const values = [];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
 
-  // Convert column letters to numbers
-  const startColNum = startCol.charCodeAt(0) - 65;
-  const endColNum = endCol.charCodeAt(0) - 65;
+    // Numbers: 12, 3.5, .5, 1e3
+    const numberMatch = rest.match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+    if (numberMatch && !/^[A-Za-z]/.test(rest.slice(numberMatch[0].length))) {
+      tokens.push({ type: 'number', value: parseFloat(numberMatch[0]) });
+      i += numberMatch[0].length;
+      continue;
+    }
 
-  for (let row = startRow; row <= endRow; row++) {
-    for (let col = startColNum; col <= endColNum; col++) {
-      const cellId = String.fromCharCode(65 + col) + row;
-      const cell = currentSheet.cells[cellId];
-      if (cell && cell.output) {
-        const value = cell.output.trim();
-        values.push(isNaN(parseFloat(value)) ? value : parseFloat(value));
+    // String literals with "" as an escaped quote
+    if (char === '"') {
+      let value = '';
+      let j = i + 1;
+      while (j < expression.length) {
+        if (expression[j] === '"') {
+          if (expression[j + 1] === '"') {
+            value += '"';
+            j += 2;
+            continue;
+          }
+          break;
+        }
+        value += expression[j];
+        j++;
+      }
+      if (j >= expression.length) {
+        throw formulaError(FORMULA_ERRORS.ERROR);
+      }
+      tokens.push({ type: 'string', value });
+      i = j + 1;
+      continue;
+    }
+
+    // #REF! left behind by deleting the row or column a reference pointed at
+    if (rest.toUpperCase().startsWith(FORMULA_ERRORS.REF)) {
+      tokens.push({ type: 'error', value: FORMULA_ERRORS.REF });
+      i += FORMULA_ERRORS.REF.length;
+      continue;
+    }
+
+    // Sheet prefix: Sheet2!A1 or 'My Sheet'!A1
+    const referenceStart = i;
+    let sheet = null;
+    let refStart = i;
+    const quotedSheet = rest.match(/^'((?:[^']|'')+)'!/);
+    const plainSheet = rest.match(/^([A-Za-z_][A-Za-z0-9_ .]*?)!/);
+    if (quotedSheet) {
+      sheet = quotedSheet[1].replace(/''/g, "'");
+      refStart = i + quotedSheet[0].length;
+    } else if (plainSheet) {
+      sheet = plainSheet[1];
+      refStart = i + plainSheet[0].length;
+    }
+
+    const refRest = expression.slice(refStart);
+    const refMatch = refRest.match(refPattern);
+    const afterRef = refMatch ? refRest.slice(refMatch[0].length) : '';
+    const rangeEnd = afterRef.startsWith(':') ? afterRef.slice(1).match(refPattern) : null;
+    // "LOG10(" or "ABC1D" look like references but are names
+    if (refMatch && (rangeEnd || !/^[A-Za-z0-9_(]/.test(afterRef.trimStart()))) {
+      if (rangeEnd) {
+        i = refStart + refMatch[0].length + 1 + rangeEnd[0].length;
+        tokens.push({ type: 'range', value: `${refMatch[0]}:${rangeEnd[0]}`.replace(/\$/g, '').toUpperCase(), sheet, start: referenceStart, end: i });
       } else {
-        values.push(0);
+        i = refStart + refMatch[0].length;
+        tokens.push({ type: 'ref', value: refMatch[0].replace(/\$/g, '').toUpperCase(), sheet, start: referenceStart, end: i });
       }
+      continue;
+    }
+    if (sheet) {
+      // A sheet prefix must be followed by a reference
+      throw formulaError(FORMULA_ERRORS.REF);
+    }
+
+    // Function names, TRUE/FALSE and unknown names
+    const nameMatch = rest.match(/^[A-Za-z_][A-Za-z0-9_.]*/);
+    if (nameMatch) {
+      const name = nameMatch[0].toUpperCase();
+      const next = expression.slice(i + nameMatch[0].length).trimStart();
+      if (next.startsWith('(')) {
+        tokens.push({ type: 'func', value: name });
+      } else if (name === 'TRUE' || name === 'FALSE') {
+        tokens.push({ type: 'bool', value: name === 'TRUE' });
+      } else {
+        tokens.push({ type: 'name', value: name });
+      }
+      i += nameMatch[0].length;
+      continue;
+    }
+
+    const operatorMatch = rest.match(/^(<=|>=|<>|[-+*\/^&=<>%])/);
+    if (operatorMatch) {
+      tokens.push({ type: 'op', value: operatorMatch[0] });
+      i += operatorMatch[0].length;
+      continue;
+    }
+
+    if (char === ',' || char === ';') {
+      tokens.push({ type: 'comma' });
+    } else if (char === '(') {
+      tokens.push({ type: 'lparen' });
+    } else if (char === ')') {
+      tokens.push({ type: 'rparen' });
+    } else {
+      throw formulaError(FORMULA_ERRORS.ERROR);
     }
+    i++;
   }
 
-  return values;
+  return tokens;
 }
 
 /**
- * Parse and evaluate an Excel formula
+ * Parse formula tokens into an AST using recursive descent
  * 
- * Supports cell references, ranges, and Excel functions.
- * Note: Uses eval() which should be replaced with a safer evaluator in production.
- * 
- * @param {string} formula - Formula string starting with "="
- * @returns {string|number} Evaluated result or "#ERROR" if parsing fails
+ * Precedence (lowest to highest): comparison, "&", "+ -", "* /", "^",
+ * unary minus, postfix "%". Unary minus binds tighter than "^" as in Excel,
+ * so "-2^2" is 4.
  * 
- * @example
- * parseFormula('=SUM(A1:A3)') // Returns sum of cells A1 through A3
+ * @param {Array<Object>} tokens - Output of tokenizeFormula
+ * @returns {Object} Root AST node
+ * @throws {Error} formulaError(#ERROR) on syntax errors
  */
-function parseFormula(formula) {
-  try {
-    // Remove the = sign
-    let expression = formula.substring(1);
+function parseFormulaTokens(tokens) {
+  let position = 0;
 
-    // Handle cell references (A1, B2, etc.)
-    expression = expression.replace(/([A-Z]+\d+)/g, (match) => {
-      return parseCellReference(match);
-    });
+  const peek = () => tokens[position];
+  const isOp = (...ops) => peek() && peek().type === 'op' && ops.includes(peek().value);
+  const expect = (type) => {
+    const token = tokens[position];
+    if (!token || token.type !== type) {
+      throw formulaError(FORMULA_ERRORS.ERROR);
+    }
+    position++;
+    return token;
+  };
 
-    // Handle cell ranges (A1:B2)
-    expression = expression.replace(/([A-Z]+\d+:[A-Z]+\d+)/g, (match) => {
-      const values = parseCellRange(match);
-      return `[${values.join(',')}]`;
-    });
+  const binaryLevel = (ops, next) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[position++].value;
+      left = { type: 'binary', op, left, right: next() };
+    }
+    return left;
+  };
 
-    // Handle Excel functions
-    for (const [funcName, func] of Object.entries(EXCEL_FUNCTIONS)) {
-      const regex = new RegExp(`${funcName}\\(([^)]+)\\)`, 'gi');
-      expression = expression.replace(regex, (match, args) => {
-        const argValues = args.split(',').map(arg => {
-          arg = arg.trim();
-          // Handle array notation from ranges
-          if (arg.startsWith('[') && arg.endsWith(']')) {
-            return arg.slice(1, -1).split(',').map(v => parseFloat(v.trim()) || 0);
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (!token) {
+      throw formulaError(FORMULA_ERRORS.ERROR);
+    }
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'bool':
+        return { type: 'literal', value: token.value };
+      case 'ref':
+        return { type: 'ref', ref: token.value, sheet: token.sheet };
+      case 'range':
+        return { type: 'range', range: token.value, sheet: token.sheet };
+      case 'name':
+        return { type: 'name', name: token.value };
+      case 'error':
+        return { type: 'error', value: token.value };
+      case 'func': {
+        expect('lparen');
+        const args = [];
+        if (peek() && peek().type !== 'rparen') {
+          args.push(parseComparison());
+          while (peek() && peek().type === 'comma') {
+            position++;
+            args.push(parseComparison());
           }
-          return parseFloat(arg) || arg;
-        });
+        }
+        expect('rparen');
+        return { type: 'call', name: token.value, args };
+      }
+      case 'lparen': {
+        const inner = parseComparison();
+        expect('rparen');
+        return inner;
+      }
+      default:
+        throw formulaError(FORMULA_ERRORS.ERROR);
+    }
+  };
+
+  const parsePostfix = () => {
+    let node = parsePrimary();
+    while (isOp('%')) {
+      position++;
+      node = { type: 'percent', operand: node };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOp('-', '+')) {
+      const op = tokens[position++].value;
+      return { type: 'unary', op, operand: parseUnary() };
+    }
+    return parsePostfix();
+  };
 
-        // Flatten arrays
-        const flatArgs = argValues.reduce((acc, val) => {
-          return acc.concat(Array.isArray(val) ? val : [val]);
-        }, []);
+  const parsePower = binaryLevel(['^'], parseUnary);
+  const parseTerm = binaryLevel(['*', '/'], parsePower);
+  const parseAdditive = binaryLevel(['+', '-'], parseTerm);
+  const parseConcat = binaryLevel(['&'], parseAdditive);
+  const parseComparison = binaryLevel(['=', '<>', '<', '>', '<=', '>='], parseConcat);
 
-        return func(...flatArgs);
-      });
+  const ast = parseComparison();
+  if (position < tokens.length) {
+    throw formulaError(FORMULA_ERRORS.ERROR);
+  }
+  return ast;
+}
+
+/**
+ * Coerce a formula value to a number
+ * 
+ * @param {*} value - Number, boolean or numeric string
+ * @returns {number} Numeric value (empty string is 0)
+ * @throws {Error} formulaError(#VALUE!) for non-numeric text
+ */
+function toFormulaNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const text = String(value).trim();
+  if (text === '') return 0;
+  const number = Number(text);
+  if (isNaN(number)) {
+    throw formulaError(FORMULA_ERRORS.VALUE);
+  }
+  return number;
+}
+
+/**
+ * Convert a formula value to display text
+ * 
+ * @param {*} value - Formula value
+ * @returns {string} Text form (booleans become TRUE/FALSE)
+ */
+function toFormulaText(value) {
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (typeof value === 'number') return String(parseFloat(value.toPrecision(15)));
+  return String(value);
+}
+
+/**
+ * Evaluate a formula AST node
+ * 
+ * @param {Object} node - AST node from parseFormulaTokens
+ * @returns {number|string|boolean|Array} The node's value (arrays only for ranges)
+ * @throws {Error} formulaError with the appropriate error value
+ */
+function evaluateFormulaNode(node) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+
+    case 'ref': {
+      // An empty cell in the grid reads as 0, like a blank spreadsheet cell
+      const sheet = getFormulaSheet(node.sheet);
+      if (!sheet || !isCellInSheetGrid(sheet, node.ref)) {
+        throw formulaError(FORMULA_ERRORS.REF);
+      }
+      const value = parseCellReference(node.ref, node.sheet);
+      if (isFormulaError(value)) {
+        throw formulaError(value.trim());
+      }
+      return value;
+    }
+
+    case 'range': {
+      if (!getFormulaSheet(node.sheet)) {
+        throw formulaError(FORMULA_ERRORS.REF);
+      }
+      const values = parseCellRange(node.range, node.sheet);
+      const error = values.find(isFormulaError);
+      if (error) {
+        throw formulaError(error.trim());
+      }
+      return values;
+    }
+
+    case 'name':
+      throw formulaError(FORMULA_ERRORS.NAME);
+
+    case 'error':
+      throw formulaError(node.value);
+
+    case 'percent':
+      return toFormulaNumber(evaluateFormulaScalar(node.operand)) / 100;
+
+    case 'unary': {
+      const value = toFormulaNumber(evaluateFormulaScalar(node.operand));
+      return node.op === '-' ? -value : value;
+    }
+
+    case 'binary':
+      return evaluateFormulaBinary(node);
+
+    case 'call':
+      return evaluateFormulaCall(node);
+
+    default:
+      throw formulaError(FORMULA_ERRORS.ERROR);
+  }
+}
+
+/**
+ * Evaluate a node that must produce a single value (not a range)
+ * 
+ * @param {Object} node - AST node
+ * @returns {number|string|boolean} Scalar value
+ * @throws {Error} formulaError(#VALUE!) if the node is a range
+ */
+function evaluateFormulaScalar(node) {
+  const value = evaluateFormulaNode(node);
+  if (Array.isArray(value)) {
+    throw formulaError(FORMULA_ERRORS.VALUE);
+  }
+  return value;
+}
+
+/**
+ * Evaluate a binary operator node
+ * 
+ * @param {Object} node - Binary AST node ({op, left, right})
+ * @returns {number|string|boolean} Result
+ */
+function evaluateFormulaBinary(node) {
+  const left = evaluateFormulaScalar(node.left);
+  const right = evaluateFormulaScalar(node.right);
+
+  switch (node.op) {
+    case '+':
+      return toFormulaNumber(left) + toFormulaNumber(right);
+    case '-':
+      return toFormulaNumber(left) - toFormulaNumber(right);
+    case '*':
+      return toFormulaNumber(left) * toFormulaNumber(right);
+    case '/': {
+      const divisor = toFormulaNumber(right);
+      if (divisor === 0) {
+        throw formulaError(FORMULA_ERRORS.DIV0);
+      }
+      return toFormulaNumber(left) / divisor;
+    }
+    case '^': {
+      const result = Math.pow(toFormulaNumber(left), toFormulaNumber(right));
+      if (!isFinite(result)) {
+        throw formulaError(FORMULA_ERRORS.NUM);
+      }
+      return result;
+    }
+    case '&':
+      return toFormulaText(left) + toFormulaText(right);
+    default:
+      return compareFormulaValues(node.op, left, right);
+  }
+}
+
+/**
+ * Compare two formula values (numbers numerically, text case-insensitively)
+ * 
+ * @param {string} op - One of = <> < > <= >=
+ * @param {*} left - Left value
+ * @param {*} right - Right value
+ * @returns {boolean} Comparison result
+ */
+function compareFormulaValues(op, left, right) {
+  let a = left;
+  let b = right;
+  if (typeof a !== 'number' || typeof b !== 'number') {
+    a = toFormulaText(a).toLowerCase();
+    b = toFormulaText(b).toLowerCase();
+  }
+
+  switch (op) {
+    case '=': return a === b;
+    case '<>': return a !== b;
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    case '>=': return a >= b;
+    default: throw formulaError(FORMULA_ERRORS.ERROR);
+  }
+}
+
+/**
+ * Evaluate a function call node using EXCEL_FUNCTIONS
+ * 
+ * IF is evaluated lazily so an error in the branch not taken is ignored.
+ * Range arguments are flattened into the argument list.
+ * 
+ * @param {Object} node - Call AST node ({name, args})
+ * @returns {number|string|boolean} Function result
+ * @throws {Error} formulaError(#NAME?) for unknown functions
+ */
+function evaluateFormulaCall(node) {
+  const func = EXCEL_FUNCTIONS[node.name];
+  if (!func) {
+    throw formulaError(FORMULA_ERRORS.NAME);
+  }
+
+  if (node.name === 'IF') {
+    if (node.args.length < 2) {
+      throw formulaError(FORMULA_ERRORS.VALUE);
     }
+    const condition = evaluateFormulaScalar(node.args[0]);
+    const truthy = typeof condition === 'string' ? condition !== '' && condition.toUpperCase() !== 'FALSE' : Boolean(condition);
+    if (truthy) return evaluateFormulaScalar(node.args[1]);
+    return node.args.length > 2 ? evaluateFormulaScalar(node.args[2]) : false;
+  }
+
+  const args = node.args.reduce((acc, arg) => {
+    const value = evaluateFormulaNode(arg);
+    return acc.concat(Array.isArray(value) ? value : [value]);
+  }, []);
+
+  const result = func(...args);
+  if (typeof result === 'number' && !isFinite(result)) {
+    throw formulaError(FORMULA_ERRORS.NUM);
+  }
+  return result;
+}
+
+/**
+ * Parse and evaluate an Excel formula
+ * 
+ * Supports cell references (including Sheet2!A1), ranges, nested Excel
+ * functions, string literals, comparison and "&" operators. Formulas are
+ * tokenized and parsed into an AST - no JavaScript is ever evaluated.
+ * 
+ * @param {string} formula - Formula string starting with "="
+ * @param {Object|null} [sheet=null] - Sheet the formula lives in (defaults to the current sheet)
+ * @returns {string|number} Evaluated result, or an error value such as
+ *   "#REF!", "#DIV/0!", "#NAME?", "#VALUE!", "#NUM!" or "#ERROR"
+ * 
+ * @example
+ * parseFormula('=SUM(A1:A3)') // Returns sum of cells A1 through A3
+ * parseFormula('=IF(A1>10, "big", "small")')
+ */
+function parseFormula(formula, sheet = null) {
+  if (!isFormula(formula)) {
+    return formula;
+  }
 
-    // Evaluate the final expression
-    return eval(expression);
+  const previousContext = formulaContextSheet;
+  formulaContextSheet = sheet;
+  try {
+    const ast = parseFormulaTokens(tokenizeFormula(formula.substring(1)));
+    const result = evaluateFormulaScalar(ast);
+    if (typeof result === 'number') {
+      // Hide floating point noise (0.1 + 0.2 -> 0.3)
+      return parseFloat(result.toPrecision(15));
+    }
+    return typeof result === 'boolean' ? toFormulaText(result) : result;
   } catch (error) {
+    if (error.formulaValue) {
+      return error.formulaValue;
+    }
     console.error('Formula parsing error:', error);
-    return '#ERROR';
+    return FORMULA_ERRORS.ERROR;
+  } finally {
+    formulaContextSheet = previousContext;
   }
 }
 
@@ -700,10 +1258,24 @@ function showSuccess(message, duration = 3000) {
   }, duration);
 }
 
+/**
+ * Render a run estimate for the batch and dependency-chain notifications
+ * 
+ * @param {Object|null} estimate - Result of estimateRunCost
+ * @returns {string} HTML, empty when there is nothing to show
+ */
+function renderEstimateSummary(estimate) {
+  if (!estimate || estimate.byModel.length === 0) return '';
+  return `
+    <div style="font-size: 12px; margin-top: 8px;">Estimated cost: <strong>${formatCost(estimate.total)}</strong></div>
+    ${estimate.byModel.map(row => `<div style="font-size: 11px; color: #e3f2fd;">${escapeHtml(formatModelEstimate(row))}</div>`).join('')}
+  `;
+}
+
 /**
  * Show execution order to user
  */
-function showExecutionOrder(updatedCellId, dependentCells) {
+function showExecutionOrder(updatedCellId, dependentCells, estimate = null) {
   const orderDiv = document.createElement('div');
   orderDiv.className = 'execution-order-notification';
   orderDiv.style.cssText = `
@@ -725,6 +1297,7 @@ function showExecutionOrder(updatedCellId, dependentCells) {
     <div style="font-weight: bold; margin-bottom: 8px;">🔄 Dependency Chain Detected</div>
     <div style="font-size: 12px; margin-bottom: 8px;">Cell ${updatedCellId} updated → ${dependentCells.length} dependent cells will run:</div>
     <div style="font-size: 12px; color: #e3f2fd;">${dependentCells.join(' → ')}</div>
+    ${renderEstimateSummary(estimate)}
   `;
 
   document.body.appendChild(orderDiv);
@@ -767,6 +1340,7 @@ function showCellRunning(cellId, current, total) {
   runningDiv.innerHTML = `
     <div style="font-weight: bold;">⚡ Running Cell ${cellId}</div>
     <div style="font-size: 12px;">Step ${current} of ${total}</div>
+    <button onclick="cancelBatchExecution()" style="margin-top: 6px; padding: 2px 10px; border: 1px solid #212529; border-radius: 4px; background: transparent; color: #212529; cursor: pointer; font-size: 12px;">⏹ Stop chain</button>
   `;
 
   document.body.appendChild(runningDiv);
@@ -829,8 +1403,12 @@ function showExecutionComplete(updatedCellId, executionOrder) {
 
 /**
  * Show batch execution start notification
+ * 
+ * @param {number} totalCells - Number of cells in the batch
+ * @param {number} [concurrency=1] - How many cells run at the same time
+ * @param {Object|null} [estimate=null] - Cost estimate from estimateRunCost
  */
-function showBatchExecutionStart(totalCells) {
+function showBatchExecutionStart(totalCells, concurrency = 1, estimate = null) {
   const startDiv = document.createElement('div');
   startDiv.id = 'batch-execution-notification';
   startDiv.style.cssText = `
@@ -850,7 +1428,9 @@ function showBatchExecutionStart(totalCells) {
 
   startDiv.innerHTML = `
     <div style="font-weight: bold; margin-bottom: 8px;">🔄 Batch Execution Started</div>
-    <div style="font-size: 12px;">Running ${totalCells} filled cells sequentially...</div>
+    <div class="batch-status" style="font-size: 12px;">Running ${totalCells} filled cells ${concurrency > 1 ? `up to ${concurrency} at a time` : 'sequentially'}...</div>
+    ${renderEstimateSummary(estimate)}
+    <button class="batch-cancel-btn" onclick="cancelBatchExecution()" style="margin-top: 10px; padding: 4px 12px; border: 1px solid white; border-radius: 4px; background: transparent; color: white; cursor: pointer; font-size: 12px;">⏹ Cancel</button>
   `;
 
   document.body.appendChild(startDiv);
@@ -858,8 +1438,13 @@ function showBatchExecutionStart(totalCells) {
 
 /**
  * Show batch cell progress
+ * 
+ * @param {string} cellId - Cell being processed (or a comma-separated list when running in parallel)
+ * @param {number} current - Step number
+ * @param {number} total - Total number of steps
+ * @param {Object} [level=null] - Dependency level being run ({ index, count }, 1-based)
  */
-function showBatchCellProgress(cellId, current, total) {
+function showBatchCellProgress(cellId, current, total, level = null) {
   // Remove any existing progress indicator
   const existing = document.getElementById('batch-cell-progress');
   if (existing) {
@@ -886,6 +1471,7 @@ function showBatchCellProgress(cellId, current, total) {
   progressDiv.innerHTML = `
     <div style="font-weight: bold;">⚡ Processing Cell ${cellId}</div>
     <div style="font-size: 12px; margin-top: 4px;">Step ${current} of ${total} (${progressPercent}%)</div>
+    ${level ? `<div style="font-size: 12px; margin-top: 2px;">Level ${level.index} of ${level.count}</div>` : ''}
     <div style="width: 200px; height: 4px; background: rgba(0,0,0,0.1); border-radius: 2px; margin-top: 6px;">
       <div style="width: ${progressPercent}%; height: 100%; background: #28a745; border-radius: 2px; transition: width 0.3s ease;"></div>
     </div>
@@ -896,13 +1482,21 @@ function showBatchCellProgress(cellId, current, total) {
 
 /**
  * Show batch execution completion
+ * 
+ * @param {number} totalCells - Number of cells processed
+ * @param {boolean} [cancelled=false] - Whether the batch was cancelled
+ * @param {number} [failedCells=0] - Cells that failed or were skipped because an upstream cell failed
  */
-function showBatchExecutionComplete(totalCells) {
-  // Remove progress indicator
+function showBatchExecutionComplete(totalCells, cancelled = false, failedCells = 0) {
+  // Remove progress indicator and the start notification (with its cancel button)
   const progressIndicator = document.getElementById('batch-cell-progress');
   if (progressIndicator) {
     progressIndicator.remove();
   }
+  const startNotification = document.getElementById('batch-execution-notification');
+  if (startNotification) {
+    startNotification.remove();
+  }
 
   // Remove processing class from all cells
   document.querySelectorAll('.cell-container.processing').forEach(container => {
@@ -926,10 +1520,24 @@ function showBatchExecutionComplete(totalCells) {
     animation: slideIn 0.3s ease-out;
   `;
 
-  completeDiv.innerHTML = `
-    <div style="font-weight: bold; margin-bottom: 8px;">✅ Batch Execution Complete</div>
-    <div style="font-size: 12px;">Successfully processed ${totalCells} cells</div>
-  `;
+  if (cancelled) {
+    completeDiv.style.background = '#6c757d';
+    completeDiv.innerHTML = `
+      <div style="font-weight: bold; margin-bottom: 8px;">🛑 Batch Execution Cancelled</div>
+      <div style="font-size: 12px;">Stopped after ${totalCells} cells</div>
+    `;
+  } else if (failedCells > 0) {
+    completeDiv.style.background = '#fd7e14';
+    completeDiv.innerHTML = `
+      <div style="font-weight: bold; margin-bottom: 8px;">⚠️ Batch Execution Finished With Errors</div>
+      <div style="font-size: 12px;">Processed ${totalCells - failedCells} of ${totalCells} cells - ${failedCells} failed or skipped</div>
+    `;
+  } else {
+    completeDiv.innerHTML = `
+      <div style="font-weight: bold; margin-bottom: 8px;">✅ Batch Execution Complete</div>
+      <div style="font-size: 12px;">Successfully processed ${totalCells} cells</div>
+    `;
+  }
 
   document.body.appendChild(completeDiv);
 
@@ -1283,8 +1891,8 @@ function renderGrid() {
     html += '<div class="cell-control-group">';
     html += '<label class="cell-control-label">Temperature</label>';
     html += '<div class="cell-temp-control">';
-    html += `<input type="range" class="cell-temp-slider" id="temp-slider-${id}" min="0" max="1" step="0.1" value="${(cell.temperature || 0.7)}" oninput="updateTempFromSlider('${id}', this.value)">`;
-    html += `<input type="number" class="cell-temp-input" id="temp-${id}" min="0" max="1" step="0.1" value="${(cell.temperature || 0.7)}" onchange="updateCellTemperature('${id}')" title="Temperature (0-1)">`;
+    html += `<input type="range" class="cell-temp-slider" id="temp-slider-${id}" min="0" max="1" step="0.1" value="${(cell.temperature ?? 0.7)}" oninput="updateTempFromSlider('${id}', this.value)">`;
+    html += `<input type="number" class="cell-temp-input" id="temp-${id}" min="0" max="1" step="0.1" value="${(cell.temperature ?? 0.7)}" onchange="updateCellTemperature('${id}')" title="Temperature (0-1)">`;
     html += '</div>';
     html += '</div>';
     html += '<div class="cell-control-group">';
@@ -1309,6 +1917,7 @@ function renderGrid() {
   }
 
   gridContainer.innerHTML = html;
+  updateSelectionHighlighting();
 
   // Set up SVG for connection lines
   if (svg && !svg.querySelector('defs')) {
@@ -1435,7 +2044,7 @@ function renderGrid() {
       html += '<select class="cell-model-select" id="model-' + id + '" onchange="updateCellModel(\'' + id + '\')">';
       // Models will be populated by updateModelSelector after grid is rendered
       html += '</select>';
-      html += '<input type="number" class="cell-temp-input" id="temp-' + id + '" min="0" max="1" step="0.1" value="' + (cell.temperature || 0.7) + '" onchange="updateCellTemperature(\'' + id + '\')" title="Temperature">';
+      html += '<input type="number" class="cell-temp-input" id="temp-' + id + '" min="0" max="1" step="0.1" value="' + (cell.temperature ?? 0.7) + '" onchange="updateCellTemperature(\'' + id + '\')" title="Temperature">';
       html += '<label class="cell-auto-run-label" title="Auto-run when content changes or dependencies update">';
       html += '<input type="checkbox" class="cell-auto-run-checkbox" id="auto-run-' + id + '" ' + (cell.autoRun ? 'checked' : '') + ' onchange="updateCellAutoRun(\'' + id + '\')">';
       html += '<span class="auto-run-text">Auto</span>';
@@ -1639,6 +2248,9 @@ function updatePrompt(id) {
       currentSheet.cells[id] = { prompt: '', output: '', model: defaultModel, temperature: 0.7, cellPrompt: '', autoRun: false, interval: 0 };
     }
     currentSheet.cells[id].prompt = textarea.value;
+    // Editing a filled-in row by hand detaches it from its column template
+    delete currentSheet.cells[id].columnTemplate;
+    reapplyColumnTemplates(id);
 
     // Remove required indicator when content is added
     const cellContainer = document.querySelector(`#prompt-${id}`)?.closest('.cell-container');
@@ -1692,27 +2304,12 @@ function updatePrompt(id) {
 
         // Ensure referenced cards exist
         deps.forEach(depRef => {
-          // Extract cell ID from dependency reference
-          let depId = depRef;
-
-          // Skip cross-sheet references
-          if (depId.includes('!')) {
+          // Skip cross-sheet references, and ranges - they cover blank cells on purpose
+          const reference = parseTemplateReference(depRef);
+          if (!reference || reference.sheet !== null || parseTemplateRange(depRef)) {
             return;
           }
-
-          // Remove prefixes like "prompt:", "output:"
-          if (depRef.includes(':')) {
-            const parts = depRef.split(':');
-            depId = parts[parts.length - 1];
-          }
-
-          // Remove generation suffixes like "-1", ":1-3", ":2"
-          if (depId.includes('-')) {
-            depId = depId.split('-')[0];
-          }
-
-          // Remove any remaining colons (for generation ranges)
-          depId = depId.split(':')[0];
+          const depId = reference.cellId;
 
           // Ensure the referenced card exists
           if (!currentSheet.cells[depId]) {
@@ -2062,33 +2659,17 @@ async function runCellWithDependencies(cellId) {
   if (!cell || !cell.prompt || cell.prompt.trim() === '') return;
 
   // Parse dependencies
-  const deps = parseDependencies(cell.prompt);
+  const deps = expandRangeDependencies(parseDependencies(cell.prompt));
 
   // Run dependencies first (in order)
   for (const depRef of deps) {
     // Skip cross-sheet references
-    if (depRef.includes('!')) {
+    const reference = parseTemplateReference(depRef);
+    if (!reference || reference.sheet !== null) {
       continue;
     }
 
-    // Extract cell ID from dependency reference
-    // Handle formats like: "A1", "prompt:A1", "output:A1", "A1-1", "A1:1-3", "A1:2"
-    let depId = depRef;
-
-    // Remove prefixes like "prompt:", "output:"
-    if (depRef.includes(':')) {
-      const parts = depRef.split(':');
-      depId = parts[parts.length - 1];
-    }
-
-    // Remove generation suffixes like "-1", ":1-3", ":2"
-    if (depId.includes('-')) {
-      depId = depId.split('-')[0];
-    }
-
-    // Remove any remaining colons (for generation ranges)
-    depId = depId.split(':')[0];
-
+    const depId = reference.cellId;
     const depCell = currentSheet.cells[depId];
     if (depCell && depCell.prompt && depCell.prompt.trim() !== '') {
       // Recursively run dependencies
@@ -2195,30 +2776,48 @@ function handleColumnNameKeydown(event, columnIndex) {
 }
 
 /**
- * Save column names to database
+ * Save column templates (see saveColumnTemplate) to database
  */
-async function saveSheetColumnNames() {
+async function saveSheetColumnTemplates() {
   try {
     const userId = currentUser ? currentUser.uid : 'demo-user-123';
     const projectId = currentProjectId || 'default-project';
 
     await firestoreService.updateSheet(userId, projectId, currentSheet.id, {
-      columnNames: currentSheet.columnNames,
+      columnTemplates: currentSheet.columnTemplates,
       updatedAt: new Date()
     });
 
   } catch (error) {
-    console.error('❌ Error saving column names:', error);
+    console.error('❌ Error saving column templates:', error);
   }
 }
 
-// Debounce timer for saving card positions
-let cardPositionsSaveTimer = null;
-
 /**
- * Save card positions to the database (debounced)
+ * Save column names to database
  */
-async function saveCardPositions() {
+async function saveSheetColumnNames() {
+  try {
+    const userId = currentUser ? currentUser.uid : 'demo-user-123';
+    const projectId = currentProjectId || 'default-project';
+
+    await firestoreService.updateSheet(userId, projectId, currentSheet.id, {
+      columnNames: currentSheet.columnNames,
+      updatedAt: new Date()
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving column names:', error);
+  }
+}
+
+// Debounce timer for saving card positions
+let cardPositionsSaveTimer = null;
+
+/**
+ * Save card positions to the database (debounced)
+ */
+async function saveCardPositions() {
   try {
     if (!currentSheet || !currentSheet.id) return;
 
@@ -2349,6 +2948,14 @@ async function saveCellOnBlur(id) {
     // Update the cell's prompt with the current textarea value
     currentSheet.cells[id].prompt = textarea.value;
 
+    // Formulas recalculate immediately and push their value downstream
+    if (isFormula(textarea.value)) {
+      recalculateFormulaCell(id).catch(error => {
+        console.error(`❌ Error recalculating formula in ${id}:`, error);
+      });
+      return;
+    }
+
     saveCellToDatabase(id, textarea.value, currentSheet.cells[id].output, currentSheet.cells[id].model, currentSheet.cells[id].temperature, currentSheet.cells[id].cellPrompt, currentSheet.cells[id].autoRun, currentSheet.cells[id].interval || 0)
       .then((result) => {
 
@@ -2413,7 +3020,7 @@ async function fetchCellFromFirebase(cellId) {
         prompt: result.data.prompt || '',
         output: result.data.output || '',
         model: result.data.model || 'gpt-3.5-turbo',
-        temperature: result.data.temperature || 0.7,
+        temperature: result.data.temperature ?? 0.7,
         cellPrompt: result.data.cellPrompt || '',
         autoRun: result.data.autoRun || false
       };
@@ -2560,6 +3167,13 @@ function updateAllCellModelDefaults() {
 // SECTION 4: DEPENDENCY PARSING
 // ============================================================================
 
+/**
+ * Modifiers that render a range reference ({{table:A1:C10}}); a range
+ * without one is a list
+ * @constant {Array<string>} RANGE_REFERENCE_FORMATS
+ */
+const RANGE_REFERENCE_FORMATS = ['list', 'csv', 'table'];
+
 /**
  * Parse dependencies from a prompt string
  * 
@@ -2574,6 +3188,13 @@ function updateAllCellModelDefaults() {
  * - {{A1:2}} - just generation 2 of cell A1
  * - {{Sheet2!A1}} - cross-sheet reference
  * - {{prompt:Sheet2!A1}} - cross-sheet prompt
+ * - {{$A$1}}, {{A$1}}, {{$A1}} - absolute references, which keep pointing at
+ *   the same column/row when the prompt is pasted or filled elsewhere
+ * - {{A1:C10}} - every output in a range, one per line
+ * - {{csv:A1:C10}}, {{table:A1:C10}} - the range as CSV or a markdown table
+ * 
+ * "$" markers are dropped from the returned references, so {{$A$1}} gives "A1";
+ * use stripPromptAbsoluteMarkers on the prompt before substituting values.
  * 
  * @param {string} prompt - The prompt string to parse
  * @returns {Array<string>} List of referenced cell IDs/dependencies
@@ -2593,23 +3214,114 @@ function parseDependencies(prompt) {
   // {{A1:2}} - just generation 2 of cell A1
   // {{Sheet2!A1}} - cross-sheet reference
   // {{prompt:Sheet2!A1}} - cross-sheet prompt
+  // {{A1.title}}, {{A1.items[0]}} - a field of a structured (JSON) output
+  // {{system:B1}} - cell B1 as the system prompt
+  // {{$A$1}}, {{A$1}} - absolute column and/or row (read as A1)
+  // {{A1:C10}}, {{list:A1:C10}}, {{csv:A1:C10}}, {{table:A1:C10}} - a range of outputs
   const regex = /\{\{([^}]+)\}\}/g;
   const deps = [];
   let match;
   while ((match = regex.exec(prompt)) !== null) {
-    deps.push(match[1]);
+    deps.push(stripAbsoluteMarkers(match[1]));
   }
   return deps;
 }
 
+/**
+ * Read a field from a structured (JSON) cell output
+ * 
+ * @param {string} output - The cell's output, JSON from a response schema
+ * @param {string} fieldPath - Path such as ".title", ".items[0]" or ".author.name"
+ * @param {string} cellId - Cell the output belongs to, for error messages
+ * @returns {string} The field (strings as-is, other values as JSON), or an [ERROR: ...] marker
+ */
+function readStructuredField(output, fieldPath, cellId) {
+  let value;
+  try {
+    value = JSON.parse(output);
+  } catch (error) {
+    return `[ERROR: Cell ${cellId} output is not JSON, so it has no field ${fieldPath}]`;
+  }
+
+  const segments = fieldPath.match(/\.[A-Za-z_$][\w$]*|\[\d+\]/g) || [];
+  for (const segment of segments) {
+    const key = segment.startsWith('[') ? parseInt(segment.slice(1, -1), 10) : segment.slice(1);
+    if (value === null || typeof value !== 'object' || !(key in value)) {
+      return `[ERROR: Cell ${cellId} has no field ${fieldPath}]`;
+    }
+    value = value[key];
+  }
+
+  if (typeof value === 'string') return value;
+  return typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : String(value);
+}
+
+/**
+ * Render a range of cells for an AI prompt
+ * 
+ * - list (default): the non-empty values, one per line, row by row
+ * - csv: one line per row, quoting values that need it
+ * - table: a markdown table headed by the column names (or letters)
+ * 
+ * Values are the cells' outputs, falling back to the prompt for cells that
+ * haven't been run (as single references do); prompt: ranges read prompts.
+ * 
+ * @param {Object} sheet - Sheet the range is on
+ * @param {string} range - Range such as "A1:C10"
+ * @param {string} returnType - list, csv, table, prompt, output or system
+ * @returns {string} The rendered range
+ */
+function formatRangeReference(sheet, range, returnType) {
+  const format = RANGE_REFERENCE_FORMATS.includes(returnType) ? returnType : 'list';
+  const cellIds = expandCellRange(range, sheet);
+  const columns = [...new Set(cellIds.map(cellId => cellId.match(/^[A-Z]+/)[0]))];
+
+  const readCell = (cellId) => {
+    const cell = sheet.cells && sheet.cells[cellId];
+    if (!cell) return '';
+    const output = (cell.output || '').trim();
+    if (returnType === 'prompt' || !output || output === 'No generations yet') {
+      return (cell.prompt || '').trim();
+    }
+    return output;
+  };
+
+  const rows = [];
+  for (let i = 0; i < cellIds.length; i += columns.length) {
+    rows.push(cellIds.slice(i, i + columns.length).map(readCell));
+  }
+
+  if (format === 'csv') {
+    const quote = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    return rows.map(row => row.map(quote).join(',')).join('\n');
+  }
+
+  if (format === 'table') {
+    const escape = (value) => value.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    const headers = columns.map(column => {
+      const name = sheet.columnNames && sheet.columnNames[columnLettersToIndex(column)];
+      return escape(name || column);
+    });
+    return [
+      `| ${headers.join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.map(escape).join(' | ')} |`)
+    ].join('\n');
+  }
+
+  return rows.flat().filter(value => value !== '').join('\n');
+}
+
 /**
  * Resolve a cell reference to get its value, supporting cross-sheet references
  * 
  * This function handles various cell reference formats including:
  * - Simple references: "A1"
- * - Type-specific: "prompt:A1", "output:A1"
+ * - Type-specific: "prompt:A1", "output:A1", "system:A1" (same value as output:)
  * - Generation-specific: "A1-1", "A1:2", "A1:1-3"
  * - Cross-sheet: "Sheet2!A1", "prompt:Sheet2!A1"
+ * - Structured output fields: "A1.title", "A1.items[0]", "A1-2.title"
+ * - Ranges: "A1:C10", "csv:A1:C10", "table:Sheet2!A1:C10" (see formatRangeReference)
  * 
  * @param {string} reference - Cell reference string in various formats
  * @returns {Promise<string>} The resolved cell value (prompt, output, or generation content)
@@ -2619,11 +3331,13 @@ function parseDependencies(prompt) {
  * await resolveCellReference('prompt:A1') // Returns cell A1's prompt
  * await resolveCellReference('A1-1') // Returns first generation of A1
  * await resolveCellReference('Sheet2!A1') // Returns A1 from Sheet2
+ * await resolveCellReference('A1.items[0]') // Returns the first item of A1's JSON output
+ * await resolveCellReference('table:A1:B5') // Returns A1:B5 as a markdown table
  */
 async function resolveCellReference(reference) {
   try {
     // Parse the reference to determine what to return
-    // Order matters: 1) Extract type prefix, 2) Extract sheet name, 3) Extract cell ID, 4) Extract generation spec
+    // Order matters: 1) Extract type prefix, 2) Extract sheet name, 3) Ranges, 4) Extract cell ID, 5) Extract generation spec
     let targetSheet = currentSheet;
     let cellId = reference;
     let returnType = 'output'; // default to output
@@ -2632,7 +3346,9 @@ async function resolveCellReference(reference) {
     // Step 1: Check for explicit type specification (prompt: or output:)
     // This must come first to handle cases like "prompt:Sheet2!A1"
     let remainingRef = reference;
-    if (reference.includes(':') && (reference.startsWith('prompt:') || reference.startsWith('output:'))) {
+    // system: references resolve like output: - runCell moves them into the system prompt
+    const typePrefix = reference.match(/^([a-z]+):/);
+    if (typePrefix && ['prompt', 'output', 'system', ...RANGE_REFERENCE_FORMATS].includes(typePrefix[1])) {
       const colonIndex = reference.indexOf(':');
       returnType = reference.substring(0, colonIndex);
       remainingRef = reference.substring(colonIndex + 1);
@@ -2665,7 +3381,22 @@ async function resolveCellReference(reference) {
       cellId = remainingRef;
     }
 
-    // Step 3: Check for generation-specific references (A1-1, A1:1-3, A1:2)
+    // Step 3: Ranges (A1:C10) render every cell they cover; a list/csv/table
+    // modifier on a single cell makes a one-cell range
+    const rangeMatch = cellId.match(/^([A-Z]+\d+)(?::([A-Z]+\d+))?$/);
+    if (rangeMatch && (rangeMatch[2] || RANGE_REFERENCE_FORMATS.includes(returnType))) {
+      return formatRangeReference(targetSheet, `${rangeMatch[1]}:${rangeMatch[2] || rangeMatch[1]}`, returnType);
+    }
+
+    // Step 4: Split off a field path into structured output (A1.title, A1.items[0])
+    let fieldPath = null;
+    const fieldMatch = cellId.match(/^(.+?)((?:\.[A-Za-z_$][\w$]*|\[\d+\])+)$/);
+    if (fieldMatch) {
+      cellId = fieldMatch[1];
+      fieldPath = fieldMatch[2];
+    }
+
+    // Step 5: Check for generation-specific references (A1-1, A1:1-3, A1:2)
     // Now that we've extracted the cell ID, check for generation specs
     if (cellId.includes('-') || cellId.includes(':')) {
       // Handle generation references like A1-1, A1:1-3, A1:2
@@ -2795,6 +3526,11 @@ async function resolveCellReference(reference) {
       }
     }
 
+    // Address a field of a structured (JSON) output
+    if (fieldPath && returnType !== 'prompt' && !String(result).startsWith('[ERROR')) {
+      result = readStructuredField(result, fieldPath, cellId);
+    }
+
     // Ensure result is always a string
     if (result === null || result === undefined) {
       result = '';
@@ -3142,236 +3878,1616 @@ async function deleteGeneration(cellId, generationIndex) {
 }
 
 /**
- * Find all cells that depend on a given cell (including cross-sheet dependencies)
+ * Build the key used for a cell in the dependency graph
  * 
- * Scans all cells in all sheets to identify which cells reference
- * the specified cell in their prompts. Supports various reference formats
- * including simple references, type-specific references, and generation references.
+ * @param {Object} sheet - Sheet containing the cell
+ * @param {string} cellId - Cell identifier
+ * @returns {string} Key in the form "SheetName!A1"
+ */
+function getCellGraphKey(sheet, cellId) {
+  return `${sheet.name}!${cellId}`;
+}
+
+/**
+ * Turn a {{...}} template reference into the cell it points at
  * 
- * @param {string} cellId - Cell identifier to find dependents for
- * @returns {Array<string>} Array of cell IDs that depend on the given cell
- *                          Format: "cellId" for same sheet, "sheetName!cellId" for cross-sheet
+ * Strips the prompt:/output: prefix and generation specs, so
+ * "prompt:Sheet2!A1-2" becomes { sheet: 'Sheet2', cellId: 'A1' }.
  * 
- * @example
- * // Find all cells that reference A1
- * const dependents = findDependentCells('A1') // Returns ['B2', 'Sheet2!C3']
+ * @param {string} reference - Text between the braces
+ * @returns {{sheet: (string|null), cellId: string}|null} Target cell, or null if not a cell reference
  */
-function findDependentCells(cellId) {
-  const dependentCells = [];
-
-  // Check current sheet
-  for (const [id, cell] of Object.entries(currentSheet.cells)) {
-    if (cell.prompt && (cell.prompt.includes(`{{${cellId}}}`) ||
-      cell.prompt.includes(`{{prompt:${cellId}}}`) ||
-      cell.prompt.includes(`{{output:${cellId}}}`) ||
-      cell.prompt.includes(`{{${cellId}-`))) {
-      dependentCells.push(id);
-    }
+function parseTemplateReference(reference) {
+  let target = reference.trim().replace(/^(prompt|output|system|list|csv|table):/, '');
+  let sheet = null;
+  if (target.includes('!')) {
+    const separator = target.lastIndexOf('!');
+    sheet = target.substring(0, separator);
+    target = target.substring(separator + 1);
   }
 
-  // Check all other sheets for cross-sheet references
-  for (const sheet of sheets) {
-    if (sheet.id === currentSheet.id) continue; // Skip current sheet (already checked)
+  const match = target.match(/^\$?([A-Z]+)\$?(\d+)/);
+  return match ? { sheet, cellId: match[1] + match[2] } : null;
+}
 
-    for (const [id, cell] of Object.entries(sheet.cells)) {
-      if (cell.prompt && (cell.prompt.includes(`{{${currentSheet.name}!${cellId}}}`) ||
-        cell.prompt.includes(`{{prompt:${currentSheet.name}!${cellId}}}`) ||
-        cell.prompt.includes(`{{output:${currentSheet.name}!${cellId}}}`) ||
-        cell.prompt.includes(`{{${currentSheet.name}!${cellId}-`))) {
-        dependentCells.push(`${sheet.name}!${id}`);
-      }
-    }
-  }
+/**
+ * Split a {{...}} template reference into its parts
+ * 
+ * Keeps the "$" markers that pin the column or row, so "prompt:Sheet2!$B3-2"
+ * gives prefix "prompt:", sheet "Sheet2", column "B" (absolute), row 3 and
+ * suffix "-2". For ranges ("table:A1:$C$10") rangeEnd holds the second
+ * corner. Column template references ({{A$row}}) are not cell references.
+ * 
+ * @param {string} reference - Text between the braces
+ * @returns {Object|null} {prefix, sheet, column, row, columnAbsolute, rowAbsolute, rangeEnd, suffix}, or null if not a cell reference
+ */
+function splitTemplateReference(reference) {
+  const match = reference.trim().match(/^((?:prompt|output|system|list|csv|table):)?(?:(.+)!)?(\$?)([A-Z]+)(\$?)(\d+)(?::(\$?)([A-Z]+)(\$?)(\d+))?(.*)$/);
+  if (!match) return null;
 
-  return dependentCells;
+  return {
+    prefix: match[1] || '',
+    sheet: match[2] === undefined ? null : match[2],
+    column: match[4],
+    row: parseInt(match[6], 10),
+    columnAbsolute: match[3] === '$',
+    rowAbsolute: match[5] === '$',
+    rangeEnd: match[8] ? {
+      column: match[8],
+      row: parseInt(match[10], 10),
+      columnAbsolute: match[7] === '$',
+      rowAbsolute: match[9] === '$'
+    } : null,
+    suffix: match[11]
+  };
 }
 
 /**
- * Run all dependent cells after a cell is updated
+ * Turn a {{...}} range reference into the range it covers
  * 
- * Recursively runs all cells that depend on the given cell, maintaining
- * proper execution order. Handles cross-sheet dependencies and provides
- * visual feedback during execution. Only runs cells with auto-run enabled.
- * 
- * @param {string} cellId - Cell identifier that was updated
- * @param {Array<string>} [executionOrder=[]] - Array to track execution order
- * @returns {Promise<void>}
+ * "table:Sheet2!A1:C10" becomes { format: 'table', sheet: 'Sheet2', range: 'A1:C10' }.
+ * A list/csv/table modifier on a single cell makes a one-cell range.
  * 
- * @example
- * // After updating cell A1, run all cells that depend on it
- * await runDependentCells('A1')
+ * @param {string} reference - Text between the braces
+ * @returns {{format: string, sheet: (string|null), range: string}|null} The range, or null if not a range reference
  */
-async function runDependentCells(cellId, executionOrder = []) {
-  const dependentCells = findDependentCells(cellId);
+function parseTemplateRange(reference) {
+  const parts = splitTemplateReference(reference);
+  if (!parts || parts.suffix) return null;
 
-  if (dependentCells.length === 0) {
-    return;
-  }
+  const format = parts.prefix.slice(0, -1);
+  if (!parts.rangeEnd && !RANGE_REFERENCE_FORMATS.includes(format)) return null;
 
-  // Cell updated, found dependent cells
+  const start = `${parts.column}${parts.row}`;
+  const end = parts.rangeEnd ? `${parts.rangeEnd.column}${parts.rangeEnd.row}` : start;
+  return { format: RANGE_REFERENCE_FORMATS.includes(format) ? format : 'list', sheet: parts.sheet, range: `${start}:${end}` };
+}
 
-  // Show execution order to user
-  showExecutionOrder(cellId, dependentCells);
-
-  // Filter dependent cells to only include those with auto-run enabled
-  const autoRunDependentCells = dependentCells.filter(depCellId => {
-    if (depCellId.includes('!')) {
-      // Cross-sheet dependency - check the target sheet
-      const [sheetName, cellId] = depCellId.split('!');
-      const targetSheet = sheets.find(sheet => sheet.name === sheetName);
-      return targetSheet && targetSheet.cells[cellId] && targetSheet.cells[cellId].autoRun;
-    } else {
-      // Current sheet dependency
-      return currentSheet.cells[depCellId] && currentSheet.cells[depCellId].autoRun;
-    }
+/**
+ * Replace the same-sheet range references in a dependency list with the
+ * cells they cover, for code that walks single-cell dependencies
+ * (cross-sheet ranges are dropped)
+ * 
+ * @param {Array<string>} deps - References from parseDependencies
+ * @returns {Array<string>} References with ranges expanded to cell IDs
+ */
+function expandRangeDependencies(deps) {
+  return deps.flatMap(depRef => {
+    const range = parseTemplateRange(depRef);
+    if (!range) return [depRef];
+    return range.sheet === null ? expandCellRange(range.range, currentSheet) : [];
   });
+}
 
-  if (autoRunDependentCells.length === 0) {
-    // No dependent cells have auto-run enabled
-    return;
-  }
+/**
+ * Join the parts from splitTemplateReference back into a reference
+ * 
+ * @param {Object} parts - Reference parts
+ * @returns {string} Text to put between the braces
+ */
+function formatTemplateReference(parts) {
+  const sheet = parts.sheet !== null ? `${parts.sheet}!` : '';
+  const corner = (part) => `${part.columnAbsolute ? '$' : ''}${part.column}${part.rowAbsolute ? '$' : ''}${part.row}`;
+  return `${parts.prefix}${sheet}${corner(parts)}${parts.rangeEnd ? `:${corner(parts.rangeEnd)}` : ''}${parts.suffix}`;
+}
 
-  // Running dependent cells with auto-run enabled
+/**
+ * Drop the "$" markers from a template reference ("$A$1" reads the same cell as "A1")
+ * 
+ * @param {string} reference - Text between the braces
+ * @returns {string} The reference without "$" markers
+ */
+function stripAbsoluteMarkers(reference) {
+  const parts = splitTemplateReference(reference);
+  const hasMarkers = (part) => part && (part.columnAbsolute || part.rowAbsolute);
+  if (!parts || (!hasMarkers(parts) && !hasMarkers(parts.rangeEnd))) return reference;
 
-  // Run each dependent cell in sequence
-  for (let i = 0; i < autoRunDependentCells.length; i++) {
-    const depCellId = autoRunDependentCells[i];
+  const rangeEnd = parts.rangeEnd && { ...parts.rangeEnd, columnAbsolute: false, rowAbsolute: false };
+  return formatTemplateReference({ ...parts, columnAbsolute: false, rowAbsolute: false, rangeEnd });
+}
 
-    // Add to execution order
-    executionOrder.push(depCellId);
+/**
+ * Drop the "$" markers from every {{...}} reference in a prompt, so the
+ * placeholders match the references returned by parseDependencies
+ * 
+ * @param {string} prompt - Prompt text
+ * @returns {string} The prompt with plain references
+ */
+function stripPromptAbsoluteMarkers(prompt) {
+  return prompt.replace(/\{\{([^}]+)\}\}/g, (match, reference) => `{{${stripAbsoluteMarkers(reference)}}}`);
+}
 
-    // Show which cell is currently running
-    showCellRunning(depCellId, i + 1, autoRunDependentCells.length);
+/**
+ * Rewrite the cell references in a prompt
+ * 
+ * Covers {{...}} template references and the references of a formula.
+ * `transform` gets each reference as {sheet, column, row, columnAbsolute,
+ * rowAbsolute, columnEdge, rowEdge} with zero-based column and row; the edges
+ * are 'start' or 'end' for the corners of a range and null otherwise.
+ * It returns the new {column, row}, or null when the cell is gone, which
+ * turns the reference into #REF!.
+ * 
+ * @param {string} prompt - Prompt or formula
+ * @param {Function} transform - Maps a reference to its new position
+ * @returns {string} The rewritten prompt
+ */
+function rewriteCellReferences(prompt, transform) {
+  if (!prompt) return prompt;
 
-    try {
-      // Handle cross-sheet dependencies
-      if (depCellId.includes('!')) {
-        const [sheetName, cellId] = depCellId.split('!');
-        const targetSheet = sheets.find(sheet => sheet.name === sheetName);
-
-        if (targetSheet) {
-          // Switch to the target sheet temporarily
-          const originalSheetIndex = currentSheetIndex;
-          const originalSheet = currentSheet;
-
-          // Switch to target sheet
-          currentSheetIndex = sheets.indexOf(targetSheet);
-          currentSheet = targetSheet;
-          cells = currentSheet.cells;
-          numRows = currentSheet.numRows;
-          numCols = currentSheet.numCols;
-
-          // Run the cell
-          await runCell(cellId);
-
-          // Switch back to original sheet
-          currentSheetIndex = originalSheetIndex;
-          currentSheet = originalSheet;
-          cells = currentSheet.cells;
-          numRows = currentSheet.numRows;
-          numCols = currentSheet.numCols;
-
-          // Re-render the grid
-          renderGrid();
-        }
-      } else {
-        // Current sheet dependency
-        await runCell(depCellId);
-      }
+  // Move a reference's corners; null if it no longer points at any cell
+  const moveCorners = (corners, sheet) => {
+    // Which corner starts the range on each axis (ranges may be written B2:A1)
+    const columnEdges = corners.length === 2 ? (corners[0].column <= corners[1].column ? ['start', 'end'] : ['end', 'start']) : [null];
+    const rowEdges = corners.length === 2 ? (corners[0].row <= corners[1].row ? ['start', 'end'] : ['end', 'start']) : [null];
+    const moved = corners.map((corner, index) => transform({ ...corner, sheet, columnEdge: columnEdges[index], rowEdge: rowEdges[index] }));
 
-      // Check if this cell has its own dependencies
-      const subDeps = findDependentCells(depCellId);
-      if (subDeps.length > 0) {
-        await runDependentCells(depCellId, executionOrder);
-      }
+    if (moved.some(corner => !corner || corner.column < 0 || corner.row < 0)) return null;
+    // Every row or column of the range was deleted
+    if (corners.length === 2 &&
+      (moved[columnEdges.indexOf('end')].column < moved[columnEdges.indexOf('start')].column ||
+        moved[rowEdges.indexOf('end')].row < moved[rowEdges.indexOf('start')].row)) {
+      return null;
+    }
+    return moved.map((corner, index) => ({ ...corners[index], column: corner.column, row: corner.row }));
+  };
 
-    } catch (error) {
-      console.error(`Error running dependent cell ${depCellId}:`, error);
-      showError(`Failed to run dependent cell ${depCellId}: ${error.message}`);
+  const rewritten = prompt.replace(/\{\{([^}]+)\}\}/g, (match, reference) => {
+    const parts = splitTemplateReference(reference);
+    if (!parts) return match;
+
+    const toCorner = (part) => ({
+      column: columnLettersToIndex(part.column),
+      row: part.row - 1,
+      columnAbsolute: part.columnAbsolute,
+      rowAbsolute: part.rowAbsolute
+    });
+    const fromCorner = (corner) => ({ ...corner, column: columnIndexToLetters(corner.column), row: corner.row + 1 });
+
+    const moved = moveCorners(parts.rangeEnd ? [toCorner(parts), toCorner(parts.rangeEnd)] : [toCorner(parts)], parts.sheet);
+    if (!moved) {
+      return `{{${parts.prefix}${parts.sheet !== null ? `${parts.sheet}!` : ''}${FORMULA_ERRORS.REF}}}`;
     }
-  }
+    return `{{${formatTemplateReference({ ...parts, ...fromCorner(moved[0]), rangeEnd: moved[1] ? fromCorner(moved[1]) : null })}}}`;
+  });
 
-  // Show completion message
-  showExecutionComplete(cellId, executionOrder);
+  if (!isFormula(rewritten)) return rewritten;
+
+  let expression = rewritten.substring(1);
+  let tokens;
+  try {
+    tokens = tokenizeFormula(expression);
+  } catch (error) {
+    // Malformed formula - leave it for the user to fix
+    return rewritten;
+  }
+
+  // Right to left, so earlier offsets stay valid
+  tokens.filter(token => token.type === 'ref' || token.type === 'range').reverse().forEach(token => {
+    const text = expression.slice(token.start, token.end);
+    const separator = text.lastIndexOf('!');
+    const corners = text.substring(separator + 1).split(':').map(corner => {
+      const match = corner.toUpperCase().match(/^(\$?)([A-Z]+)(\$?)(\d+)$/);
+      return {
+        column: columnLettersToIndex(match[2]),
+        row: parseInt(match[4], 10) - 1,
+        columnAbsolute: match[1] === '$',
+        rowAbsolute: match[3] === '$'
+      };
+    });
+
+    const moved = moveCorners(corners, token.sheet);
+    const replacement = moved
+      ? text.substring(0, separator + 1) + moved.map(corner =>
+        `${corner.columnAbsolute ? '$' : ''}${columnIndexToLetters(corner.column)}${corner.rowAbsolute ? '$' : ''}${corner.row + 1}`
+      ).join(':')
+      : FORMULA_ERRORS.REF;
+
+    expression = expression.slice(0, token.start) + replacement + expression.slice(token.end);
+  });
+
+  return `=${expression}`;
 }
 
 /**
- * Recursively run a cell by resolving dependencies and calling the API.
- * @param {string} id Cell identifier to run.
- * @param {Set<string>} visited Set of visited cell IDs to detect cycles.
+ * Reference transform for copying a prompt to another cell (paste, fill)
+ * 
+ * Relative columns and rows move with the copy; "$" parts stay put.
+ * 
+ * @param {number} columnOffset - Columns between the source and the target
+ * @param {number} rowOffset - Rows between the source and the target
+ * @returns {Function} Transform for rewriteCellReferences
  */
-async function runCell(id, visited = new Set()) {
-  if (visited.has(id)) {
-    alert('Cycle detected for ' + id);
-    return;
-  }
-  visited.add(id);
-  // Ensure cell exists in currentSheet.cells
-  if (!currentSheet.cells[id]) {
-    // Get the default model from the main selector
-    const mainModelSelect = document.getElementById('model-select');
-    const defaultModel = mainModelSelect ? mainModelSelect.value : 'gpt-3.5-turbo';
-    currentSheet.cells[id] = { prompt: '', output: '', model: defaultModel, temperature: 0.7 };
-  }
-  const cell = currentSheet.cells[id];
+function offsetReferenceTransform(columnOffset, rowOffset) {
+  return reference => ({
+    column: reference.columnAbsolute ? reference.column : reference.column + columnOffset,
+    row: reference.rowAbsolute ? reference.row : reference.row + rowOffset
+  });
+}
 
-  // Show processing indicator
-  const outDiv = document.getElementById('output-' + id);
-  if (outDiv) {
-    outDiv.textContent = 'Processing...';
-    outDiv.style.color = '#6c757d';
-    outDiv.style.fontStyle = 'italic';
-  }
+/**
+ * Update every reference into the current sheet after a row or column
+ * was inserted or deleted
+ * 
+ * Absolute and relative references both follow the cells they point at.
+ * References to a deleted row or column become #REF!, and ranges that
+ * cross it shrink. Covers the prompts of every loaded sheet and, for
+ * columns, the sheet's column templates. Rewritten prompts are saved.
+ * 
+ * @param {string} axis - 'row' or 'column'
+ * @param {number} index - Zero-based index of the inserted or deleted row/column
+ * @param {boolean} inserted - True for an insert, false for a delete
+ * @returns {void}
+ */
+function shiftSheetReferences(axis, index, inserted) {
+  const edgeKey = axis === 'row' ? 'rowEdge' : 'columnEdge';
+  const shift = (position, edge) => {
+    if (inserted) return position >= index ? position + 1 : position;
+    if (position !== index) return position > index ? position - 1 : position;
+    // A deleted corner of a range closes in on the remaining cells
+    if (edge === 'start') return index;
+    if (edge === 'end') return index - 1;
+    return null;
+  };
 
-  // Check if this is an Excel formula first
-  if (isFormula(cell.prompt)) {
+  sheets.forEach(sheet => {
+    Object.entries(sheet.cells || {}).forEach(([cellId, cell]) => {
+      if (!cell || !cell.prompt) return;
 
-    try {
-      const result = parseFormula(cell.prompt);
-      cell.output = String(result);
+      const prompt = rewriteCellReferences(cell.prompt, reference => {
+        const pointsHere = reference.sheet === null ? sheet === currentSheet : reference.sheet === currentSheet.name;
+        if (!pointsHere) return reference;
 
-      // Update the output display
-      if (outDiv) {
-        outDiv.textContent = cell.output;
-        outDiv.style.color = '#000000';
-        outDiv.style.fontStyle = 'normal';
-      }
+        const position = shift(reference[axis], reference[edgeKey]);
+        return position === null ? null : { ...reference, [axis]: position };
+      });
 
-      // Mark cell as processed
-      const cellContainer = document.querySelector(`#prompt-${id}`)?.closest('.cell-container');
-      if (cellContainer) {
-        cellContainer.classList.remove('processing');
-        cellContainer.classList.add('success');
-        setTimeout(() => cellContainer.classList.remove('success'), 2000);
+      if (prompt !== cell.prompt) {
+        cell.prompt = prompt;
+        const textarea = sheet === currentSheet ? document.getElementById('prompt-' + cellId) : null;
+        if (textarea) {
+          textarea.value = prompt;
+        }
+        persistSheetCell(sheet, cellId);
       }
+    });
+  });
 
-      return; // Exit early for formulas
-    } catch (error) {
-      console.error(`❌ Excel formula error for ${id}:`, error);
-      cell.output = '#ERROR';
-      if (outDiv) {
-        outDiv.textContent = '#ERROR';
-        outDiv.style.color = '#dc3545';
-        outDiv.style.fontStyle = 'normal';
-      }
-      return; // Exit early for formula errors
-    }
+  if (axis !== 'column' || !currentSheet.columnTemplates || Object.keys(currentSheet.columnTemplates).length === 0) {
+    return;
   }
 
-  // Resolve dependencies (including cross-sheet references)
+  // Column templates are keyed by column and read other columns as {{A$row}}
+  const columnTemplates = {};
+  Object.entries(currentSheet.columnTemplates).forEach(([column, template]) => {
+    const position = shift(columnLettersToIndex(column), null);
+    if (position === null) return;
 
+    const prompt = template.prompt.replace(/\{\{((?:prompt|output|system):)?([A-Z]+)(\$row\b[^}]*)\}\}/g, (match, prefix, referenced, rest) => {
+      const referencedPosition = shift(columnLettersToIndex(referenced), null);
+      return referencedPosition === null
+        ? `{{${prefix || ''}${FORMULA_ERRORS.REF}}}`
+        : `{{${prefix || ''}${columnIndexToLetters(referencedPosition)}${rest}}}`;
+    });
+    columnTemplates[columnIndexToLetters(position)] = { ...template, prompt };
+  });
+  currentSheet.columnTemplates = columnTemplates;
 
+  Object.values(currentSheet.cells).forEach(cell => {
+    if (cell && cell.columnTemplate) {
+      const position = shift(columnLettersToIndex(cell.columnTemplate), null);
+      cell.columnTemplate = position === null ? null : columnIndexToLetters(position);
+    }
+  });
 
-  const deps = parseDependencies(cell.prompt);
+  saveSheetColumnTemplates();
+}
 
-  // Handle dependencies - only run cells from current sheet
-  for (const depId of deps) {
-    // Skip cross-sheet references (they don't need to be run)
-    if (depId.includes('!')) {
-      continue;
+/**
+ * List every cell a cell reads from
+ * 
+ * Covers formula references (A1, Sheet2!A1, A1:B3) and template
+ * references ({{A1}}, {{prompt:A1}}, {{Sheet2!A1}}, {{A1-2}}, {{table:A1:B3}}).
+ * 
+ * @param {Object} cell - Cell object
+ * @param {Object} [options]
+ * @param {boolean} [options.includeRanges=true] - Include the cells of {{A1:B3}} ranges
+ * @returns {Array<{sheet: (string|null), cellId: string}>} Referenced cells (sheet null = same sheet)
+ */
+function getCellReferences(cell, { includeRanges = true } = {}) {
+  const references = [];
+  const prompt = cell && cell.prompt;
+  if (!prompt) return references;
+
+  if (isFormula(prompt)) {
+    try {
+      tokenizeFormula(prompt.substring(1)).forEach(token => {
+        if (token.type === 'ref') {
+          references.push({ sheet: token.sheet, cellId: token.value });
+        } else if (token.type === 'range') {
+          expandCellRange(token.value).forEach(cellId => references.push({ sheet: token.sheet, cellId }));
+        }
+      });
+    } catch (error) {
+      // Malformed formula - it evaluates to an error value and has no inputs
     }
+  }
 
-    if (!currentSheet.cells[depId]) {
+  parseDependencies(prompt).forEach(reference => {
+    const range = parseTemplateRange(reference);
+    if (range) {
+      if (includeRanges) {
+        expandCellRange(range.range).forEach(cellId => references.push({ sheet: range.sheet, cellId }));
+      }
+      return;
+    }
+    const target = parseTemplateReference(reference);
+    if (target) references.push(target);
+  });
+
+  return references;
+}
+
+/**
+ * Build the dependency graph across all sheets
+ * 
+ * @returns {Map<string, Set<string>>} Cell key -> keys of the cells that read it
+ */
+function buildDependencyGraph() {
+  const graph = new Map();
+
+  for (const sheet of sheets) {
+    for (const [cellId, cell] of Object.entries(sheet.cells || {})) {
+      const dependentKey = getCellGraphKey(sheet, cellId);
+      getCellReferences(cell).forEach(reference => {
+        const referencedSheet = reference.sheet ? sheets.find(s => s.name === reference.sheet) : sheet;
+        if (!referencedSheet) return;
+
+        const key = getCellGraphKey(referencedSheet, reference.cellId);
+        if (!graph.has(key)) {
+          graph.set(key, new Set());
+        }
+        graph.get(key).add(dependentKey);
+      });
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Split a graph key back into its sheet and cell
+ * 
+ * @param {string} key - Key from getCellGraphKey
+ * @returns {{sheet: (Object|undefined), cellId: string}} The sheet object and cell ID
+ */
+function parseCellGraphKey(key) {
+  const separator = key.lastIndexOf('!');
+  const sheetName = key.substring(0, separator);
+  return { sheet: sheets.find(s => s.name === sheetName), cellId: key.substring(separator + 1) };
+}
+
+/**
+ * Format a graph key the way the rest of the app names cells:
+ * "A1" on the current sheet, "Sheet2!A1" elsewhere
+ * 
+ * @param {string} key - Key from getCellGraphKey
+ * @returns {string} Display cell ID
+ */
+function formatCellGraphKey(key) {
+  const { sheet, cellId } = parseCellGraphKey(key);
+  return sheet && sheet === currentSheet ? cellId : key;
+}
+
+/**
+ * Find the cells that sit on a dependency cycle (Tarjan's strongly connected components)
+ * 
+ * @param {Map<string, Set<string>>} graph - Graph from buildDependencyGraph
+ * @returns {Map<string, number>} Cell key -> index of its cycle; cells on no cycle are absent
+ */
+function findDependencyCycles(graph) {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycleOf = new Map();
+  let nextIndex = 0;
+  let cycleCount = 0;
+
+  const visit = (key) => {
+    index.set(key, nextIndex);
+    lowLink.set(key, nextIndex);
+    nextIndex++;
+    stack.push(key);
+    onStack.add(key);
+
+    for (const dependentKey of graph.get(key) || []) {
+      if (!index.has(dependentKey)) {
+        visit(dependentKey);
+        lowLink.set(key, Math.min(lowLink.get(key), lowLink.get(dependentKey)));
+      } else if (onStack.has(dependentKey)) {
+        lowLink.set(key, Math.min(lowLink.get(key), index.get(dependentKey)));
+      }
+    }
+
+    if (lowLink.get(key) === index.get(key)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== key);
+
+      // A single cell is only a cycle if it reads itself
+      if (component.length > 1 || (graph.get(key) && graph.get(key).has(key))) {
+        component.forEach(componentKey => cycleOf.set(componentKey, cycleCount));
+        cycleCount++;
+      }
+    }
+  };
+
+  for (const key of graph.keys()) {
+    if (!index.has(key)) visit(key);
+  }
+  return cycleOf;
+}
+
+/**
+ * Find the shortest dependency loop through a cell, following references
+ * (A1 → B2 means A1 reads B2)
+ * 
+ * @param {string} cellId - Cell identifier
+ * @param {Object} [sheet=currentSheet] - Sheet containing the cell
+ * @param {Map<string, Set<string>>} [graph] - Graph from buildDependencyGraph
+ * @returns {Array<string>|null} Display IDs from the cell back to itself, or null if it's on no cycle
+ * 
+ * @example
+ * findCellCycle('A1') // ['A1', 'B2', 'Sheet2!C3', 'A1']
+ */
+function findCellCycle(cellId, sheet = currentSheet, graph = buildDependencyGraph()) {
+  const startKey = getCellGraphKey(sheet, cellId);
+
+  // The graph points from a cell to its readers; walk it the other way
+  const reads = new Map();
+  for (const [key, dependents] of graph) {
+    dependents.forEach(dependentKey => {
+      if (!reads.has(dependentKey)) reads.set(dependentKey, []);
+      reads.get(dependentKey).push(key);
+    });
+  }
+
+  const previous = new Map();
+  const pending = [startKey];
+  while (pending.length > 0) {
+    const key = pending.shift();
+    for (const referencedKey of reads.get(key) || []) {
+      if (referencedKey === startKey) {
+        const path = [startKey];
+        for (let step = key; step !== startKey; step = previous.get(step)) {
+          path.splice(1, 0, step);
+        }
+        path.push(startKey);
+        return path.map(formatCellGraphKey);
+      }
+      if (!previous.has(referencedKey)) {
+        previous.set(referencedKey, key);
+        pending.push(referencedKey);
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Give a cell on a dependency cycle its #CYCLE! output and save it
+ * 
+ * @param {string} cellId - Cell identifier on the current sheet
+ * @param {Array<string>} cycle - Path from findCellCycle
+ * @returns {void}
+ */
+function markCellCycle(cellId, cycle) {
+  const cell = currentSheet.cells[cellId];
+  if (!cell) return;
+
+  cell.output = `${FORMULA_ERRORS.CYCLE} ${cycle.join(' → ')}`;
+  renderTextOutput(cellId, cell.output);
+  if (currentSheet.id) {
+    saveCellToDatabase(cellId, cell.prompt, cell.output, cell.model, cell.temperature, cell.cellPrompt || null, cell.autoRun || null, cell.interval || null);
+  }
+}
+
+/**
+ * Find all cells that depend on a given cell (including cross-sheet dependencies)
+ * 
+ * Uses the dependency graph, so both formula references (A1, A1:B3) and
+ * template references ({{A1}}, {{Sheet2!A1}}) are found.
+ * 
+ * @param {string} cellId - Cell identifier to find dependents for
+ * @returns {Array<string>} Array of cell IDs that depend on the given cell
+ *                          Format: "cellId" for same sheet, "sheetName!cellId" for cross-sheet
+ * 
+ * @example
+ * // Find all cells that reference A1
+ * const dependents = findDependentCells('A1') // Returns ['B2', 'Sheet2!C3']
+ */
+function findDependentCells(cellId) {
+  const dependents = buildDependencyGraph().get(getCellGraphKey(currentSheet, cellId));
+  return dependents ? Array.from(dependents).map(formatCellGraphKey) : [];
+}
+
+/**
+ * Save a cell of any sheet (saveCellToDatabase only handles the current sheet)
+ * 
+ * @param {Object} sheet - Sheet containing the cell
+ * @param {string} cellId - Cell identifier
+ * @returns {Promise<void>}
+ */
+async function persistSheetCell(sheet, cellId) {
+  const cell = sheet.cells[cellId];
+  if (!cell || !sheet.id) return;
+
+  if (sheet === currentSheet) {
+    await saveCellToDatabase(cellId, cell.prompt, cell.output, cell.model, cell.temperature, cell.cellPrompt || null, cell.autoRun || null, cell.interval || null);
+    return;
+  }
+
+  try {
+    const userId = currentUser ? currentUser.uid : 'demo-user-123';
+    const projectId = currentProjectId || 'default-project';
+    await firestoreService.saveCell(userId, projectId, sheet.id, cellId, {
+      prompt: cell.prompt,
+      output: cell.output,
+      model: cell.model,
+      temperature: cell.temperature,
+      cellPrompt: cell.cellPrompt || '',
+      autoRun: cell.autoRun || false,
+      interval: cell.interval || 0,
+      generations: cell.generations || [],
+      pendingJobId: cell.pendingJobId || null,
+      stale: cell.stale || false,
+      mediaOptions: cell.mediaOptions || null,
+      bypassCache: cell.bypassCache || false,
+      responseSchema: cell.responseSchema || '',
+      cellType: cell.cellType || 'single',
+      systemPrompt: cell.systemPrompt || '',
+      messages: cell.messages || [],
+      columnTemplate: cell.columnTemplate || null,
+      updatedAt: new Date()
+    });
+  } catch (error) {
+    console.error(`❌ Error saving cell ${sheet.name}!${cellId}:`, error);
+  }
+}
+
+/**
+ * Show or hide a card's "stale" badge
+ * 
+ * @param {string} cellId - Cell identifier on the current sheet
+ * @returns {void}
+ */
+function updateStaleIndicator(cellId) {
+  const indicator = document.getElementById(`stale-${cellId}`);
+  const cell = currentSheet.cells[cellId];
+  if (indicator) {
+    indicator.style.display = cell && cell.stale ? 'inline' : 'none';
+  }
+}
+
+/**
+ * Sort graph keys so every cell comes after the cells it reads (Kahn's algorithm)
+ * 
+ * Only edges between the given keys are considered. Keys caught in a cycle
+ * are left out of the result.
+ * 
+ * @param {Map<string, Set<string>>} graph - Graph from buildDependencyGraph
+ * @param {Iterable<string>} keys - Keys to sort
+ * @returns {Array<string>} Keys in dependency order
+ */
+function orderCellGraphKeys(graph, keys) {
+  const inDegree = new Map(Array.from(keys, key => [key, 0]));
+  for (const key of inDegree.keys()) {
+    for (const dependentKey of graph.get(key) || []) {
+      if (inDegree.has(dependentKey)) {
+        inDegree.set(dependentKey, inDegree.get(dependentKey) + 1);
+      }
+    }
+  }
+
+  const ready = Array.from(inDegree.keys()).filter(key => inDegree.get(key) === 0);
+  const order = [];
+  while (ready.length > 0) {
+    const key = ready.shift();
+    order.push(key);
+    for (const dependentKey of graph.get(key) || []) {
+      if (!inDegree.has(dependentKey)) continue;
+      inDegree.set(dependentKey, inDegree.get(dependentKey) - 1);
+      if (inDegree.get(dependentKey) === 0) ready.push(dependentKey);
+    }
+  }
+  return order;
+}
+
+/**
+ * Hash a string (32-bit FNV-1a) - used to fingerprint generation inputs
+ * 
+ * @param {string} text - Text to hash
+ * @returns {string} 8-character hex hash
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Fingerprint the inputs a cell would be generated from right now:
+ * its prompt, every {{reference}} resolved to its current value, and
+ * any selected generations
+ * 
+ * Stored on each generation as `inputHash` so we can tell when the
+ * cell's output was built from inputs that have since changed.
+ * 
+ * @param {string} cellId - Cell identifier on the current sheet
+ * @returns {Promise<string|null>} Hash, or null if the cell has no prompt
+ */
+async function computeCellInputHash(cellId) {
+  const cell = currentSheet.cells[cellId];
+  if (!cell || !cell.prompt) return null;
+
+  const parts = [cell.prompt];
+  for (const reference of parseDependencies(cell.prompt)) {
+    const value = await resolveCellReference(reference);
+    parts.push(`${reference}=${value !== null && value !== undefined ? String(value) : ''}`);
+  }
+  (cell.selectedGenerations || []).forEach(genRef => {
+    const refCell = currentSheet.cells[genRef.cellId];
+    const generation = refCell && refCell.generations && refCell.generations[genRef.generationNumber - 1];
+    parts.push(`${genRef.cellId}-${genRef.generationNumber}=${generation ? generation.output : ''}`);
+  });
+
+  return hashString(parts.join('\u0000'));
+}
+
+/**
+ * Recompute the stale flag of every AI cell on the current sheet by
+ * comparing the input hash of its latest generation with its current inputs
+ * 
+ * Generations saved before input hashes existed carry no hash; those cells
+ * keep whatever stale flag propagation gave them.
+ * 
+ * @returns {Promise<Array<string>>} IDs of the cells that are stale
+ */
+async function refreshStaleCells() {
+  const staleCells = [];
+  for (const [cellId, cell] of Object.entries(currentSheet.cells)) {
+    if (!cell.prompt || isFormula(cell.prompt)) continue;
+
+    const lastGeneration = cell.generations && cell.generations[cell.generations.length - 1];
+    if (lastGeneration && lastGeneration.inputHash) {
+      cell.stale = lastGeneration.inputHash !== await computeCellInputHash(cellId);
+    }
+    updateStaleIndicator(cellId);
+    if (cell.stale) staleCells.push(cellId);
+  }
+  return staleCells;
+}
+
+/**
+ * Re-run only the stale cells of the current sheet, upstream cells first
+ * 
+ * Each runCell cascades through runDependentCells, so a cell that has been
+ * refreshed by the time its turn comes is skipped.
+ * 
+ * @returns {Promise<void>}
+ */
+async function runStaleCells() {
+  const staleCells = await refreshStaleCells();
+  if (staleCells.length === 0) {
+    showSuccess('No stale cards - every output is up to date');
+    return;
+  }
+
+  const graph = buildDependencyGraph();
+  const staleKeys = new Set(staleCells.map(cellId => getCellGraphKey(currentSheet, cellId)));
+  const allKeys = Object.keys(currentSheet.cells).map(cellId => getCellGraphKey(currentSheet, cellId));
+  const ordered = orderCellGraphKeys(graph, allKeys).filter(key => staleKeys.has(key));
+  // Cells in a cycle have no order - run them last
+  staleKeys.forEach(key => {
+    if (!ordered.includes(key)) ordered.push(key);
+  });
+  const order = ordered.map(key => parseCellGraphKey(key).cellId);
+
+  const estimate = await estimateRunCost(order);
+  if (!confirmRunBudget(estimate, `${order.length} stale cells`)) {
+    console.log(`💸 Run Stale cancelled - estimate ${formatCost(estimate.total)} is over budget`);
+    return;
+  }
+
+  showBatchExecutionStart(order.length, 1, estimate);
+
+  const cancelEpoch = executionCancelEpoch;
+  let completedCells = 0;
+  for (let i = 0; i < order.length; i++) {
+    if (executionCancelEpoch !== cancelEpoch) break;
+    const cellId = order[i];
+    if (!currentSheet.cells[cellId] || !currentSheet.cells[cellId].stale) continue;
+
+    showBatchCellProgress(cellId, i + 1, order.length);
+    try {
+      await runCell(cellId, new Set());
+      completedCells++;
+    } catch (error) {
+      console.error(`Error running stale cell ${cellId}:`, error);
+      showError(`Failed to run cell ${cellId}: ${error.message}`);
+    }
+  }
+
+  showBatchExecutionComplete(completedCells, executionCancelEpoch !== cancelEpoch);
+}
+
+/**
+ * Propagate a change in a cell's output through the dependency graph
+ * 
+ * Formula cells downstream are recalculated in dependency order. AI cells
+ * that read a changed cell are marked stale - they are not re-run here.
+ * AI cells with autoRun enabled are returned so the caller can run them.
+ * 
+ * @param {string} cellId - Cell whose output changed
+ * @param {Object} [sheet=currentSheet] - Sheet containing the cell
+ * @returns {Array<string>} AutoRun AI cells to run ("A1" or "Sheet2!A1")
+ */
+function propagateCellChange(cellId, sheet = currentSheet) {
+  const graph = buildDependencyGraph();
+  const startKey = getCellGraphKey(sheet, cellId);
+
+  // Collect everything downstream; only formulas pass changes further on
+  const reachable = new Set();
+  const pending = [startKey];
+  while (pending.length > 0) {
+    const key = pending.pop();
+    for (const dependentKey of graph.get(key) || []) {
+      if (reachable.has(dependentKey) || dependentKey === startKey) continue;
+      reachable.add(dependentKey);
+      const { sheet: dependentSheet, cellId: dependentId } = parseCellGraphKey(dependentKey);
+      const dependentCell = dependentSheet && dependentSheet.cells[dependentId];
+      if (dependentCell && isFormula(dependentCell.prompt)) {
+        pending.push(dependentKey);
+      }
+    }
+  }
+
+  const order = orderCellGraphKeys(graph, reachable);
+
+  const autoRunCells = [];
+  order.forEach(key => {
+    const { sheet: dependentSheet, cellId: dependentId } = parseCellGraphKey(key);
+    const dependentCell = dependentSheet && dependentSheet.cells[dependentId];
+    if (!dependentCell || !dependentCell.prompt) return;
+
+    if (isFormula(dependentCell.prompt)) {
+      const value = String(parseFormula(dependentCell.prompt, dependentSheet));
+      if (value !== dependentCell.output) {
+        dependentCell.output = value;
+        persistSheetCell(dependentSheet, dependentId);
+      }
+    } else if (dependentCell.autoRun) {
+      autoRunCells.push(formatCellGraphKey(key));
+    } else if (!dependentCell.stale) {
+      dependentCell.stale = true;
+      if (dependentSheet === currentSheet) updateStaleIndicator(dependentId);
+      persistSheetCell(dependentSheet, dependentId);
+    }
+  });
+
+  return autoRunCells;
+}
+
+/**
+ * Recalculate a formula cell on the current sheet, save it and update
+ * everything downstream
+ * 
+ * @param {string} cellId - Cell identifier
+ * @param {Object} [options]
+ * @param {boolean} [options.cascade=true] - Update dependent cells too
+ * @returns {Promise<void>}
+ */
+async function recalculateFormulaCell(cellId, { cascade = true } = {}) {
+  const cell = currentSheet.cells[cellId];
+  if (!cell || !isFormula(cell.prompt)) return;
+
+  const cycle = findCellCycle(cellId);
+  cell.output = cycle ? `${FORMULA_ERRORS.CYCLE} ${cycle.join(' → ')}` : String(parseFormula(cell.prompt));
+  cell.stale = false;
+  updateStaleIndicator(cellId);
+  if (currentSheet.id) {
+    saveCellToDatabase(cellId, cell.prompt, cell.output, cell.model, cell.temperature, cell.cellPrompt || null, cell.autoRun || null, cell.interval || null);
+  }
+
+  if (cascade) {
+    await runDependentCells(cellId);
+  }
+}
+
+// Cross-sheet dependents run with currentSheet/cells switched to their sheet.
+// Other runs would then read and save into the wrong sheet, so they are
+// queued until no cell is running, and hold new runs back while they go.
+let cellRunsInFlight = 0;
+let crossSheetRun = null; // { visited, done } while a queued cell runs
+const crossSheetQueue = [];
+
+/**
+ * Run the queued cross-sheet dependents, one at a time, once nothing else is running
+ * 
+ * Their own auto-run dependents are queued behind them the same way.
+ * 
+ * @returns {Promise<void>}
+ */
+async function runQueuedCrossSheetCells() {
+  while (crossSheetQueue.length > 0 && !crossSheetRun && cellRunsInFlight === 0) {
+    const { sheetName, cellId, cancelEpoch } = crossSheetQueue.shift();
+    const targetSheet = sheets.find(sheet => sheet.name === sheetName);
+    if (!targetSheet || executionCancelEpoch !== cancelEpoch) continue;
+
+    let finish;
+    crossSheetRun = { visited: new Set(), done: new Promise(resolve => { finish = resolve; }) };
+
+    // Switch to the target sheet temporarily
+    const originalSheetIndex = currentSheetIndex;
+    const originalSheet = currentSheet;
+    currentSheetIndex = sheets.indexOf(targetSheet);
+    currentSheet = targetSheet;
+    cells = currentSheet.cells;
+    numRows = currentSheet.numRows;
+    numCols = currentSheet.numCols;
+
+    let succeeded = false;
+    try {
+      // Its dependents are queued below rather than run while the sheet is switched
+      await runCell(cellId, crossSheetRun.visited, { cascade: false });
+      succeeded = true;
+    } catch (error) {
+      console.error(`Error running dependent cell ${sheetName}!${cellId}:`, error);
+      showError(`Failed to run dependent cell ${sheetName}!${cellId}: ${error.message}`);
+    } finally {
+      // Switch back to original sheet
+      currentSheetIndex = originalSheetIndex;
+      currentSheet = originalSheet;
+      cells = currentSheet.cells;
+      numRows = currentSheet.numRows;
+      numCols = currentSheet.numCols;
+      renderGrid();
+
+      crossSheetRun = null;
+      finish();
+    }
+
+    if (succeeded) {
+      propagateCellChange(cellId, targetSheet).forEach(dependentId => {
+        const [dependentSheetName, dependentCellId] = dependentId.includes('!') ? dependentId.split('!') : [currentSheet.name, dependentId];
+        crossSheetQueue.push({ sheetName: dependentSheetName, cellId: dependentCellId, cancelEpoch });
+      });
+    }
+
+    // Runs that waited for this one go before the next queued cell
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+/**
+ * Run all dependent cells after a cell is updated
+ * 
+ * Recalculates downstream formulas and marks downstream AI cells stale
+ * (see propagateCellChange), then runs the AI cells that have auto-run
+ * enabled. Each of those cascades to its own dependents when it finishes.
+ * Dependents on other sheets are queued (see runQueuedCrossSheetCells) and
+ * run once nothing else is running. Provides visual feedback during execution.
+ * 
+ * @param {string} cellId - Cell identifier that was updated
+ * @param {Array<string>} [executionOrder=[]] - Array to track execution order
+ * @returns {Promise<void>}
+ * 
+ * @example
+ * // After updating cell A1, run all cells that depend on it
+ * await runDependentCells('A1')
+ */
+async function runDependentCells(cellId, executionOrder = []) {
+  // Recalculate formulas and mark AI cells stale; autoRun AI cells come back to be run
+  const autoRunDependentCells = propagateCellChange(cellId);
+
+  if (autoRunDependentCells.length === 0) {
+    // No dependent cells have auto-run enabled
+    return;
+  }
+
+  // Price the chain before spending anything
+  const estimate = await estimateRunCost(autoRunDependentCells);
+  if (!confirmRunBudget(estimate, `the ${autoRunDependentCells.length} cells that depend on ${cellId}`)) {
+    console.log(`💸 Dependency chain from ${cellId} cancelled - estimate ${formatCost(estimate.total)} is over budget`);
+    return;
+  }
+
+  // Show execution order to user
+  showExecutionOrder(cellId, autoRunDependentCells, estimate);
+
+  // Running dependent cells with auto-run enabled
+
+  // Run each dependent cell in sequence
+  const cancelEpoch = executionCancelEpoch;
+  for (let i = 0; i < autoRunDependentCells.length; i++) {
+    if (executionCancelEpoch !== cancelEpoch) {
+      console.log(`🛑 Dependency chain from ${cellId} cancelled`);
+      break;
+    }
+    const depCellId = autoRunDependentCells[i];
+
+    // Add to execution order
+    executionOrder.push(depCellId);
+
+    // Show which cell is currently running
+    showCellRunning(depCellId, i + 1, autoRunDependentCells.length);
+
+    try {
+      // Handle cross-sheet dependencies
+      if (depCellId.includes('!')) {
+        const [sheetName, cellId] = depCellId.split('!');
+        crossSheetQueue.push({ sheetName, cellId, cancelEpoch });
+        if (cellRunsInFlight === 0) {
+          runQueuedCrossSheetCells();
+        }
+      } else {
+        // Current sheet dependency
+        await runCell(depCellId);
+      }
+
+    } catch (error) {
+      console.error(`Error running dependent cell ${depCellId}:`, error);
+      showError(`Failed to run dependent cell ${depCellId}: ${error.message}`);
+    }
+  }
+
+  // Show completion message
+  showExecutionComplete(cellId, executionOrder);
+}
+
+// Generations waiting on the server queue: requestId -> cellId
+const queuedGenerations = new Map();
+let queueStatusTimer = null;
+const QUEUE_POLL_INTERVAL = 3000;
+
+/**
+ * Show (or hide) a short status line in a cell card.
+ * @param {string} cellId Cell identifier.
+ * @param {string|null} message Text to show, or null to hide the status line.
+ */
+function setCellStatus(cellId, message) {
+  const statusDiv = document.getElementById(`cell-status-${cellId}`);
+  if (!statusDiv) return;
+  if (message) {
+    statusDiv.textContent = message;
+    if (activeGenerations.has(cellId)) {
+      const cancelBtn = document.createElement('button');
+      cancelBtn.className = 'cell-cancel-btn';
+      cancelBtn.textContent = '✕ Cancel';
+      cancelBtn.title = 'Stop this generation';
+      cancelBtn.style.cssText = 'margin-left: 8px; padding: 1px 6px; font-size: 11px; border: 1px solid #dadce0; border-radius: 3px; background: white; color: #d93025; cursor: pointer;';
+      cancelBtn.onclick = (event) => {
+        event.stopPropagation();
+        cancelCellGeneration(cellId);
+      };
+      statusDiv.appendChild(cancelBtn);
+    }
+    statusDiv.style.display = 'block';
+  } else {
+    statusDiv.textContent = '';
+    statusDiv.style.display = 'none';
+  }
+}
+
+/**
+ * Track a generation request so its queue position is shown on the cell.
+ * A single poller serves every tracked request.
+ * @param {string} requestId ID sent with the /api/llm request.
+ * @param {string} cellId Cell that issued the request.
+ */
+function watchQueuePosition(requestId, cellId) {
+  queuedGenerations.set(requestId, cellId);
+  setCellStatus(cellId, '⏳ Queued...');
+  if (!queueStatusTimer) {
+    queueStatusTimer = setInterval(pollQueueStatus, QUEUE_POLL_INTERVAL);
+  }
+}
+
+/**
+ * Stop tracking a generation request and clear its cell status.
+ * @param {string} requestId ID sent with the /api/llm request.
+ */
+function unwatchQueuePosition(requestId) {
+  const cellId = queuedGenerations.get(requestId);
+  queuedGenerations.delete(requestId);
+  if (cellId) {
+    setCellStatus(cellId, null);
+  }
+  if (queuedGenerations.size === 0 && queueStatusTimer) {
+    clearInterval(queueStatusTimer);
+    queueStatusTimer = null;
+  }
+}
+
+/**
+ * Fetch the user's queue from the server and update the status of each
+ * tracked cell ("Queued (position N)" or "Running").
+ */
+async function pollQueueStatus() {
+  if (queuedGenerations.size === 0) return;
+  try {
+    const tokenResult = await authService.getIdToken();
+    if (!tokenResult.success) return;
+
+    const response = await fetch(`${getApiBaseUrl()}/api/queue`, {
+      headers: { 'Authorization': `Bearer ${tokenResult.token}` }
+    });
+    if (!response.ok) return;
+
+    const data = await response.json();
+    const jobsById = new Map((data.jobs || []).map(job => [job.id, job]));
+    for (const [requestId, cellId] of queuedGenerations) {
+      const job = jobsById.get(requestId);
+      if (!job) continue;
+      if (job.status === 'running') {
+        setCellStatus(cellId, '🔄 Running...');
+      } else if (job.position) {
+        setCellStatus(cellId, `⏳ Queued (position ${job.position})`);
+      }
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not fetch queue status:', error.message);
+  }
+}
+
+// In-flight generations: cellId -> { controller, requestId }
+const activeGenerations = new Map();
+// Bumped by cancelBatchExecution(); batch loops stop when it changes
+let executionCancelEpoch = 0;
+
+/**
+ * Stream a text generation from /api/llm/stream.
+ *
+ * The server answers with Server-Sent Events (`queued`, `token`, `done`,
+ * `error`). EventSource cannot POST, so the body is read with a fetch reader.
+ *
+ * @param {Object} payload Request body: prompt, messages, model, temperature, requestId, cache.
+ * @param {string} token Firebase ID token.
+ * @param {Function} onToken Called with the accumulated text after each token.
+ * @param {AbortSignal} signal Aborts the request (see cancelCellGeneration).
+ * @returns {Promise<{text: string, model: string, usage: Object|null, cached: boolean}>} The full generated text,
+ *   the model that answered (a fallback if the requested one failed), its usage and
+ *   whether it came from the response cache.
+ */
+async function streamGeneration(payload, token, onToken, signal) {
+  try {
+    const response = await fetch(`${getApiBaseUrl()}/api/llm/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      if (response.status === 401) {
+        throw new Error(errorData.error || 'Authentication required. Please sign in again.');
+      }
+      if (errorData.quota) {
+        // Plan quota used up (402) or too many requests per minute (429)
+        throw new Error(errorData.error);
+      }
+      throw new Error(`Server API Error ${response.status}: ${errorData.error || response.statusText}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const rawEvent of events) {
+        let eventName = 'message';
+        let data = '';
+        rawEvent.split('\n').forEach(line => {
+          if (line.startsWith('event:')) eventName = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+        if (!data) continue;
+
+        const parsed = JSON.parse(data);
+        if (eventName === 'token') {
+          text += parsed.text;
+          onToken(text);
+        } else if (eventName === 'done') {
+          return { text: parsed.text, model: parsed.model || payload.model, usage: parsed.usage || null, cached: parsed.cached === true };
+        } else if (eventName === 'error') {
+          throw new Error(parsed.error);
+        }
+      }
+    }
+
+    // Stream closed without a `done` event - keep what we received
+    return { text, model: payload.model, usage: null, cached: false };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Generation cancelled');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Cancel a cell's in-flight generation.
+ *
+ * Aborts the browser request and tells the server to drop the job, which
+ * aborts the upstream provider request or stops polling a video job.
+ *
+ * @param {string} cellId Cell identifier.
+ * @returns {boolean} True if a generation was running for the cell.
+ */
+function cancelCellGeneration(cellId) {
+  const generation = activeGenerations.get(cellId);
+  if (!generation) return false;
+
+  activeGenerations.delete(cellId);
+  generation.controller.abort();
+  requestServerCancel([generation.requestId]);
+  setCellStatus(cellId, '🛑 Cancelling...');
+  return true;
+}
+
+/**
+ * Stop the running batch (runAll or a dependency chain) and cancel every
+ * in-flight generation.
+ */
+function cancelBatchExecution() {
+  executionCancelEpoch++;
+
+  const requestIds = [];
+  for (const [cellId, generation] of activeGenerations) {
+    generation.controller.abort();
+    requestIds.push(generation.requestId);
+    setCellStatus(cellId, '🛑 Cancelling...');
+  }
+  activeGenerations.clear();
+  requestServerCancel(requestIds);
+
+  const batchNotification = document.getElementById('batch-execution-notification');
+  if (batchNotification) {
+    batchNotification.querySelector('.batch-cancel-btn')?.remove();
+    batchNotification.querySelector('.batch-status').textContent = 'Cancelling...';
+  }
+}
+
+/**
+ * Ask the server to cancel generations. Closing the fetch usually suffices,
+ * but proxies may keep the upstream connection open, so cancel explicitly.
+ * @param {string[]} requestIds IDs sent with the generation requests.
+ */
+async function requestServerCancel(requestIds) {
+  if (requestIds.length === 0) return;
+  try {
+    const tokenResult = await authService.getIdToken();
+    if (!tokenResult.success) return;
+
+    await fetch(`${getApiBaseUrl()}/api/llm/cancel`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${tokenResult.token}`
+      },
+      body: JSON.stringify({ requestIds })
+    });
+  } catch (error) {
+    console.warn('⚠️ Could not notify server of cancellation:', error.message);
+  }
+}
+
+const VIDEO_JOB_POLL_INTERVAL = 5000;
+
+/**
+ * Start a video generation job on the server and wait for its result.
+ *
+ * The job ID is saved on the cell as `pendingJobId`, so a reload can pick the
+ * finished video up again (see resumePendingVideoJobs).
+ *
+ * @param {string} cellId Cell being generated.
+ * @param {Object} payload Request body: prompt, model, temperature, requestId.
+ * @param {string} token Firebase ID token.
+ * @param {AbortSignal} signal Stops waiting (see cancelCellGeneration).
+ * @returns {Promise<{url: string, usage: Object|null}>} The video URL and its usage.
+ */
+async function runVideoJob(cellId, payload, token, signal) {
+  const response = await fetch(`${getApiBaseUrl()}/api/jobs`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ ...payload, cellId, sheetId: currentSheet.id }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    if (response.status === 401) {
+      throw new Error(errorData.error || 'Authentication required. Please sign in again.');
+    }
+    if (errorData.quota) {
+      // Plan quota used up (402) or too many requests per minute (429)
+      throw new Error(errorData.error);
+    }
+    throw new Error(`Server API Error ${response.status}: ${errorData.error || response.statusText}`);
+  }
+
+  const { job } = await response.json();
+  const cell = currentSheet.cells[cellId];
+  cell.pendingJobId = job.id;
+  if (currentSheet.id) {
+    saveCellToDatabase(cellId, cell.prompt, cell.output, cell.model, cell.temperature, cell.cellPrompt || null, cell.autoRun || null, cell.interval || null);
+  }
+
+  try {
+    return await waitForVideoJob(cellId, job.id, signal);
+  } finally {
+    cell.pendingJobId = null;
+  }
+}
+
+/**
+ * Poll a video job until it finishes, showing its progress on the cell.
+ * @param {string} cellId Cell that owns the job.
+ * @param {string} jobId Job ID returned by POST /api/jobs.
+ * @param {AbortSignal} signal Stops polling when aborted.
+ * @returns {Promise<{url: string, usage: Object|null}>} The video URL and its usage.
+ */
+async function waitForVideoJob(cellId, jobId, signal) {
+  while (true) {
+    if (signal.aborted) {
+      throw new Error('Generation cancelled');
+    }
+
+    // Fetch a fresh token each time - renders can outlast an ID token
+    const tokenResult = await authService.getIdToken();
+    if (!tokenResult.success) {
+      throw new Error('Authentication required');
+    }
+
+    const response = await fetch(`${getApiBaseUrl()}/api/jobs/${encodeURIComponent(jobId)}`, {
+      headers: { 'Authorization': `Bearer ${tokenResult.token}` },
+      signal
+    });
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`Video job ${jobId}: ${errorData.error || response.statusText}`);
+    }
+
+    const { job } = await response.json();
+    if (job.status === 'completed') {
+      return { url: job.result, usage: job.usage || null };
+    }
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'Video generation failed');
+    }
+    if (job.status === 'cancelled') {
+      throw new Error('Generation cancelled');
+    }
+
+    if (job.status === 'queued') {
+      setCellStatus(cellId, job.position ? `🎬 Video queued (position ${job.position})` : '🎬 Video queued...');
+    } else {
+      setCellStatus(cellId, `🎬 Rendering video... ${job.progress || 0}%`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, VIDEO_JOB_POLL_INTERVAL));
+  }
+}
+
+/**
+ * Pick up video jobs that were still running when the page was closed.
+ *
+ * Called after the current sheet's cells load. Finished videos are written to
+ * the cell as a new generation; jobs still rendering show their progress.
+ *
+ * @param {Object} sheet Sheet whose cells were just loaded.
+ */
+function resumePendingVideoJobs(sheet) {
+  // Job status requires a signed-in user
+  if (!currentUser) return;
+
+  Object.entries(sheet.cells || {}).forEach(async ([cellId, cell]) => {
+    if (!cell.pendingJobId || activeGenerations.has(cellId)) return;
+
+    const jobId = cell.pendingJobId;
+    const controller = new AbortController();
+    activeGenerations.set(cellId, { controller, requestId: jobId });
+    console.log(`🎬 Resuming video job ${jobId} for cell ${cellId}`);
+
+    try {
+      const { url: videoUrl, usage } = await waitForVideoJob(cellId, jobId, controller.signal);
+      cell.output = videoUrl;
+      if (!cell.generations) {
+        cell.generations = [];
+      }
+      cell.generations.push({
+        timestamp: new Date().toISOString(),
+        prompt: cell.prompt,
+        model: cell.model,
+        temperature: cell.temperature,
+        output: videoUrl,
+        type: getMediaType(videoUrl),
+        usage
+      });
+      showSuccess(`Video for cell ${cellId} finished rendering`);
+    } catch (error) {
+      if (error.message !== 'Generation cancelled') {
+        cell.output = `Error: ${error.message}`;
+        showError(`Video job for cell ${cellId} failed: ${error.message}`);
+      }
+    } finally {
+      if (activeGenerations.get(cellId)?.requestId === jobId) {
+        activeGenerations.delete(cellId);
+      }
+      setCellStatus(cellId, null);
+    }
+
+    // Only write back while the sheet is still open; otherwise the job is
+    // picked up again the next time the sheet loads
+    if (currentSheet && currentSheet.id === sheet.id) {
+      cell.pendingJobId = null;
+      renderTextOutput(cellId, cell.output);
+      saveCellToDatabase(cellId, cell.prompt, cell.output, cell.model, cell.temperature, cell.cellPrompt || null, cell.autoRun || null, cell.interval || null);
+    }
+  });
+}
+
+/**
+ * Build a cell's system prompt
+ * 
+ * Joins the cells referenced as {{system:B1}} in the prompt and the cell's own
+ * system prompt (whose {{references}} are resolved to their current values).
+ * 
+ * @param {Object} cell - Cell object
+ * @returns {Promise<string>} The system prompt, '' if the cell has none
+ */
+async function buildSystemPrompt(cell) {
+  const parts = [];
+  for (const reference of parseDependencies(cell.prompt || '')) {
+    if (reference.startsWith('system:')) {
+      parts.push(await resolveCellReference(reference));
+    }
+  }
+
+  if (cell.systemPrompt && cell.systemPrompt.trim() !== '') {
+    let systemPrompt = stripPromptAbsoluteMarkers(cell.systemPrompt);
+    for (const reference of parseDependencies(systemPrompt)) {
+      const value = await resolveCellReference(reference);
+      systemPrompt = systemPrompt.split(`{{${reference}}}`).join(value !== null && value !== undefined ? String(value) : '');
+    }
+    parts.push(systemPrompt);
+  }
+
+  return parts.map(part => part.trim()).filter(Boolean).join('\n\n');
+}
+
+// Characters of conversation history kept on a cell; the whole cell has to
+// fit in one Firestore document (1 MB)
+const MAX_CONVERSATION_CHARS = 200000;
+
+/**
+ * Drop a conversation's oldest turns until it fits MAX_CONVERSATION_CHARS
+ * 
+ * System turns are left out (buildChatMessages rebuilds them on every run),
+ * the latest exchange is always kept, and the thread still starts with a
+ * user turn.
+ * 
+ * @param {Array<{role: string, content: string}>} messages - Conversation turns
+ * @returns {Array<{role: string, content: string}>} The turns worth storing
+ */
+function trimConversationHistory(messages) {
+  const turns = messages.filter(message => message.role !== 'system');
+  let length = turns.reduce((sum, message) => sum + message.content.length, 0);
+  let start = 0;
+  while (start < turns.length - 2 && (length > MAX_CONVERSATION_CHARS || turns[start].role !== 'user')) {
+    length -= turns[start].content.length;
+    start++;
+  }
+  return turns.slice(start);
+}
+
+/**
+ * Build the turns sent for a text generation with a system prompt or history
+ * 
+ * Conversation cells send their stored thread followed by the new user turn;
+ * other cells send just the system prompt and the prompt.
+ * 
+ * @param {Object} cell - Cell object
+ * @param {string} systemPrompt - From buildSystemPrompt
+ * @param {string} userPrompt - The resolved prompt for this run
+ * @returns {Array<{role: string, content: string}>|undefined} Turns, or undefined to send the plain prompt
+ */
+function buildChatMessages(cell, systemPrompt, userPrompt) {
+  const isConversation = cell.cellType === 'conversation';
+  if (!isConversation && !systemPrompt) return undefined;
+
+  const messages = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+  if (isConversation) {
+    // The system turn is rebuilt on every run, so referenced cells stay current
+    messages.push(...(cell.messages || []).filter(message => message.role !== 'system'));
+  }
+  messages.push({ role: 'user', content: userPrompt });
+  return messages;
+}
+
+/**
+ * Recursively run a cell by resolving dependencies and calling the API.
+ * 
+ * Waits while a cross-sheet dependent has the globals switched to its sheet
+ * (see runQueuedCrossSheetCells), unless this run is part of it.
+ * 
+ * @param {string} id Cell identifier to run.
+ * @param {Set<string>} visited Cell IDs already run in this pass (shared upstream cells run once).
+ */
+async function runCell(id, visited = new Set(), options = {}) {
+  while (crossSheetRun && visited !== crossSheetRun.visited) {
+    await crossSheetRun.done;
+  }
+
+  cellRunsInFlight++;
+  try {
+    return await runCellOnCurrentSheet(id, visited, options);
+  } finally {
+    cellRunsInFlight--;
+    if (cellRunsInFlight === 0 && crossSheetQueue.length > 0) {
+      // Let runs that were waiting start first; the queue drains once they're all done
+      setTimeout(runQueuedCrossSheetCells, 0);
+    }
+  }
+}
+
+/**
+ * Run a cell on the current sheet (the body of runCell)
+ * 
+ * @param {string} id Cell identifier to run.
+ * @param {Set<string>} visited Cell IDs already run in this pass.
+ */
+async function runCellOnCurrentSheet(id, visited, { cascade = true } = {}) {
+  if (visited.has(id)) {
+    // Already run in this pass - two cells can share an upstream cell
+    return;
+  }
+  visited.add(id);
+
+  // Cells on a dependency loop can never resolve - say which cells form it
+  const cycle = currentSheet.cells[id] ? findCellCycle(id) : null;
+  if (cycle) {
+    markCellCycle(id, cycle);
+    showError(`Circular reference in ${id}: ${cycle.join(' → ')}`);
+    return;
+  }
+  // Ensure cell exists in currentSheet.cells
+  if (!currentSheet.cells[id]) {
+    // Get the default model from the main selector
+    const mainModelSelect = document.getElementById('model-select');
+    const defaultModel = mainModelSelect ? mainModelSelect.value : 'gpt-3.5-turbo';
+    currentSheet.cells[id] = { prompt: '', output: '', model: defaultModel, temperature: 0.7 };
+  }
+  const cell = currentSheet.cells[id];
+
+  // Show processing indicator
+  const outDiv = document.getElementById('output-' + id);
+  if (outDiv) {
+    outDiv.textContent = 'Processing...';
+    outDiv.style.color = '#6c757d';
+    outDiv.style.fontStyle = 'italic';
+  }
+
+  // Check if this is an Excel formula first
+  if (isFormula(cell.prompt)) {
+
+    try {
+      await recalculateFormulaCell(id, { cascade });
+
+      // Update the output display
+      if (outDiv) {
+        outDiv.textContent = cell.output;
+        outDiv.style.color = '#000000';
+        outDiv.style.fontStyle = 'normal';
+      }
+
+      // Mark cell as processed
+      const cellContainer = document.querySelector(`#prompt-${id}`)?.closest('.cell-container');
+      if (cellContainer) {
+        cellContainer.classList.remove('processing');
+        cellContainer.classList.add('success');
+        setTimeout(() => cellContainer.classList.remove('success'), 2000);
+      }
+
+      return; // Exit early for formulas
+    } catch (error) {
+      console.error(`❌ Excel formula error for ${id}:`, error);
+      cell.output = '#ERROR';
+      if (outDiv) {
+        outDiv.textContent = '#ERROR';
+        outDiv.style.color = '#dc3545';
+        outDiv.style.fontStyle = 'normal';
+      }
+      return; // Exit early for formula errors
+    }
+  }
+
+  // Resolve dependencies (including cross-sheet references)
+
+
+
+  const deps = parseDependencies(cell.prompt);
+
+  // Handle dependencies - only run cells from current sheet
+  for (const depRef of deps) {
+    // Ranges read blank cells as empty; run the ones with a prompt but no output yet
+    const range = parseTemplateRange(depRef);
+    if (range) {
+      // Cross-sheet ranges are read as they are, like cross-sheet cells
+      if (range.sheet !== null) {
+        continue;
+      }
+      for (const rangeCellId of expandCellRange(range.range, currentSheet)) {
+        const rangeCell = currentSheet.cells[rangeCellId];
+        if (rangeCell && rangeCell.prompt && rangeCell.prompt.trim() !== '' && (!rangeCell.output || rangeCell.output.trim() === '')) {
+          await runCell(rangeCellId, visited);
+        }
+      }
+      continue;
+    }
+
+    // Prefixes, generation specs and field paths ({{system:A1}}, {{A1-2}}, {{A1.title}}) depend on the cell itself
+    const target = parseTemplateReference(depRef);
+    // Skip cross-sheet references (they don't need to be run)
+    if (!target || target.sheet !== null) {
+      continue;
+    }
+    const depId = target.cellId;
+
+    if (!currentSheet.cells[depId]) {
 
       // Create the cell if it doesn't exist
       // Get the default model for new cells
@@ -3465,9 +5581,11 @@ async function runCell(id, visited = new Set()) {
 
   }
 
-  // Replace all dependency references in the prompt
+  // Replace all dependency references in the prompt. {{system:B1}} is
+  // removed here; B1 becomes the system prompt (see buildSystemPrompt).
+  processedPrompt = stripPromptAbsoluteMarkers(processedPrompt);
   for (const depId of deps) {
-    const replacement = await resolveCellReference(depId);
+    const replacement = depId.startsWith('system:') ? '' : await resolveCellReference(depId);
     
     // Ensure replacement is a string and handle undefined/null
     const replacementValue = replacement !== null && replacement !== undefined ? String(replacement) : '[Reference not found]';
@@ -3635,41 +5753,110 @@ async function runCell(id, visited = new Set()) {
       const selectedModel = availableModels.find(m => m.id === finalModel);
       const modelForApi = selectedModel ? (selectedModel.originalId || selectedModel.id) : finalModel;
 
+      // Fingerprint the inputs now - they may change while this runs
+      const inputHash = await computeCellInputHash(id);
+
       // Log before making the request
       console.log(`🚀 Preparing to send API request - Model: ${modelForApi}, Prompt length: ${processedPrompt.length}`);
       console.log(`📝 Prompt preview: ${processedPrompt.substring(0, 200)}...`);
 
       // Try server API first, fallback to client-side AI
       let content;
+      let usage = null;
+      let answeredModel = modelForApi;
+      let cached = false;
+      // Identical earlier runs are answered from the server's cache unless the card opts out
+      const useCache = isResponseCacheEnabled() && !cell.bypassCache;
+      // Structured output: the server validates the answer against the cell's schema
+      let responseSchema;
+      if (cell.responseSchema && (!selectedModel || selectedModel.type === 'text')) {
+        try {
+          responseSchema = JSON.parse(cell.responseSchema);
+        } catch (error) {
+          throw new Error(`Invalid response schema: ${error.message}`);
+        }
+      }
+      // System prompt and conversation history go to the provider as separate turns
+      const messages = !selectedModel || selectedModel.type === 'text'
+        ? buildChatMessages(cell, await buildSystemPrompt(cell), processedPrompt.trim())
+        : undefined;
+      const requestId = `${id}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const controller = new AbortController();
+      activeGenerations.set(id, { controller, requestId });
       try {
         const apiUrl = `${getApiBaseUrl()}/api/llm`;
         console.log(`🌐 Sending request to: ${apiUrl}`);
-        const response = await fetch(apiUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${tokenResult.token}`
-          },
-          body: JSON.stringify({ prompt: processedPrompt, model: modelForApi, temperature }),
-        });
+        watchQueuePosition(requestId, id);
+
+        if (selectedModel && selectedModel.type === 'text' && !responseSchema) {
+          // Text models stream tokens into the cell as they arrive
+          ({ text: content, model: answeredModel, usage, cached } = await streamGeneration({ prompt: processedPrompt, messages, model: modelForApi, temperature, requestId, cache: useCache }, tokenResult.token, (partialText) => {
+            unwatchQueuePosition(requestId);
+            setCellStatus(id, '✍️ Streaming...');
+            renderTextOutput(id, partialText, { streaming: true });
+          }, controller.signal));
+          setCellStatus(id, null);
+        } else if (selectedModel && selectedModel.type === 'video') {
+          // Video runs as a server-side job so it survives dropped connections and reloads
+          unwatchQueuePosition(requestId);
+          ({ url: content, usage } = await runVideoJob(id, { prompt: processedPrompt, model: modelForApi, temperature, requestId }, tokenResult.token, controller.signal));
+          answeredModel = (usage && usage.model) || modelForApi;
+          setCellStatus(id, null);
+        } else {
+          const response = await fetch(apiUrl, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${tokenResult.token}`
+            },
+            // Voice, size and quality for image and speech models; the schema for structured text
+            body: JSON.stringify({ prompt: processedPrompt, messages, model: modelForApi, temperature, requestId, options: cell.mediaOptions || undefined, responseSchema, cache: useCache }),
+            signal: controller.signal
+          });
 
-        if (!response.ok) {
-          throw new Error(`Server API Error ${response.status}: ${response.statusText}`);
-        }
+          if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            if (response.status === 401) {
+              // Server rejected the Firebase ID token (missing, expired or revoked)
+              throw new Error(errorData.error || 'Authentication required. Please sign in again.');
+            }
+            if (errorData.quota) {
+              // Plan quota used up (402) or too many requests per minute (429)
+              throw new Error(errorData.error);
+            }
+            throw new Error(`Server API Error ${response.status}: ${errorData.error || response.statusText}`);
+          }
 
-        const data = await response.json();
+          const data = await response.json();
 
-        if (!data || typeof data.text === 'undefined') {
-          throw new Error('Invalid response from server');
-        }
+          if (!data || typeof data.text === 'undefined') {
+            throw new Error('Invalid response from server');
+          }
 
-        content = data.text || '';
+          content = data.text || '';
+          usage = data.usage || null;
+          answeredModel = data.model || modelForApi;
+          cached = data.cached === true;
+        }
       } catch (serverError) {
+        setCellStatus(id, null);
+        if (serverError.name === 'AbortError' || serverError.message === 'Generation cancelled') {
+          throw new Error('Generation cancelled');
+        }
 
         throw new Error(`Server unavailable: ${serverError.message}`);
+      } finally {
+        unwatchQueuePosition(requestId);
+        if (activeGenerations.get(id)?.requestId === requestId) {
+          activeGenerations.delete(id);
+        }
       }
 
       cell.output = content;
+      if (cell.cellType === 'conversation' && messages) {
+        // Follow-up runs continue the thread; the output is the latest reply
+        cell.messages = trimConversationHistory([...messages, { role: 'assistant', content }]);
+      }
 
       // Log this generation
       const generation = {
@@ -3678,7 +5865,14 @@ async function runCell(id, visited = new Set()) {
         model: finalModel,
         temperature: temperature,
         output: cell.output,
-        type: getMediaType(cell.output)
+        type: getMediaType(cell.output),
+        inputHash: inputHash,
+        // Set when the server fell back to another model (see the model's fallback list)
+        answeredBy: answeredModel !== modelForApi ? answeredModel : null,
+        // Served from the server's response cache - free, nothing was generated
+        cached: cached,
+        // Tokens, media counts and cost as priced by the server (see showCostReport)
+        usage: usage
       };
 
       // Initialize generations array if it doesn't exist
@@ -3687,6 +5881,8 @@ async function runCell(id, visited = new Set()) {
 
       }
       cell.generations.push(generation);
+      cell.stale = false;
+      updateStaleIndicator(id);
 
 
       // Test: Check if the generation was actually added
@@ -3704,6 +5900,15 @@ async function runCell(id, visited = new Set()) {
       showSuccess(`Generated ${generation.type} content in cell ${id}`);
 
     } catch (err) {
+      if (err.message === 'Generation cancelled') {
+        // Stopped by the user - restore the previous output and don't cascade
+        console.log(`🛑 Generation cancelled for cell ${id}`);
+        setCellStatus(id, null);
+        renderTextOutput(id, cell.output);
+        showSuccess(`Stopped generation in cell ${id}`);
+        return;
+      }
+
       console.error('Error in runCell:', err);
 
       // Check if it's a network error
@@ -3746,75 +5951,617 @@ async function runCell(id, visited = new Set()) {
   }
 
   // Run dependent cells after this cell is updated
-  await runDependentCells(id);
+  if (cascade) {
+    await runDependentCells(id);
+  }
 }
 
 /**
- * Run all cells in the grid in row-major order. This function does not attempt
- * a sophisticated topological sort; instead, it simply iterates through all
- * cells and runs each one. Because runCell handles dependencies recursively,
- * referenced cells will run first.
+ * Number of cells runAll generates at the same time. Users can override it
+ * with the `runAllConcurrency` user setting; the server still queues
+ * anything above its per-user limit.
  */
-async function runAll() {
-  // Find all cells that have prompts (filled cells)
-  const filledCells = [];
-  for (let r = 0; r < numRows; r++) {
-    for (let c = 0; c < numCols; c++) {
-      const id = getCellId(c, r);
-      const cell = cells[id];
-      if (cell && cell.prompt && cell.prompt.trim() !== '') {
-        filledCells.push({ id, row: r, col: c });
-      }
+const RUN_ALL_CONCURRENCY = 4;
+
+/**
+ * Get the runAll concurrency limit from the user's settings
+ * 
+ * @returns {number} Maximum number of cells to run at once
+ */
+function getRunAllConcurrency() {
+  try {
+    const settings = JSON.parse(localStorage.getItem('userSettings') || '{}');
+    const limit = parseInt(settings.runAllConcurrency, 10);
+    return limit > 0 ? limit : RUN_ALL_CONCURRENCY;
+  } catch (error) {
+    return RUN_ALL_CONCURRENCY;
+  }
+}
+
+/**
+ * Get the run budget from the user's settings
+ * 
+ * @returns {number|null} Most a single run may cost (USD) before we ask, or null for no limit
+ */
+function getRunBudget() {
+  try {
+    const settings = JSON.parse(localStorage.getItem('userSettings') || '{}');
+    const budget = parseFloat(settings.runBudget);
+    return budget >= 0 ? budget : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether the response cache is turned on in the user's settings
+ * 
+ * @returns {boolean} True to ask the server for cached answers to identical runs
+ */
+function isResponseCacheEnabled() {
+  try {
+    const settings = JSON.parse(localStorage.getItem('userSettings') || '{}');
+    return settings.useResponseCache === true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Estimate what running a set of cells will cost - a dry run, nothing is generated
+ * 
+ * Each cell's {{references}} are resolved to their current values with
+ * resolveCellReference and the prompts are priced by the server from
+ * model-config.js (tokens for text, counting a typical answer, images, video seconds). Formula
+ * cells cost nothing and are left out; for cells on other sheets ('Sheet2!A1')
+ * only sheet-qualified references are resolved. Without a run budget nothing
+ * is asked of the server.
+ * 
+ * @param {Array<string>} cellIds - Cells about to run
+ * @returns {Promise<{total: number, byModel: Array<Object>}|null>} Totals per model,
+ *          or null if no budget is set or the estimate could not be made
+ */
+async function estimateRunCost(cellIds) {
+  if (getRunBudget() === null) {
+    return null;
+  }
+
+  const items = [];
+  for (const cellId of cellIds) {
+    const [sheetName, localId] = cellId.includes('!') ? cellId.split('!') : [null, cellId];
+    const sheet = sheetName ? sheets.find(candidate => candidate.name === sheetName) : currentSheet;
+    const cell = sheet && sheet.cells && sheet.cells[localId];
+    if (!cell || !cell.prompt || isFormula(cell.prompt)) continue;
+
+    let prompt = stripPromptAbsoluteMarkers(cell.prompt);
+    for (const reference of parseDependencies(cell.prompt)) {
+      // Plain references in a cell on another sheet point into that sheet, not this one
+      if (sheetName && !reference.includes('!')) continue;
+      const value = await resolveCellReference(reference);
+      prompt = prompt.split(`{{${reference}}}`).join(value !== null && value !== undefined ? String(value) : '');
     }
+
+    const model = cell.model || 'gpt-3.5-turbo';
+    const selectedModel = availableModels.find(m => m.id === model);
+    items.push({ model: selectedModel ? (selectedModel.originalId || selectedModel.id) : model, label: model, prompt });
+  }
+  if (items.length === 0) {
+    return { total: 0, byModel: [] };
+  }
+
+  try {
+    const tokenResult = await authService.getIdToken();
+    if (!tokenResult.success) {
+      throw new Error('Authentication required');
+    }
+    const response = await fetch(`${getApiBaseUrl()}/api/estimate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${tokenResult.token}`
+      },
+      body: JSON.stringify({ items: items.map(({ model, prompt }) => ({ model, prompt })) })
+    });
+    if (!response.ok) {
+      throw new Error(`Estimate request failed (${response.status})`);
+    }
+    const { estimates } = await response.json();
+
+    const models = new Map();
+    estimates.forEach((estimate, index) => {
+      const model = items[index].label;
+      const row = models.get(model) || { model, cells: 0, tokens: 0, completionTokens: 0, images: 0, videoSeconds: 0, cost: 0 };
+      row.cells++;
+      row.tokens += estimate.tokens;
+      row.completionTokens += estimate.completionTokens;
+      row.images += estimate.images;
+      row.videoSeconds += estimate.videoSeconds;
+      row.cost += estimate.cost;
+      models.set(model, row);
+    });
+
+    const byModel = [...models.values()].sort((a, b) => b.cost - a.cost);
+    return { total: byModel.reduce((sum, row) => sum + row.cost, 0), byModel };
+  } catch (error) {
+    console.warn('⚠️ Could not estimate run cost:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Describe one model's share of a run estimate, e.g. "gpt-4o: $0.0120 (3 cells, 5,500 tokens incl. ~1,500 output)"
+ * 
+ * @param {Object} row - Entry of estimateRunCost().byModel
+ * @returns {string} Summary line
+ */
+function formatModelEstimate(row) {
+  const units = [`${row.cells} cell${row.cells === 1 ? '' : 's'}`];
+  if (row.tokens) units.push(`${row.tokens.toLocaleString()} tokens incl. ~${row.completionTokens.toLocaleString()} output`);
+  if (row.images) units.push(`${row.images} image${row.images === 1 ? '' : 's'}`);
+  if (row.videoSeconds) units.push(`${row.videoSeconds}s of video`);
+  return `${row.model}: ${formatCost(row.cost)} (${units.join(', ')})`;
+}
+
+/**
+ * Ask before a run whose estimate is over the user's run budget
+ * 
+ * Runs go ahead without asking when no budget is set or the estimate failed.
+ * 
+ * @param {Object|null} estimate - Result of estimateRunCost
+ * @param {string} description - What is about to run, e.g. "12 cells"
+ * @returns {boolean} True if the run should go ahead
+ */
+function confirmRunBudget(estimate, description) {
+  const budget = getRunBudget();
+  if (!estimate || budget === null || estimate.total <= budget) {
+    return true;
   }
 
+  return confirm(
+    `Running ${description} is estimated to cost ${formatCost(estimate.total)}, ` +
+    `over your run budget of ${formatCost(budget)}:\n\n` +
+    estimate.byModel.map(formatModelEstimate).join('\n') +
+    '\n\nRun anyway?'
+  );
+}
+
+/**
+ * Check whether a cell's output is an error left by a failed run
+ * 
+ * @param {Object} cell - Cell data
+ * @returns {boolean} True if the output is an error message or formula error
+ */
+function hasFailedOutput(cell) {
+  const output = cell && typeof cell.output === 'string' ? cell.output.trim() : '';
+  return output.startsWith('Error:') || output.startsWith('[ERROR:') || output === '#ERROR' || isFormulaError(output);
+}
+
+/**
+ * Group cells into dependency levels: level 0 reads no other cell in the
+ * set, level 1 reads only level-0 cells, and so on. Cells in the same level
+ * are independent of each other and can run in parallel.
+ * 
+ * @param {Array<string>} cellIds - Cells on the current sheet to schedule
+ * @param {Map<string, Set<string>>} graph - Graph from buildDependencyGraph
+ * @returns {{levels: Array<Array<string>>, upstream: Map<string, Set<string>>, unscheduled: Array<string>}}
+ *          Levels of cell IDs, the direct upstream cells of each cell within the set,
+ *          and cells that could not be ordered because they are in a cycle
+ */
+function buildExecutionLevels(cellIds, graph) {
+  const keyToId = new Map(cellIds.map(cellId => [getCellGraphKey(currentSheet, cellId), cellId]));
+  const upstream = new Map(cellIds.map(cellId => [cellId, new Set()]));
+  const levelOf = new Map();
+
+  const order = orderCellGraphKeys(graph, keyToId.keys());
+  order.forEach(key => {
+    const cellId = keyToId.get(key);
+    if (!levelOf.has(cellId)) levelOf.set(cellId, 0);
+    for (const dependentKey of graph.get(key) || []) {
+      const dependentId = keyToId.get(dependentKey);
+      if (!dependentId) continue;
+      upstream.get(dependentId).add(cellId);
+      levelOf.set(dependentId, Math.max(levelOf.get(dependentId) || 0, levelOf.get(cellId) + 1));
+    }
+  });
+
+  const levels = [];
+  order.forEach(key => {
+    const cellId = keyToId.get(key);
+    const level = levelOf.get(cellId);
+    if (!levels[level]) levels[level] = [];
+    levels[level].push(cellId);
+  });
+
+  const unscheduled = cellIds.filter(cellId => !levelOf.has(cellId));
+  return { levels, upstream, unscheduled };
+}
+
+/**
+ * Run every filled cell on the current sheet in dependency order
+ * 
+ * @returns {Promise<void>}
+ */
+async function runAll() {
+  // Find all cells that have prompts (filled cells)
+  const filledCells = Object.keys(currentSheet.cells).filter(id => {
+    const cell = currentSheet.cells[id];
+    return cell && cell.prompt && cell.prompt.trim() !== '';
+  });
+
   if (filledCells.length === 0) {
     showSuccess('No cells with prompts found to run');
     return;
   }
 
+  await runCellBatch(filledCells, `${filledCells.length} cells`);
+}
+
+/**
+ * Run a set of cells on the current sheet in dependency order (the batch
+ * runner behind Run All and column templates)
+ * 
+ * Cells are grouped into dependency levels (see buildExecutionLevels). Each
+ * level runs with up to getRunAllConcurrency() cells in flight; the next
+ * level starts once the whole level has finished. Cells whose upstream cell
+ * failed (or was itself skipped) are skipped rather than run on bad input.
+ * 
+ * @param {Array<string>} filledCells - Cells with prompts to run
+ * @param {string} label - What is being run, for the budget confirmation ("12 cells")
+ * @returns {Promise<void>}
+ */
+async function runCellBatch(filledCells, label) {
+  const { levels, upstream, unscheduled } = buildExecutionLevels(filledCells, buildDependencyGraph());
+  const concurrency = getRunAllConcurrency();
+
+  // Price the batch before spending anything
+  const estimate = await estimateRunCost(filledCells);
+  if (!confirmRunBudget(estimate, label)) {
+    console.log(`💸 Run of ${label} cancelled - estimate ${formatCost(estimate.total)} is over budget`);
+    return;
+  }
+
   // Show batch execution notification
-  showBatchExecutionStart(filledCells.length);
+  showBatchExecutionStart(filledCells.length, concurrency, estimate);
+
+  const cancelEpoch = executionCancelEpoch;
+  const failed = new Set(unscheduled);
+  if (unscheduled.length > 0) {
+    const graph = buildDependencyGraph();
+    unscheduled.forEach(cellId => {
+      const cycle = findCellCycle(cellId, currentSheet, graph);
+      if (cycle) markCellCycle(cellId, cycle);
+    });
+    showError(`Skipped ${unscheduled.join(', ')}: circular reference`);
+  }
 
-  // Run cells one by one with visual feedback
-  for (let i = 0; i < filledCells.length; i++) {
-    const { id, row, col } = filledCells[i];
+  let finishedCells = 0;
+  const running = new Set();
 
-    // Show current cell being processed
-    showBatchCellProgress(id, i + 1, filledCells.length);
+  const runScheduledCell = async (id, levelInfo) => {
+    const failedUpstream = Array.from(upstream.get(id)).find(upstreamId => failed.has(upstreamId));
+    if (failedUpstream) {
+      failed.add(id);
+      finishedCells++;
+      setCellStatus(id, `Skipped - ${failedUpstream} failed`);
+      return;
+    }
+
+    running.add(id);
+    showBatchCellProgress(Array.from(running).join(', '), finishedCells + 1, filledCells.length, levelInfo);
+    const cellContainer = document.querySelector(`#prompt-${id}`)?.closest('.cell-container');
+    if (cellContainer) {
+      cellContainer.classList.add('processing');
+    }
 
     try {
-      // Highlight the cell being processed
-      const cellContainer = document.querySelector(`#prompt-${id}`)?.closest('.cell-container');
+      // Dependents are scheduled here, so don't let runCell cascade into them
+      await runCell(id, new Set(), { cascade: false });
+      if (hasFailedOutput(currentSheet.cells[id])) {
+        failed.add(id);
+      }
+    } catch (error) {
+      console.error(`Error running cell ${id}:`, error);
+      showError(`Failed to run cell ${id}: ${error.message}`);
+      failed.add(id);
+    } finally {
+      running.delete(id);
+      finishedCells++;
       if (cellContainer) {
-        cellContainer.classList.add('processing');
+        cellContainer.classList.remove('processing');
       }
+    }
+  };
 
-      // Run the cell
-      await runCell(id, new Set());
+  for (let levelIndex = 0; levelIndex < levels.length; levelIndex++) {
+    if (executionCancelEpoch !== cancelEpoch) break;
 
-      // Remove processing highlight
-      if (cellContainer) {
-        cellContainer.classList.remove('processing');
+    const levelCells = levels[levelIndex];
+    const levelInfo = { index: levelIndex + 1, count: levels.length };
+    let next = 0;
+
+    // A small pool of workers pulls cells off this level until it's done
+    const workers = Array.from({ length: Math.min(concurrency, levelCells.length) }, async () => {
+      while (next < levelCells.length && executionCancelEpoch === cancelEpoch) {
+        await runScheduledCell(levelCells[next++], levelInfo);
+      }
+    });
+    await Promise.all(workers);
+  }
+
+  // Show completion notification
+  if (executionCancelEpoch !== cancelEpoch) {
+    showBatchExecutionComplete(finishedCells, true);
+    return;
+  }
+  showBatchExecutionComplete(filledCells.length, false, failed.size);
+}
+
+/**
+ * Expand a column template for one row
+ * 
+ * `$row` inside a {{reference}} becomes the row number, so
+ * "Summarize {{A$row}}" reads "Summarize {{A3}}" in row 3.
+ * 
+ * @param {string} template - Prompt template with relative references
+ * @param {number} row - Row number (1-based)
+ * @returns {string} The row's prompt
+ */
+function expandColumnTemplate(template, row) {
+  return template.replace(/\{\{([^}]+)\}\}/g, (match, reference) => `{{${reference.replace(/\$row\b/g, row)}}}`);
+}
+
+/**
+ * List the columns a column template reads relatively ({{A$row}})
+ * 
+ * @param {string} column - Column letter the template fills
+ * @param {string} template - Prompt template
+ * @returns {Set<string>} Column letters, not including the template's own
+ */
+function getColumnTemplateSourceColumns(column, template) {
+  const sourceColumns = new Set();
+  parseDependencies(template).forEach(reference => {
+    const match = reference.match(/^(?:(?:prompt|output|system):)?([A-Z]+)\$row\b/);
+    if (match && match[1] !== column) sourceColumns.add(match[1]);
+  });
+  return sourceColumns;
+}
+
+/**
+ * List the rows a column template fills
+ * 
+ * Every row with a filled cell in a column the template reads relatively
+ * ({{A$row}}), plus the rows already linked to the template.
+ * 
+ * @param {string} column - Column letter the template fills
+ * @param {string} template - Prompt template
+ * @returns {Array<number>} Row numbers, ascending
+ */
+function getColumnTemplateRows(column, template) {
+  const sourceColumns = getColumnTemplateSourceColumns(column, template);
+
+  const rows = new Set();
+  Object.entries(currentSheet.cells).forEach(([cellId, cell]) => {
+    const match = cellId.match(/^([A-Z]+)(\d+)$/);
+    if (!match || !cell) return;
+    const hasContent = (cell.prompt || '').trim() !== '' || (cell.output || '').trim() !== '';
+    if ((match[1] === column && cell.columnTemplate === column) || (sourceColumns.has(match[1]) && hasContent)) {
+      rows.add(parseInt(match[2], 10));
+    }
+  });
+  return Array.from(rows).sort((a, b) => a - b);
+}
+
+/**
+ * Write a column's template into every row it fills
+ * 
+ * Rows get a card if they don't have one; linked rows whose prompt changes
+ * are marked stale. Cells in the column that were written by hand are left
+ * alone, and linked rows that are already up to date aren't saved again.
+ * 
+ * @param {string} column - Column letter
+ * @returns {Array<string>} IDs of the linked cells
+ */
+function applyColumnTemplate(column) {
+  const template = currentSheet.columnTemplates && currentSheet.columnTemplates[column];
+  if (!template) return [];
+
+  const cellIds = [];
+  let changed = false;
+  getColumnTemplateRows(column, template.prompt).forEach(row => {
+    const cellId = `${column}${row}`;
+    const existing = currentSheet.cells[cellId];
+    if (existing && existing.prompt && existing.prompt.trim() !== '' && existing.columnTemplate !== column) {
+      return;
+    }
+
+    const cell = existing || { prompt: '', output: '', cellPrompt: '', autoRun: false, interval: 0, generations: [] };
+    const prompt = expandColumnTemplate(template.prompt, row);
+    if (existing && existing.columnTemplate === column && existing.prompt === prompt &&
+        existing.model === template.model && existing.temperature === template.temperature) {
+      cellIds.push(cellId);
+      return;
+    }
+    if (cell.prompt !== prompt && cell.generations && cell.generations.length > 0) {
+      cell.stale = true;
+    }
+    Object.assign(cell, { prompt, model: template.model, temperature: template.temperature, columnTemplate: column });
+    currentSheet.cells[cellId] = cell;
+
+    if (existing) {
+      const textarea = document.getElementById(`prompt-${cellId}`);
+      if (textarea) textarea.value = prompt;
+      updateStaleIndicator(cellId);
+    } else {
+      createCardForCell(cellId);
+    }
+    saveCellToDatabase(cellId, cell.prompt, cell.output, cell.model, cell.temperature, cell.cellPrompt, cell.autoRun, cell.interval || 0);
+    cellIds.push(cellId);
+    changed = true;
+  });
+
+  if (changed) {
+    drawConnectionLines();
+  }
+  return cellIds;
+}
+
+/**
+ * Re-apply the column templates that read a cell's column
+ * 
+ * Keeps templates linked as their input changes: a row that gets input
+ * gets its card in every column filled from it, including columns filled
+ * from those. Called when a cell's prompt is edited or pasted.
+ * 
+ * @param {string} cellId - Cell that changed
+ * @returns {void}
+ */
+function reapplyColumnTemplates(cellId) {
+  const match = cellId.match(/^([A-Z]+)\d+$/);
+  if (!match || !currentSheet.columnTemplates) return;
+
+  const applied = new Set();
+  const pending = [match[1]];
+  while (pending.length > 0) {
+    const sourceColumn = pending.pop();
+    Object.entries(currentSheet.columnTemplates).forEach(([column, template]) => {
+      if (!applied.has(column) && getColumnTemplateSourceColumns(column, template.prompt).has(sourceColumn)) {
+        applied.add(column);
+        applyColumnTemplate(column);
+        pending.push(column);
       }
+    });
+  }
+}
+
+/**
+ * Open the Fill Column dialog
+ * 
+ * @returns {void}
+ */
+function openColumnTemplateModal() {
+  const modal = document.getElementById('columnTemplateModal');
+  if (!modal) return;
+
+  // Offer the same models as the cell editor
+  const modelSelect = document.getElementById('columnTemplateModel');
+  const modalModelSelect = document.getElementById('modalModel');
+  if (modelSelect && modalModelSelect) {
+    modelSelect.innerHTML = modalModelSelect.innerHTML;
+  }
+
+  // Start on the selected card's column
+  const columnInput = document.getElementById('columnTemplateColumn');
+  const selectedColumn = selectedCell ? (selectedCell.match(/^[A-Z]+/) || [''])[0] : '';
+  columnInput.value = selectedColumn;
+  loadColumnTemplate();
+  modal.style.display = 'block';
+}
+
+/**
+ * Close the Fill Column dialog
+ * 
+ * @returns {void}
+ */
+function closeColumnTemplateModal() {
+  const modal = document.getElementById('columnTemplateModal');
+  if (modal) {
+    modal.style.display = 'none';
+  }
+}
+
+/**
+ * Show the template of the column typed in the Fill Column dialog
+ * 
+ * @returns {void}
+ */
+function loadColumnTemplate() {
+  const columnInput = document.getElementById('columnTemplateColumn');
+  const column = columnInput.value.trim().toUpperCase();
+  const template = currentSheet.columnTemplates && currentSheet.columnTemplates[column];
+
+  document.getElementById('columnTemplatePrompt').value = template ? template.prompt : '';
+  const modelSelect = document.getElementById('columnTemplateModel');
+  if (modelSelect) {
+    modelSelect.value = template ? template.model : getDefaultModel();
+  }
+  const temperatureInput = document.getElementById('columnTemplateTemperature');
+  if (temperatureInput) {
+    temperatureInput.value = template?.temperature ?? 0.7;
+  }
+}
 
-      // Small delay between cells for better visual feedback
-      await new Promise(resolve => setTimeout(resolve, 500));
+/**
+ * Save the Fill Column dialog's template and apply it to its column
+ * 
+ * @param {boolean} [runAfterSave=false] - Run the linked cells through the batch runner
+ * @returns {Promise<void>}
+ */
+async function saveColumnTemplate(runAfterSave = false) {
+  const column = document.getElementById('columnTemplateColumn').value.trim().toUpperCase();
+  const prompt = document.getElementById('columnTemplatePrompt').value;
+  const model = document.getElementById('columnTemplateModel')?.value || getDefaultModel();
+  const temperatureValue = document.getElementById('columnTemplateTemperature')?.value;
+  const temperature = temperatureValue ? parseFloat(temperatureValue) : 0.7;
+
+  if (!/^[A-Z]+$/.test(column) || columnLettersToIndex(column) >= numCols) {
+    showError('Enter the letter of a column in the grid, e.g. B');
+    return;
+  }
+  if (isNaN(temperature) || temperature < 0 || temperature > 1) {
+    showError('Creativity must be between 0 and 1');
+    return;
+  }
+  if (!/\{\{[^}]*\$row\b[^}]*\}\}/.test(prompt)) {
+    showError('The template needs a relative reference such as {{A$row}}');
+    return;
+  }
+
+  if (!currentSheet.columnTemplates) {
+    currentSheet.columnTemplates = {};
+  }
+  currentSheet.columnTemplates[column] = {
+    prompt,
+    model,
+    temperature,
+    updatedAt: new Date().toISOString()
+  };
+  await saveSheetColumnTemplates();
+
+  const cellIds = applyColumnTemplate(column);
+  closeColumnTemplateModal();
+  if (cellIds.length === 0) {
+    showSuccess(`Column ${column} template saved - no rows have input yet`);
+    return;
+  }
+  showSuccess(`Column ${column} template applied to ${cellIds.length} rows`);
 
-    } catch (error) {
-      console.error(`Error running cell ${id}:`, error);
-      showError(`Failed to run cell ${id}: ${error.message}`);
+  if (runAfterSave) {
+    await runCellBatch(cellIds, `column ${column} (${cellIds.length} cells)`);
+  }
+}
 
-      // Remove processing highlight on error
-      const cellContainer = document.querySelector(`#prompt-${id}`)?.closest('.cell-container');
-      if (cellContainer) {
-        cellContainer.classList.remove('processing');
-      }
-    }
+/**
+ * Remove the Fill Column dialog's template; its cards keep their prompts
+ * 
+ * @returns {Promise<void>}
+ */
+async function unlinkColumnTemplate() {
+  const column = document.getElementById('columnTemplateColumn').value.trim().toUpperCase();
+  if (!currentSheet.columnTemplates || !currentSheet.columnTemplates[column]) {
+    showError(`Column ${column || '?'} has no template`);
+    return;
   }
 
-  // Show completion notification
-  showBatchExecutionComplete(filledCells.length);
+  delete currentSheet.columnTemplates[column];
+  await saveSheetColumnTemplates();
+  Object.entries(currentSheet.cells).forEach(([cellId, cell]) => {
+    if (cell && cell.columnTemplate === column) {
+      delete cell.columnTemplate;
+      saveCellToDatabase(cellId, cell.prompt, cell.output, cell.model, cell.temperature, cell.cellPrompt, cell.autoRun, cell.interval || 0);
+    }
+  });
+  closeColumnTemplateModal();
+  showSuccess(`Column ${column} unlinked - its cards keep their prompts`);
 }
 
 /**
@@ -3834,6 +6581,8 @@ function clearAll() {
 let selectedCell = null;
 let highlightedRows = new Set();
 let highlightedColumns = new Set();
+// Rectangular regions of the selection, oldest first: [{anchor: 'A1', focus: 'B3'}, ...]
+let selectionRanges = [];
 
 /**
  * Handle cell selection (Excel-like behavior)
@@ -3855,6 +6604,8 @@ function selectCell(cellId) {
 
   // Add selection to new cell
   selectedCell = cellId;
+  selectionRanges = [{ anchor: cellId, focus: cellId }];
+  updateSelectionHighlighting();
   const cell = document.querySelector(`#prompt-${cellId}`)?.closest('td');
   if (cell) {
     cell.classList.add('cell-selected');
@@ -3874,11 +6625,405 @@ function selectCell(cellId) {
   }
 }
 
+/**
+ * Extend the last selected region to a cell (shift-click, shift-arrow)
+ * 
+ * @param {string} cellId - Cell the region should reach
+ * @returns {void}
+ */
+function extendSelection(cellId) {
+  if (selectionRanges.length === 0) {
+    selectCell(cellId);
+    return;
+  }
+
+  selectionRanges[selectionRanges.length - 1].focus = cellId;
+  selectedCell = cellId;
+  updateSelectionHighlighting();
+}
+
+/**
+ * Start another selected region at a cell (ctrl-click)
+ * 
+ * @param {string} cellId - Cell the new region starts at
+ * @returns {void}
+ */
+function addSelectionRange(cellId) {
+  selectionRanges.push({ anchor: cellId, focus: cellId });
+  selectedCell = cellId;
+  updateSelectionHighlighting();
+}
+
+/**
+ * Deselect everything, including highlighted rows and columns
+ * 
+ * @returns {void}
+ */
+function clearSelection() {
+  selectionRanges = [];
+  selectedCell = null;
+  clearAllHighlighting();
+  updateSelectionHighlighting();
+}
+
+/**
+ * Get the bounds of a selected region
+ * 
+ * @param {{anchor: string, focus: string}} range - Selected region
+ * @returns {{left: number, top: number, right: number, bottom: number}} Zero-based bounds
+ */
+function getSelectionBounds(range) {
+  const [anchorCol, anchorRow] = parseCellId(range.anchor);
+  const [focusCol, focusRow] = parseCellId(range.focus);
+  return {
+    left: Math.min(anchorCol, focusCol),
+    top: Math.min(anchorRow, focusRow),
+    right: Math.max(anchorCol, focusCol),
+    bottom: Math.max(anchorRow, focusRow)
+  };
+}
+
+/**
+ * List the cells in the selection
+ * 
+ * Covers every selected region plus the highlighted rows and columns.
+ * 
+ * @returns {Array<string>} Cell IDs, each once, in selection order
+ */
+function getSelectedCellIds() {
+  const cellIds = new Set();
+  selectionRanges.forEach(range => {
+    expandCellRange(`${range.anchor}:${range.focus}`, currentSheet).forEach(cellId => cellIds.add(cellId));
+  });
+  highlightedRows.forEach(row => {
+    for (let c = 0; c < numCols; c++) cellIds.add(getCellId(c, row));
+  });
+  highlightedColumns.forEach(col => {
+    for (let r = 0; r < numRows; r++) cellIds.add(getCellId(col, r));
+  });
+  return [...cellIds];
+}
+
+/**
+ * Mark the selected cards and show the bulk actions toolbar
+ * 
+ * @returns {void}
+ */
+function updateSelectionHighlighting() {
+  const selected = new Set(getSelectedCellIds());
+  document.querySelectorAll('.card').forEach(card => {
+    card.classList.toggle('selected', selected.has(card.getAttribute('data-cell-id')));
+  });
+
+  const toolbar = document.getElementById('selection-toolbar');
+  if (!toolbar) return;
+
+  const count = [...selected].filter(cellId => currentSheet.cells[cellId]).length;
+  toolbar.style.display = count > 0 ? 'flex' : 'none';
+  const countLabel = document.getElementById('selection-count');
+  if (countLabel) {
+    countLabel.textContent = `${count} card${count === 1 ? '' : 's'} selected`;
+  }
+
+  // Offer the same models as the cell editor
+  const modelSelect = document.getElementById('selection-model');
+  const modalModelSelect = document.getElementById('modalModel');
+  if (modelSelect && modalModelSelect && modelSelect.options.length <= 1) {
+    modelSelect.innerHTML = '<option value="">Set model...</option>' + modalModelSelect.innerHTML;
+    modelSelect.value = '';
+  }
+}
+
+/**
+ * List the selected cells that have a card
+ * 
+ * @returns {Array<string>} Cell IDs on the current sheet
+ */
+function getSelectedCards() {
+  return getSelectedCellIds().filter(cellId => currentSheet.cells[cellId]);
+}
+
+/**
+ * Save a cell after a bulk action and refresh its card
+ * 
+ * @param {string} cellId - Cell identifier
+ * @returns {void}
+ */
+function saveSelectedCell(cellId) {
+  const cell = currentSheet.cells[cellId];
+  const textarea = document.getElementById('prompt-' + cellId);
+  if (textarea) {
+    textarea.value = cell.prompt || '';
+  }
+  const outputDiv = document.getElementById('output-' + cellId);
+  if (outputDiv) {
+    outputDiv.textContent = cell.output || '';
+  }
+  if (currentSheet.id) {
+    saveCellToDatabase(cellId, cell.prompt, cell.output, cell.model, cell.temperature, cell.cellPrompt || null, cell.autoRun || null, cell.interval || null);
+  }
+}
+
+/**
+ * Run the selected cards in dependency order (see runCellBatch)
+ * 
+ * @returns {Promise<void>}
+ */
+async function runSelectedCells() {
+  const cellIds = getSelectedCards().filter(cellId => (currentSheet.cells[cellId].prompt || '').trim() !== '');
+  if (cellIds.length === 0) {
+    showError('None of the selected cards has a prompt to run');
+    return;
+  }
+
+  saveState();
+  await runCellBatch(cellIds, `${cellIds.length} selected cards`);
+}
+
+/**
+ * Clear the prompts and outputs of the selected cards
+ * 
+ * @returns {void}
+ */
+function clearSelectedCells() {
+  const cellIds = getSelectedCards();
+  if (cellIds.length === 0) return;
+
+  saveState();
+  cellIds.forEach(cellId => {
+    const cell = currentSheet.cells[cellId];
+    cell.prompt = '';
+    cell.output = '';
+    saveSelectedCell(cellId);
+  });
+  showSuccess(`Cleared ${cellIds.length} card${cellIds.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Set the model of the selected cards
+ * 
+ * @param {string} model - Model ID
+ * @returns {void}
+ */
+function setSelectedCellsModel(model) {
+  const cellIds = getSelectedCards();
+  if (!model || cellIds.length === 0) return;
+
+  saveState();
+  cellIds.forEach(cellId => {
+    currentSheet.cells[cellId].model = model;
+    const modelSelect = document.getElementById('model-' + cellId);
+    if (modelSelect) {
+      modelSelect.value = model;
+    }
+    saveSelectedCell(cellId);
+  });
+
+  const selectionModel = document.getElementById('selection-model');
+  if (selectionModel) {
+    selectionModel.value = '';
+  }
+  showSuccess(`Set ${cellIds.length} card${cellIds.length === 1 ? '' : 's'} to ${model}`);
+}
+
+/**
+ * Set the temperature (creativity) of the selected cards
+ * 
+ * @param {string|number} value - Temperature between 0 and 1
+ * @returns {void}
+ */
+function setSelectedCellsTemperature(value) {
+  const temperature = parseFloat(value);
+  const cellIds = getSelectedCards();
+  if (cellIds.length === 0) return;
+  if (isNaN(temperature) || temperature < 0 || temperature > 1) {
+    showError('Creativity must be between 0 and 1');
+    return;
+  }
+
+  saveState();
+  cellIds.forEach(cellId => {
+    currentSheet.cells[cellId].temperature = temperature;
+    const tempInput = document.getElementById('temp-' + cellId);
+    if (tempInput) {
+      tempInput.value = temperature;
+    }
+    saveSelectedCell(cellId);
+  });
+  showSuccess(`Set creativity to ${temperature} on ${cellIds.length} card${cellIds.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Turn auto-run on for the selected cards, or off if it is already on for all of them
+ * 
+ * @returns {void}
+ */
+function toggleSelectedCellsAutoRun() {
+  const cellIds = getSelectedCards();
+  if (cellIds.length === 0) return;
+
+  const autoRun = !cellIds.every(cellId => currentSheet.cells[cellId].autoRun);
+  saveState();
+  cellIds.forEach(cellId => {
+    currentSheet.cells[cellId].autoRun = autoRun;
+    saveSelectedCell(cellId);
+  });
+  showSuccess(`Auto-run ${autoRun ? 'on' : 'off'} for ${cellIds.length} card${cellIds.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Apply formatting to the selected cards (see applyCellFormatting)
+ * 
+ * @param {Object} formatting - Formatting properties, e.g. { align: 'center' }
+ * @returns {void}
+ */
+function formatSelectedCells(formatting) {
+  const cellIds = getSelectedCards();
+  if (cellIds.length === 0) return;
+
+  saveState();
+  cellIds.forEach(cellId => applyCellFormatting(cellId, formatting));
+}
+
+/**
+ * Toggle bold, italic or underline on the selected cards, following the
+ * first selected card
+ * 
+ * @param {string} property - 'bold', 'italic' or 'underline'
+ * @returns {void}
+ */
+function toggleSelectedCellsFormat(property) {
+  const cellIds = getSelectedCards();
+  if (cellIds.length === 0) return;
+
+  const first = currentSheet.cells[cellIds[0]];
+  formatSelectedCells({ [property]: !(first.formatting && first.formatting[property]) });
+}
+
+/**
+ * Copy the selection to the clipboard
+ * 
+ * A single cell copies as before (see copyCell); a larger region copies as a
+ * block that pastes with the same shape. With several regions the last one
+ * is copied.
+ * 
+ * @returns {void}
+ */
+function copySelection() {
+  const range = selectionRanges[selectionRanges.length - 1];
+  if (!range) return;
+
+  if (range.anchor === range.focus) {
+    copyCell(range.anchor);
+    return;
+  }
+
+  const bounds = getSelectionBounds(range);
+  const blockCells = [];
+  for (let r = bounds.top; r <= bounds.bottom; r++) {
+    for (let c = bounds.left; c <= bounds.right; c++) {
+      const cellId = getCellId(c, r);
+      const cell = cells[cellId];
+      if (cell) {
+        blockCells.push({ rowOffset: r - bounds.top, colOffset: c - bounds.left, prompt: cell.prompt, output: cell.output, cellId });
+      }
+    }
+  }
+
+  clipboard = { type: 'block', cells: blockCells };
+  showSuccess(`Copied ${blockCells.length} card${blockCells.length === 1 ? '' : 's'}`);
+}
+
+/**
+ * Paste the clipboard at the selection, as one undo step
+ * 
+ * A block lands with its top-left corner at the top-left of the last
+ * selected region; a single copied cell is pasted into every selected cell.
+ * Empty cells get a card; the part of a block past the grid's edge is skipped.
+ * 
+ * @returns {Promise<void>}
+ */
+async function pasteSelection() {
+  const range = selectionRanges[selectionRanges.length - 1];
+  if (!clipboard || !range) return;
+
+  let pastes;
+  if (clipboard.type === 'block') {
+    const bounds = getSelectionBounds(range);
+    pastes = clipboard.cells.map(content => ({ col: bounds.left + content.colOffset, row: bounds.top + content.rowOffset, content }))
+      .filter(paste => paste.col < numCols && paste.row < numRows)
+      .map(paste => ({ cellId: getCellId(paste.col, paste.row), content: paste.content }));
+  } else if (clipboard.type === 'cell') {
+    pastes = getSelectedCellIds().map(cellId => ({ cellId, content: clipboard }));
+  } else {
+    return;
+  }
+
+  const skipped = clipboard.type === 'block' ? clipboard.cells.length - pastes.length : 0;
+  if (pastes.length === 0) return;
+
+  saveState();
+  for (const paste of pastes) {
+    await pasteCellContent(paste.cellId, paste.content);
+  }
+
+  if (skipped > 0) {
+    showError(`Pasted ${pastes.length} card${pastes.length === 1 ? '' : 's'}; ${skipped} fell outside the grid`);
+  }
+}
+
+/**
+ * Delete the selected cards, as one undo step
+ * 
+ * Refused while cards outside the selection still read from them, as for
+ * deleteCard.
+ * 
+ * @returns {Promise<void>}
+ */
+async function deleteSelectedCells() {
+  const cellIds = getSelectedCards();
+  if (cellIds.length === 0) return;
+
+  const selected = new Set(cellIds);
+  const dependentCards = [];
+  sheets.forEach(sheet => {
+    Object.entries(sheet.cells || {}).forEach(([id, cell]) => {
+      if (sheet === currentSheet && selected.has(id)) return;
+      // Ranges read a missing cell as empty, so deleting one doesn't break them
+      const readsSelection = getCellReferences(cell, { includeRanges: false }).some(reference => {
+        const pointsHere = reference.sheet === null ? sheet === currentSheet : reference.sheet === currentSheet.name;
+        return pointsHere && selected.has(reference.cellId);
+      });
+      if (readsSelection) {
+        dependentCards.push(sheet === currentSheet ? id : `${sheet.name}!${id}`);
+      }
+    });
+  });
+
+  if (dependentCards.length > 0) {
+    showError(`Cannot delete the selected cards. ${dependentCards.length} other card(s) depend on them: ${dependentCards.join(', ')}. Please detach or delete the dependent cards first.`);
+    return;
+  }
+
+  if (!confirm(`Are you sure you want to delete ${cellIds.length} card${cellIds.length === 1 ? '' : 's'}?`)) {
+    return;
+  }
+
+  saveState();
+  for (const cellId of cellIds) {
+    await removeCard(cellId);
+  }
+  clearSelection();
+  afterCardsRemoved();
+}
+
 /**
  * Handle keyboard navigation (Excel-like)
  * 
- * Provides arrow key navigation between cells, Enter/Tab for next cell,
- * Delete/Backspace for clearing cells, and Ctrl+Z/Y for undo/redo.
+ * Provides arrow key navigation between cells (Shift+arrow extends the
+ * selection), Enter/Tab for next cell, Delete/Backspace for clearing the
+ * selected cells, Ctrl+C/V for copy/paste, Ctrl+Z/Y for undo/redo and
+ * Ctrl+D/R for fill down/right.
  * Does not handle navigation when modal is open or for card textareas.
  * 
  * @param {KeyboardEvent} event - Keyboard event object
@@ -3918,15 +7063,19 @@ function handleKeyNavigation(event) {
         return;
       case 'c':
         event.preventDefault();
-        if (selectedCell) {
-          copyCell(selectedCell);
-        }
+        copySelection();
         return;
       case 'v':
         event.preventDefault();
-        if (selectedCell) {
-          pasteCell(selectedCell);
-        }
+        pasteSelection();
+        return;
+      case 'd':
+        event.preventDefault();
+        fillDown();
+        return;
+      case 'r':
+        event.preventDefault();
+        fillRight();
         return;
       case 'f':
         event.preventDefault();
@@ -3970,7 +7119,9 @@ function handleKeyNavigation(event) {
     case 'Delete':
     case 'Backspace':
       event.preventDefault();
-      if (selectedCell) {
+      if (getSelectedCellIds().length > 1) {
+        clearSelectedCells();
+      } else if (selectedCell) {
         // Ensure cell exists in currentSheet.cells
         if (!currentSheet.cells[selectedCell]) {
           // Get the default model from the main selector
@@ -4003,7 +7154,12 @@ function handleKeyNavigation(event) {
   }
 
   const newCellId = getCellId(newCol, newRow);
-  selectCell(newCellId);
+  if (event.shiftKey) {
+    // Shift+arrow grows or shrinks the selected region
+    extendSelection(newCellId);
+  } else {
+    selectCell(newCellId);
+  }
 }
 
 /**
@@ -4282,6 +7438,9 @@ function insertRow(rowIndex) {
     cells[id] = { prompt: '', output: '' };
   }
 
+  // Point references at the cells' new positions
+  shiftSheetReferences('row', rowIndex, true);
+
   numRows++;
   currentSheet.numRows = numRows;
 
@@ -4330,6 +7489,9 @@ function insertColumn(columnIndex) {
     cells[id] = { prompt: '', output: '' };
   }
 
+  // Point references at the cells' new positions
+  shiftSheetReferences('column', columnIndex, true);
+
   numCols++;
   currentSheet.numCols = numCols;
 
@@ -4375,21 +7537,17 @@ function deleteRow(rowIndex) {
 
   // Check if any cells reference this row
   for (const [cellId, cell] of Object.entries(cells)) {
-    if (cell.prompt) {
-      for (const rowCellId of rowCells) {
-        if (cell.prompt.includes(`{{${rowCellId}}}`)) {
-          hasReferences = true;
-          break;
-        }
-      }
+    if (rowCells.includes(cellId)) continue;
+    if (getCellReferences(cell).some(reference => !reference.sheet && rowCells.includes(reference.cellId))) {
+      hasReferences = true;
+      break;
     }
-    if (hasReferences) break;
   }
 
   // Show warning if there's data or references
   if (hasData || hasReferences) {
     const message = hasReferences
-      ? `⚠️ WARNING: Row ${rowIndex + 1} contains data and is referenced by other cells. Deleting will break references and cause errors. Continue?`
+      ? `⚠️ WARNING: Row ${rowIndex + 1} contains data and is referenced by other cells. References to it will become #REF!. Continue?`
       : `⚠️ WARNING: Row ${rowIndex + 1} contains data. All data will be lost. Continue?`;
 
     if (!confirm(message)) {
@@ -4420,6 +7578,9 @@ function deleteRow(rowIndex) {
     delete cells[id];
   }
 
+  // Point references at the cells' new positions; references into the deleted row become #REF!
+  shiftSheetReferences('row', rowIndex, false);
+
   numRows--;
   currentSheet.numRows = numRows;
 
@@ -4468,22 +7629,18 @@ function deleteColumn(columnIndex) {
 
   // Check if any cells reference this column
   for (const [cellId, cell] of Object.entries(cells)) {
-    if (cell.prompt) {
-      for (const colCellId of columnCells) {
-        if (cell.prompt.includes(`{{${colCellId}}}`)) {
-          hasReferences = true;
-          break;
-        }
-      }
+    if (columnCells.includes(cellId)) continue;
+    if (getCellReferences(cell).some(reference => !reference.sheet && columnCells.includes(reference.cellId))) {
+      hasReferences = true;
+      break;
     }
-    if (hasReferences) break;
   }
 
   // Show warning if there's data or references
   if (hasData || hasReferences) {
     const columnLetter = String.fromCharCode(65 + columnIndex);
     const message = hasReferences
-      ? `⚠️ WARNING: Column ${columnLetter} contains data and is referenced by other cells. Deleting will break references and cause errors. Continue?`
+      ? `⚠️ WARNING: Column ${columnLetter} contains data and is referenced by other cells. References to it will become #REF!. Continue?`
       : `⚠️ WARNING: Column ${columnLetter} contains data. All data will be lost. Continue?`;
 
     if (!confirm(message)) {
@@ -4514,6 +7671,9 @@ function deleteColumn(columnIndex) {
     delete cells[id];
   }
 
+  // Point references at the cells' new positions; references into the deleted column become #REF!
+  shiftSheetReferences('column', columnIndex, false);
+
   numCols--;
   currentSheet.numCols = numCols;
 
@@ -4998,6 +8158,9 @@ async function loadUserSettings() {
     const autoSave = document.getElementById('autoSave');
     const emailNotifications = document.getElementById('emailNotifications');
     const browserNotifications = document.getElementById('browserNotifications');
+    const runAllConcurrency = document.getElementById('runAllConcurrency');
+    const runBudget = document.getElementById('runBudget');
+    const useResponseCache = document.getElementById('useResponseCache');
 
     if (defaultModel) defaultModel.value = settings.defaultModel || 'gpt-4o';
     if (defaultTemperature) {
@@ -5007,6 +8170,9 @@ async function loadUserSettings() {
     if (autoSave) autoSave.checked = settings.autoSave !== false;
     if (emailNotifications) emailNotifications.checked = settings.emailNotifications !== false;
     if (browserNotifications) browserNotifications.checked = settings.browserNotifications || false;
+    if (runAllConcurrency) runAllConcurrency.value = settings.runAllConcurrency || RUN_ALL_CONCURRENCY;
+    if (runBudget) runBudget.value = settings.runBudget ?? '';
+    if (useResponseCache) useResponseCache.checked = settings.useResponseCache === true;
 
     // Add event listener for temperature slider
     if (defaultTemperature && tempValue) {
@@ -5030,6 +8196,12 @@ async function saveSettings() {
     const autoSave = document.getElementById('autoSave')?.checked || false;
     const emailNotifications = document.getElementById('emailNotifications')?.checked || false;
     const browserNotifications = document.getElementById('browserNotifications')?.checked || false;
+    const previousSettings = JSON.parse(localStorage.getItem('userSettings') || '{}');
+    const runAllConcurrency = parseInt(document.getElementById('runAllConcurrency')?.value, 10) || previousSettings.runAllConcurrency || RUN_ALL_CONCURRENCY;
+    // Blank means no budget - runs never ask for confirmation
+    const runBudgetInput = document.getElementById('runBudget');
+    const runBudget = runBudgetInput ? (runBudgetInput.value === '' ? null : parseFloat(runBudgetInput.value)) : (previousSettings.runBudget ?? null);
+    const useResponseCache = document.getElementById('useResponseCache')?.checked || false;
 
     const settings = {
       defaultModel,
@@ -5037,6 +8209,9 @@ async function saveSettings() {
       autoSave,
       emailNotifications,
       browserNotifications,
+      runAllConcurrency,
+      runBudget,
+      useResponseCache,
       updatedAt: new Date().toISOString()
     };
 
@@ -5063,50 +8238,196 @@ function resetSettings() {
   }
 }
 
-// Load usage statistics
+// Load usage statistics - the server keeps the authoritative counters and plan limits
 async function loadUsageStats() {
+  const container = document.getElementById('usageStats');
   try {
-    if (!currentUser) return;
+    if (!currentUser || !container) return;
+
+    const tokenResult = await authService.getIdToken();
+    if (!tokenResult.success) {
+      throw new Error('Authentication required');
+    }
+    const response = await fetch(`${getApiBaseUrl()}/api/usage`, {
+      headers: { 'Authorization': `Bearer ${tokenResult.token}` }
+    });
+    if (!response.ok) {
+      throw new Error(`Usage request failed (${response.status})`);
+    }
+    const { plan, resetsAt, usage, limits } = await response.json();
+
+    const metrics = [
+      { key: 'calls', label: 'Generations', format: value => Math.round(value).toLocaleString() },
+      { key: 'tokens', label: 'Tokens', format: value => Math.round(value).toLocaleString() },
+      { key: 'images', label: 'Images', format: value => Math.round(value).toLocaleString() },
+      { key: 'videoSeconds', label: 'Video seconds', format: value => Math.round(value).toLocaleString() },
+      { key: 'cost', label: 'Estimated spend', format: value => `$${value.toFixed(2)}` }
+    ];
+
+    container.innerHTML = `
+      <div style="margin-bottom: 12px; font-size: 13px; color: #5f6368;">
+        <strong style="text-transform: capitalize;">${plan}</strong> plan - resets ${new Date(resetsAt).toLocaleDateString()}
+      </div>
+      ${metrics.map(({ key, label, format }) => {
+        const used = usage[key] || 0;
+        const limit = limits[key];
+        const percent = limit ? Math.min(used / limit * 100, 100) : 0;
+        const color = percent >= 100 ? '#d93025' : percent >= 80 ? '#f9ab00' : '#1967d2';
+        return `
+          <div style="margin-bottom: 12px;">
+            <div style="display: flex; justify-content: space-between; font-size: 13px;">
+              <span>${label}</span>
+              <span>${format(used)} / ${limit === null || limit === undefined ? 'Unlimited' : format(limit)}</span>
+            </div>
+            <div style="height: 6px; background: #f1f3f4; border-radius: 3px; margin-top: 4px;">
+              <div style="width: ${percent}%; height: 100%; background: ${color}; border-radius: 3px;"></div>
+            </div>
+          </div>
+        `;
+      }).join('')}
+    `;
+  } catch (error) {
+    console.error('Error loading usage stats:', error);
+    if (container) {
+      container.textContent = 'Could not load usage. Please try again.';
+    }
+  }
+}
+
+/**
+ * Add up what a set of sheets' generations cost, by model and by cell.
+ *
+ * Reads the `usage` the server priced each generation with; generations from
+ * before usage accounting have none and are only counted as unpriced.
+ *
+ * @param {Array<Object>} sheetList Sheets whose cells to include.
+ * @param {Object} [options]
+ * @param {boolean} [options.qualify=false] Prefix cell IDs with the sheet name (project reports).
+ * @returns {{total: number, tokens: number, generations: number, unpriced: number,
+ *   byModel: Array<Object>, byCell: Array<Object>}} Rows sorted by cost, highest first.
+ */
+function buildCostReport(sheetList, { qualify = false } = {}) {
+  const report = { total: 0, tokens: 0, generations: 0, unpriced: 0, byModel: [], byCell: [] };
+  const models = new Map();
+
+  sheetList.forEach(sheet => {
+    Object.entries(sheet.cells || {}).forEach(([cellId, cell]) => {
+      const generations = cell.generations || [];
+      if (generations.length === 0) return;
+
+      const cellRow = {
+        cellId: qualify ? `${sheet.name}!${cellId}` : cellId,
+        prompt: cell.prompt || '',
+        generations: generations.length,
+        tokens: 0,
+        cost: 0
+      };
+
+      generations.forEach(generation => {
+        report.generations++;
+        if (!generation.usage) {
+          report.unpriced++;
+          return;
+        }
+
+        const { cost = 0, tokens = 0 } = generation.usage;
+        const model = generation.model || generation.usage.model || 'unknown';
+        const modelRow = models.get(model) || { model, generations: 0, tokens: 0, cost: 0 };
+        modelRow.generations++;
+        modelRow.tokens += tokens;
+        modelRow.cost += cost;
+        models.set(model, modelRow);
+
+        cellRow.tokens += tokens;
+        cellRow.cost += cost;
+        report.tokens += tokens;
+        report.total += cost;
+      });
 
-    // Get usage data from Firestore
-    const usageData = await firestoreService.getUserUsage(currentUser.uid);
+      report.byCell.push(cellRow);
+    });
+  });
 
-    if (usageData.success) {
-      const usage = usageData.data;
+  report.byModel = [...models.values()].sort((a, b) => b.cost - a.cost);
+  report.byCell.sort((a, b) => b.cost - a.cost);
+  return report;
+}
 
-      // Update usage display
-      const apiCalls = document.getElementById('usageApiCalls');
-      const images = document.getElementById('usageImages');
-      const audio = document.getElementById('usageAudio');
-      const storage = document.getElementById('usageStorage');
+/**
+ * Format a dollar amount for the cost report - generations often cost fractions of a cent.
+ * @param {number} cost Amount in USD.
+ * @returns {string} e.g. "$1.24" or "$0.0031".
+ */
+function formatCost(cost) {
+  return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
 
-      if (apiCalls) apiCalls.textContent = usage.apiCalls || 0;
-      if (images) images.textContent = usage.images || 0;
-      if (audio) audio.textContent = usage.audio || 0;
-      if (storage) storage.textContent = `${Math.round((usage.storageUsed || 0) / 1024 / 1024 * 100) / 100} MB`;
+/**
+ * Show the cost report for the current sheet or the whole project.
+ * @param {string} [scope='sheet'] 'sheet' or 'project'.
+ */
+async function showCostReport(scope = 'sheet') {
+  const modal = document.getElementById('costReportModal');
+  const container = document.getElementById('costReport');
+  if (!modal || !container) return;
 
-      // Update limit bars
-      const apiLimitFill = document.getElementById('apiLimitFill');
-      const apiLimitText = document.getElementById('apiLimitText');
-      const storageLimitFill = document.getElementById('storageLimitFill');
-      const storageLimitText = document.getElementById('storageLimitText');
+  modal.style.display = 'block';
+  document.getElementById('costReportScope').value = scope;
+  container.textContent = 'Loading costs...';
 
-      if (apiLimitFill && apiLimitText) {
-        const apiUsage = (usage.apiCalls || 0) / (usage.subscription === 'pro' ? 10000 : 100);
-        const apiPercent = Math.min(apiUsage * 100, 100);
-        apiLimitFill.style.width = `${apiPercent}%`;
-        apiLimitText.textContent = `${usage.apiCalls || 0} / ${usage.subscription === 'pro' ? '10,000' : '100'}`;
+  try {
+    let sheetList = [currentSheet];
+    if (scope === 'project') {
+      // Sheets that haven't been opened yet have no cells in memory
+      for (const sheet of sheets) {
+        if (sheet.id && (!sheet.cells || Object.keys(sheet.cells).length === 0)) {
+          await loadSheetCellsForSheet(sheet);
+        }
       }
+      sheetList = sheets;
+    }
 
-      if (storageLimitFill && storageLimitText) {
-        const storageUsage = (usage.storageUsed || 0) / (usage.subscription === 'pro' ? 1024 * 1024 * 1024 * 10 : 1024 * 1024 * 1024);
-        const storagePercent = Math.min(storageUsage * 100, 100);
-        storageLimitFill.style.width = `${storagePercent}%`;
-        storageLimitText.textContent = `${Math.round((usage.storageUsed || 0) / 1024 / 1024 * 100) / 100} MB / ${usage.subscription === 'pro' ? '10 GB' : '1 GB'}`;
-      }
+    const report = buildCostReport(sheetList, { qualify: scope === 'project' });
+    if (report.generations === 0) {
+      container.textContent = 'No generations yet.';
+      return;
     }
+
+    const rowStyle = 'display: flex; justify-content: space-between; gap: 12px; font-size: 13px; padding: 4px 0; border-bottom: 1px solid #f1f3f4;';
+    container.innerHTML = `
+      <div style="margin-bottom: 12px; font-size: 13px; color: #5f6368;">
+        <strong style="color: #202124;">${formatCost(report.total)}</strong> across ${report.generations} generation${report.generations === 1 ? '' : 's'}
+        (${Math.round(report.tokens).toLocaleString()} tokens)
+        ${report.unpriced > 0 ? `<div style="margin-top: 4px;">${report.unpriced} older generation${report.unpriced === 1 ? ' has' : 's have'} no usage recorded and ${report.unpriced === 1 ? 'is' : 'are'} not included.</div>` : ''}
+      </div>
+      <h4 style="margin: 12px 0 6px;">By model</h4>
+      ${report.byModel.map(row => `
+        <div style="${rowStyle}">
+          <span>${escapeHtml(row.model)} <span style="color: #5f6368;">× ${row.generations}</span></span>
+          <span>${formatCost(row.cost)}</span>
+        </div>
+      `).join('')}
+      <h4 style="margin: 16px 0 6px;">By cell</h4>
+      ${report.byCell.map(row => `
+        <div style="${rowStyle}">
+          <span style="min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${escapeHtml(row.prompt)}">
+            <strong>${escapeHtml(row.cellId)}</strong> <span style="color: #5f6368;">${escapeHtml(row.prompt.substring(0, 60))}</span>
+          </span>
+          <span style="white-space: nowrap;">${formatCost(row.cost)} <span style="color: #5f6368;">(${row.generations} run${row.generations === 1 ? '' : 's'})</span></span>
+        </div>
+      `).join('')}
+    `;
   } catch (error) {
-    console.error('Error loading usage stats:', error);
+    console.error('Error building cost report:', error);
+    container.textContent = 'Could not load costs. Please try again.';
+  }
+}
+
+// Close cost report modal
+function closeCostReport() {
+  const modal = document.getElementById('costReportModal');
+  if (modal) {
+    modal.style.display = 'none';
   }
 }
 
@@ -5138,27 +8459,6 @@ async function logout() {
   }
 }
 
-// Admin functions
-async function makeCurrentUserAdmin() {
-  try {
-
-    const result = await authService.makeCurrentUserAdmin();
-    if (result.success) {
-      isAdmin = true;
-      showSuccess('You are now an admin! Admin privileges granted.');
-
-      // Add admin button to UI if it doesn't exist
-      addAdminLink();
-    } else {
-      showError('Failed to make user admin: ' + result.error);
-      console.error('❌ Failed to make user admin:', result.error);
-    }
-  } catch (error) {
-    console.error('❌ Error making user admin:', error);
-    showError('Failed to make user admin: ' + error.message);
-  }
-}
-
 // Add admin link to the user dropdown
 function addAdminLink() {
 
@@ -5257,6 +8557,7 @@ async function loadProjectsFromDatabase() {
  * Load sheets from database for current project
  */
 async function loadSheetsFromDatabase() {
+  clearUndoHistory();
   try {
 
     // Check if Firebase services are available
@@ -5281,6 +8582,7 @@ async function loadSheetsFromDatabase() {
         numRows: sheet.numRows || 10,
         numCols: sheet.numCols || 10,
         columnNames: sheet.columnNames || {},
+        columnTemplates: sheet.columnTemplates || {},
         cardPositions: sheet.cardPositions || {},
         order: sheet.order !== undefined ? sheet.order : index // Use stored order or fallback to index
       }));
@@ -5463,7 +8765,16 @@ async function loadSheetCells(sheetId, renderGridAfterLoad = true) {
           cellPrompt: cellData.cellPrompt || '',
           autoRun: cellData.autoRun || false,
           interval: cellData.interval || 0,
-          generations: cellData.generations || []
+          generations: cellData.generations || [],
+          pendingJobId: cellData.pendingJobId || null,
+          stale: cellData.stale || false,
+          mediaOptions: cellData.mediaOptions || null,
+          bypassCache: cellData.bypassCache || false,
+          responseSchema: cellData.responseSchema || '',
+          cellType: cellData.cellType || 'single',
+          systemPrompt: cellData.systemPrompt || '',
+          messages: cellData.messages || [],
+          columnTemplate: cellData.columnTemplate || null
         };
 
         loadedCells[doc.id] = cell;
@@ -5488,6 +8799,15 @@ async function loadSheetCells(sheetId, renderGridAfterLoad = true) {
           ensureAllCardPorts();
         }, 100);
       }
+
+      // Pick up video jobs that were rendering when the page was last closed,
+      // and flag cards whose inputs changed since they last ran
+      if (currentSheet && currentSheet.id === sheetId) {
+        resumePendingVideoJobs(currentSheet);
+        refreshStaleCells().catch(error => {
+          console.error('❌ Error checking for stale cells:', error);
+        });
+      }
     } else {
       // Initialize empty cells if none found
       if (!targetSheet.cells) {
@@ -5569,7 +8889,16 @@ async function loadSheetCellsForSheet(sheet) {
           cellPrompt: cellData.cellPrompt || '',
           autoRun: cellData.autoRun || false,
           interval: cellData.interval || 0,
-          generations: cellData.generations || []
+          generations: cellData.generations || [],
+          pendingJobId: cellData.pendingJobId || null,
+          stale: cellData.stale || false,
+          mediaOptions: cellData.mediaOptions || null,
+          bypassCache: cellData.bypassCache || false,
+          responseSchema: cellData.responseSchema || '',
+          cellType: cellData.cellType || 'single',
+          systemPrompt: cellData.systemPrompt || '',
+          messages: cellData.messages || [],
+          columnTemplate: cellData.columnTemplate || null
         };
 
         sheet.cells[doc.id] = cell;
@@ -5629,6 +8958,15 @@ async function saveCellToDatabase(cellId, prompt, output, model = null, temperat
 
     // Get generations from the cell
     const generations = currentSheet.cells[cellId]?.generations || [];
+    const pendingJobId = currentSheet.cells[cellId]?.pendingJobId || null;
+    const stale = currentSheet.cells[cellId]?.stale || false;
+    const mediaOptions = currentSheet.cells[cellId]?.mediaOptions || null;
+    const bypassCache = currentSheet.cells[cellId]?.bypassCache || false;
+    const responseSchema = currentSheet.cells[cellId]?.responseSchema || '';
+    const cellType = currentSheet.cells[cellId]?.cellType || 'single';
+    const systemPrompt = currentSheet.cells[cellId]?.systemPrompt || '';
+    const messages = currentSheet.cells[cellId]?.messages || [];
+    const columnTemplate = currentSheet.cells[cellId]?.columnTemplate || null;
 
     // Save to Firestore
 
@@ -5641,6 +8979,15 @@ async function saveCellToDatabase(cellId, prompt, output, model = null, temperat
       autoRun: currentAutoRun,
       interval: currentInterval,
       generations: generations,
+      pendingJobId: pendingJobId,
+      stale: stale,
+      mediaOptions: mediaOptions,
+      bypassCache: bypassCache,
+      responseSchema: responseSchema,
+      cellType: cellType,
+      systemPrompt: systemPrompt,
+      messages: messages,
+      columnTemplate: columnTemplate,
       updatedAt: new Date()
     };
 
@@ -6114,6 +9461,7 @@ const KeyboardShortcuts = {
   'Escape': () => {
     closeModal();
     closeImageModal();
+    clearSelection();
     // Close any open cell outputs
     document.querySelectorAll('.output.show').forEach(output => {
       output.style.display = 'none';
@@ -6160,9 +9508,17 @@ document.addEventListener('click', (event) => {
       return;
     }
 
-    // Select the card (show ports)
+    // Select the card (show ports); shift-click extends the selected
+    // region and ctrl/cmd-click starts another one
     const cellId = card.getAttribute('data-cell-id');
     if (cellId) {
+      if (event.shiftKey) {
+        extendSelection(cellId);
+      } else if (event.ctrlKey || event.metaKey) {
+        addSelectionRange(cellId);
+      } else {
+        selectCell(cellId);
+      }
       showCardControls(cellId);
     }
 
@@ -6208,6 +9564,9 @@ function hideAllOutputs() {
  */
 async function switchSheet(sheetIndex) {
   if (sheetIndex >= 0 && sheetIndex < sheets.length) {
+    if (sheets[sheetIndex] !== currentSheet) {
+      clearUndoHistory();
+    }
     currentSheetIndex = sheetIndex;
     currentSheet = sheets[currentSheetIndex];
 
@@ -6662,59 +10021,6 @@ function updateSheetTabs() {
   tabsContainer.innerHTML = html;
 }
 
-/**
- * Excel-like formula support
- */
-function parseFormula(formula) {
-  if (!formula || !formula.startsWith('=')) {
-    return formula; // Not a formula
-  }
-
-  // Remove the = sign
-  formula = formula.substring(1);
-
-  // Basic Excel functions
-  const functions = {
-    'SUM': (...args) => args.reduce((a, b) => a + b, 0),
-    'AVERAGE': (...args) => args.reduce((a, b) => a + b, 0) / args.length,
-    'MAX': (...args) => Math.max(...args),
-    'MIN': (...args) => Math.min(...args),
-    'COUNT': (...args) => args.filter(x => x !== '').length,
-    'IF': (condition, trueVal, falseVal) => condition ? trueVal : falseVal
-  };
-
-  // Parse cell references like A1, B2, etc.
-  const cellRefRegex = /([A-Z]+)([0-9]+)/g;
-  let processedFormula = formula;
-
-  // Replace cell references with actual values
-  processedFormula = processedFormula.replace(cellRefRegex, (match, col, row) => {
-    const cellId = col + row;
-    const cell = cells[cellId];
-    return cell ? (cell.output || cell.prompt || 0) : 0;
-  });
-
-  // Basic arithmetic operations
-  try {
-    // Replace function names with actual function calls
-    for (const [funcName, func] of Object.entries(functions)) {
-      const regex = new RegExp(funcName + '\\(([^)]+)\\)', 'g');
-      processedFormula = processedFormula.replace(regex, (match, args) => {
-        const argValues = args.split(',').map(arg => {
-          const trimmed = arg.trim();
-          return isNaN(trimmed) ? 0 : parseFloat(trimmed);
-        });
-        return func(...argValues);
-      });
-    }
-
-    // Evaluate basic arithmetic
-    return eval(processedFormula);
-  } catch (error) {
-    return 'ERROR: ' + error.message;
-  }
-}
-
 /**
  * Clipboard for copy/paste operations
  * @type {Object|null} clipboard - Stores copied cell data {prompt, output, type}
@@ -6725,7 +10031,8 @@ let clipboard = null;
  * Copy a cell's data to the clipboard
  * 
  * Stores the cell's prompt and output in the clipboard for pasting
- * into another cell.
+ * into another cell, along with the cell ID so relative references
+ * can be moved on paste.
  * 
  * @param {string} cellId - Cell identifier to copy
  * @returns {void}
@@ -6736,6 +10043,7 @@ function copyCell(cellId) {
     clipboard = {
       prompt: cell.prompt,
       output: cell.output,
+      cellId: cellId,
       type: 'cell'
     };
   }
@@ -6745,30 +10053,133 @@ function copyCell(cellId) {
  * Paste clipboard data into a cell
  * 
  * Copies the clipboard's prompt and output into the specified cell
- * and updates the UI textarea and output display.
+ * (see pasteCellContent).
  * 
  * @param {string} cellId - Cell identifier to paste into
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function pasteCell(cellId) {
+async function pasteCell(cellId) {
   if (clipboard && clipboard.type === 'cell') {
-    const cell = cells[cellId];
-    if (cell) {
-      cell.prompt = clipboard.prompt;
-      cell.output = clipboard.output;
+    saveState();
+    await pasteCellContent(cellId, clipboard);
+  }
+}
 
-      // Update the UI
-      const textarea = document.getElementById('prompt-' + cellId);
-      if (textarea) {
-        textarea.value = cell.prompt;
-      }
+/**
+ * Fill the selection downwards (Ctrl+D), as one undo step
+ * 
+ * Each selected region is filled from its top row; a region one row
+ * high is filled from the row above it.
+ * 
+ * @returns {Promise<void>}
+ */
+async function fillDown() {
+  await fillSelection(0, 1);
+}
+
+/**
+ * Fill the selection rightwards (Ctrl+R), as one undo step
+ * 
+ * Each selected region is filled from its left column; a region one
+ * column wide is filled from the column to its left.
+ * 
+ * @returns {Promise<void>}
+ */
+async function fillRight() {
+  await fillSelection(1, 0);
+}
 
-      const outputDiv = document.getElementById('output-' + cellId);
-      if (outputDiv) {
-        outputDiv.textContent = cell.output;
+/**
+ * Copy the first row or column of each selected region across the rest (see fillDown, fillRight)
+ * 
+ * @param {number} colStep - 1 to fill rightwards
+ * @param {number} rowStep - 1 to fill downwards
+ * @returns {Promise<void>}
+ */
+async function fillSelection(colStep, rowStep) {
+  const fills = [];
+  selectionRanges.forEach(range => {
+    const bounds = getSelectionBounds(range);
+    const single = rowStep ? bounds.top === bounds.bottom : bounds.left === bounds.right;
+    for (let r = bounds.top; r <= bounds.bottom; r++) {
+      for (let c = bounds.left; c <= bounds.right; c++) {
+        // The source row/column itself is not filled (unless the region is one cell deep)
+        if (!single && (rowStep ? r === bounds.top : c === bounds.left)) continue;
+        const sourceCol = colStep ? (single ? c - 1 : bounds.left) : c;
+        const sourceRow = rowStep ? (single ? r - 1 : bounds.top) : r;
+        if (sourceCol < 0 || sourceRow < 0) continue;
+
+        const sourceId = getCellId(sourceCol, sourceRow);
+        const targetId = getCellId(c, r);
+        if (cells[sourceId]) {
+          fills.push({ sourceId, targetId });
+        }
       }
     }
+  });
+  if (fills.length === 0) return;
+
+  saveState();
+  for (const { sourceId, targetId } of fills) {
+    const source = cells[sourceId];
+    await pasteCellContent(targetId, { prompt: source.prompt, output: source.output, cellId: sourceId });
+  }
+}
+
+/**
+ * Write copied cell content into a cell
+ * 
+ * Relative references move by the distance between the source and the
+ * target ({{A1}} copied one row down reads {{A2}}), while "$" parts stay
+ * put ({{$A$1}}, {{A$1}}). Formulas are recalculated; the cell is saved
+ * and the UI textarea and output display are updated. Empty grid cells get
+ * a cell (and, in the card view, a card). Callers record the undo step (saveState).
+ * 
+ * @param {string} cellId - Cell identifier to write into
+ * @param {Object} content - {prompt, output, cellId} copied from the source cell
+ * @returns {Promise<void>}
+ */
+async function pasteCellContent(cellId, content) {
+  if (!cells[cellId]) {
+    cells[cellId] = { prompt: '', output: '', model: getDefaultModel(), temperature: 0.7 };
+  }
+  const cell = cells[cellId];
+
+  let prompt = content.prompt || '';
+  if (content.cellId && content.cellId !== cellId) {
+    const [sourceCol, sourceRow] = parseCellId(content.cellId);
+    const [targetCol, targetRow] = parseCellId(cellId);
+    prompt = rewriteCellReferences(prompt, offsetReferenceTransform(targetCol - sourceCol, targetRow - sourceRow));
+  }
+
+  if (cell.prompt !== prompt) {
+    // Like a hand edit, pasting over a filled-in row detaches it from its column template
+    delete cell.columnTemplate;
+  }
+  cell.prompt = prompt;
+  cell.output = content.output;
+
+  if (isFormula(cell.prompt)) {
+    await recalculateFormulaCell(cellId);
+  } else if (currentSheet.id) {
+    saveCellToDatabase(cellId, cell.prompt, cell.output, cell.model, cell.temperature, cell.cellPrompt || null, cell.autoRun || null, cell.interval || null);
+  }
+
+  // Update the UI
+  const textarea = document.getElementById('prompt-' + cellId);
+  if (textarea) {
+    textarea.value = cell.prompt;
+  }
+
+  const outputDiv = document.getElementById('output-' + cellId);
+  if (outputDiv) {
+    outputDiv.textContent = cell.output;
+  }
+
+  if (cell.prompt && document.getElementById('cards') && !document.getElementById(`card-${cellId}`)) {
+    createCardForCell(cellId);
   }
+  reapplyColumnTemplates(cellId);
 }
 
 /**
@@ -6821,7 +10232,8 @@ function findAndReplace(findText, replaceText, matchCase = false) {
  * Undo/Redo functionality
  * 
  * Maintains history of cell states for undo/redo operations.
- * Maximum of 50 undo steps are stored.
+ * Maximum of 50 undo steps are stored. The history belongs to the current
+ * sheet and is cleared when another sheet or project is loaded.
  */
 let undoStack = [];
 let redoStack = [];
@@ -6850,11 +10262,24 @@ function saveState() {
   redoStack = [];
 }
 
+/**
+ * Forget the undo/redo history
+ * 
+ * Called when the current sheet changes, so an undo never writes one
+ * sheet's cells into another.
+ * 
+ * @returns {void}
+ */
+function clearUndoHistory() {
+  undoStack = [];
+  redoStack = [];
+}
+
 /**
  * Undo the last action
  * 
  * Restores the previous state from the undo stack and pushes the current
- * state to the redo stack. Re-renders the grid after restoration.
+ * state to the redo stack. Saves the restored cells and re-renders the grid.
  * 
  * @returns {void}
  */
@@ -6870,6 +10295,8 @@ function undo() {
     const previousState = undoStack.pop();
     cells = previousState.cells;
     currentSheetIndex = previousState.currentSheetIndex;
+    currentSheet.cells = cells;
+    persistRestoredCells(currentState.cells, cells);
 
     renderGrid();
     updateSheetTabs();
@@ -6880,7 +10307,7 @@ function undo() {
  * Redo the last undone action
  * 
  * Restores the next state from the redo stack and pushes the current
- * state to the undo stack. Re-renders the grid after restoration.
+ * state to the undo stack. Saves the restored cells and re-renders the grid.
  * 
  * @returns {void}
  */
@@ -6896,12 +10323,45 @@ function redo() {
     const nextState = redoStack.pop();
     cells = nextState.cells;
     currentSheetIndex = nextState.currentSheetIndex;
+    currentSheet.cells = cells;
+    persistRestoredCells(currentState.cells, cells);
 
     renderGrid();
     updateSheetTabs();
   }
 }
 
+/**
+ * Save the cells an undo or redo changed, and delete the ones it removed
+ * 
+ * Bulk actions (see runSelectedCells and the other selection actions) save
+ * as they go, so stepping back has to save the restored cells too.
+ * 
+ * @param {Object} previousCells - Cells before the undo/redo
+ * @param {Object} restoredCells - Cells after it
+ * @returns {void}
+ */
+function persistRestoredCells(previousCells, restoredCells) {
+  if (!currentSheet.id) return;
+
+  Object.entries(restoredCells).forEach(([cellId, cell]) => {
+    if (JSON.stringify(cell) !== JSON.stringify(previousCells[cellId])) {
+      saveCellToDatabase(cellId, cell.prompt, cell.output, cell.model, cell.temperature, cell.cellPrompt || null, cell.autoRun || null, cell.interval || null);
+    }
+  });
+
+  const removedCellIds = Object.keys(previousCells).filter(cellId => !restoredCells[cellId]);
+  if (removedCellIds.length > 0 && typeof firestoreService !== 'undefined' && firestoreService.deleteCell) {
+    const userId = currentUser ? currentUser.uid : 'demo-user-123';
+    const projectId = currentProjectId || 'default-project';
+    removedCellIds.forEach(cellId => {
+      firestoreService.deleteCell(userId, projectId, currentSheet.id, cellId).catch(error => {
+        console.error('❌ Error deleting cell on undo:', error);
+      });
+    });
+  }
+}
+
 // ============================================================================
 // SECTION 12: MODAL FUNCTIONALITY
 // ============================================================================
@@ -7010,7 +10470,7 @@ function openModal(cellId) {
       // Avatar/icon placeholder
       logsHTML += `<div style="width: 40px; height: 40px; border-radius: 50%; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 14px;">${genType === 'image' ? '🖼️' : genType === 'video' ? '🎥' : genType === 'audio' ? '🎵' : '🤖'}</div>`;
       logsHTML += `<div>`;
-      logsHTML += `<div style="font-weight: 600; font-size: 15px; color: #050505; line-height: 1.2;">${gen.model || 'AI Model'}</div>`;
+      logsHTML += `<div style="font-weight: 600; font-size: 15px; color: #050505; line-height: 1.2;">${escapeHtml(gen.model || 'AI Model')}${gen.answeredBy ? ` <span style="font-weight: 400; font-size: 12px; color: #65676b;" title="The requested model failed, so a fallback answered">↪ ${escapeHtml(gen.answeredBy)}</span>` : ''}${gen.cached ? ` <span style="font-weight: 400; font-size: 12px; color: #65676b;" title="Served from the response cache - nothing was generated or charged">⚡ Cached</span>` : ''}</div>`;
       logsHTML += `<div style="font-size: 13px; color: #65676b; margin-top: 2px;">${timeAgo} · Temp: ${gen.temperature} ${isLatest ? '· Latest' : ''}</div>`;
       logsHTML += `</div>`;
       logsHTML += `</div>`;
@@ -7099,12 +10559,12 @@ function openModal(cellId) {
 
   const modalTemperatureEl = document.getElementById('modalTemperature');
   if (modalTemperatureEl) {
-    modalTemperatureEl.value = cell.temperature || 0.7;
+    modalTemperatureEl.value = cell.temperature ?? 0.7;
   }
 
   const modalTempValueEl = document.getElementById('modalTempValue');
   if (modalTempValueEl) {
-    modalTempValueEl.textContent = cell.temperature || 0.7;
+    modalTempValueEl.textContent = cell.temperature ?? 0.7;
   }
 
   const modalCellPromptEl = document.getElementById('modalCellPrompt');
@@ -7117,6 +10577,32 @@ function openModal(cellId) {
     modalAutoRunEl.checked = cell.autoRun || false;
   }
 
+  const modalResponseSchemaEl = document.getElementById('modalResponseSchema');
+  if (modalResponseSchemaEl) {
+    modalResponseSchemaEl.value = cell.responseSchema || '';
+  }
+
+  const modalCellTypeEl = document.getElementById('modalCellType');
+  if (modalCellTypeEl) {
+    modalCellTypeEl.value = cell.cellType || 'single';
+  }
+  const modalSystemPromptEl = document.getElementById('modalSystemPrompt');
+  if (modalSystemPromptEl) {
+    modalSystemPromptEl.value = cell.systemPrompt || '';
+  }
+  updateModalConversation();
+
+  const mediaOptions = cell.mediaOptions || {};
+  document.getElementById('modalVoice').value = mediaOptions.voice || 'alloy';
+  document.getElementById('modalImageSize').value = mediaOptions.size || '1024x1024';
+  document.getElementById('modalImageQuality').value = mediaOptions.quality || 'standard';
+  updateModalMediaOptions();
+
+  const modalBypassCacheEl = document.getElementById('modalBypassCache');
+  if (modalBypassCacheEl) {
+    modalBypassCacheEl.checked = cell.bypassCache || false;
+  }
+
   // Opening modal for cell
 
   // Show modal
@@ -7136,6 +10622,122 @@ function openModal(cellId) {
   loadCellFormatting(cellId);
 }
 
+/**
+ * Show the modal's media settings that apply to the selected model
+ * 
+ * Speech models take a voice; image models take a size and quality.
+ * The section is hidden for other model types. Text models get the
+ * response schema field instead.
+ * 
+ * @returns {void}
+ */
+function updateModalMediaOptions() {
+  const section = document.getElementById('modalMediaOptions');
+  const modalModelEl = document.getElementById('modalModel');
+  if (!section || !modalModelEl) return;
+
+  const selectedModel = availableModels.find(m => m.id === modalModelEl.value);
+  const type = selectedModel ? selectedModel.type : 'text';
+  section.style.display = type === 'image' || type === 'audio' ? 'block' : 'none';
+  document.getElementById('modalVoice').style.display = type === 'audio' ? '' : 'none';
+  document.getElementById('modalImageSize').style.display = type === 'image' ? '' : 'none';
+  document.getElementById('modalImageQuality').style.display = type === 'image' ? '' : 'none';
+
+  const schemaSection = document.getElementById('modalResponseSchemaSection');
+  if (schemaSection) {
+    schemaSection.style.display = type === 'text' ? 'block' : 'none';
+  }
+}
+
+/**
+ * Read the modal's response schema for structured output
+ * 
+ * @returns {string} The schema's JSON text, or '' for free-text output
+ * @throws {Error} If the schema is not a JSON object
+ */
+function readModalResponseSchema() {
+  const schemaSection = document.getElementById('modalResponseSchemaSection');
+  const schemaEl = document.getElementById('modalResponseSchema');
+  if (!schemaEl || (schemaSection && schemaSection.style.display === 'none')) return '';
+
+  const text = schemaEl.value.trim();
+  if (!text) return '';
+  let schema;
+  try {
+    schema = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Response schema is not valid JSON: ${error.message}`);
+  }
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('Response schema must be a JSON object');
+  }
+  return text;
+}
+
+/**
+ * Read the modal's media settings for the selected model
+ * 
+ * @returns {Object|null} { voice } for speech models, { size, quality } for
+ *   image models, null for models without media settings
+ */
+function readModalMediaOptions() {
+  const section = document.getElementById('modalMediaOptions');
+  if (!section || section.style.display === 'none') return null;
+
+  if (document.getElementById('modalVoice').style.display !== 'none') {
+    return { voice: document.getElementById('modalVoice').value };
+  }
+  return {
+    size: document.getElementById('modalImageSize').value,
+    quality: document.getElementById('modalImageQuality').value
+  };
+}
+
+/**
+ * Show the modal's conversation thread when the cell type is "Conversation"
+ * 
+ * Lists the stored turns of the open cell, oldest first.
+ * 
+ * @returns {void}
+ */
+function updateModalConversation() {
+  const section = document.getElementById('modalConversationSection');
+  const thread = document.getElementById('modalConversation');
+  const cellTypeEl = document.getElementById('modalCellType');
+  if (!section || !thread || !cellTypeEl) return;
+
+  const isConversation = cellTypeEl.value === 'conversation';
+  section.style.display = isConversation ? 'block' : 'none';
+  if (!isConversation) return;
+
+  const cell = currentSheet.cells[currentModalCellId];
+  const turns = ((cell && cell.messages) || []).filter(message => message.role !== 'system');
+  if (turns.length === 0) {
+    thread.innerHTML = '<div style="color: #6c757d; font-size: 13px;">No messages yet - run the cell to start the conversation.</div>';
+    return;
+  }
+  thread.innerHTML = turns.map(message => `
+    <div style="margin-bottom: 10px;">
+      <div style="font-size: 12px; font-weight: 600; color: #65676b;">${message.role === 'user' ? 'You' : 'Assistant'}</div>
+      <div style="white-space: pre-wrap; font-size: 14px; color: #050505;">${escapeHtml(message.content)}</div>
+    </div>`).join('');
+}
+
+/**
+ * Start the open conversation cell's thread over
+ * 
+ * @returns {void}
+ */
+function clearModalConversation() {
+  const cell = currentSheet.cells[currentModalCellId];
+  if (!cell || !cell.messages || cell.messages.length === 0) return;
+  if (!confirm(`Clear the conversation in cell ${currentModalCellId}? Its generation history is kept.`)) return;
+
+  cell.messages = [];
+  saveCellToDatabase(currentModalCellId, cell.prompt, cell.output, cell.model, cell.temperature, cell.cellPrompt, cell.autoRun, cell.interval || 0);
+  updateModalConversation();
+}
+
 /**
  * Close the cell editor modal
  * 
@@ -7172,6 +10774,10 @@ function runModalCell() {
     currentSheet.cells[currentModalCellId] = { prompt: '', output: '', model: defaultModel, temperature: 0.7 };
   }
 
+  if (currentSheet.cells[currentModalCellId].prompt !== prompt) {
+    // A hand-edited row no longer follows its column template
+    delete currentSheet.cells[currentModalCellId].columnTemplate;
+  }
   currentSheet.cells[currentModalCellId].prompt = prompt;
   currentSheet.cells[currentModalCellId].model = model;
   currentSheet.cells[currentModalCellId].temperature = temperature;
@@ -7221,7 +10827,7 @@ function runModalCell() {
         // Avatar/icon placeholder
         logsHTML += `<div style="width: 40px; height: 40px; border-radius: 50%; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); display: flex; align-items: center; justify-content: center; color: white; font-weight: bold; font-size: 14px;">${genType === 'image' ? '🖼️' : genType === 'video' ? '🎥' : genType === 'audio' ? '🎵' : '🤖'}</div>`;
         logsHTML += `<div>`;
-        logsHTML += `<div style="font-weight: 600; font-size: 15px; color: #050505; line-height: 1.2;">${gen.model || 'AI Model'}</div>`;
+        logsHTML += `<div style="font-weight: 600; font-size: 15px; color: #050505; line-height: 1.2;">${escapeHtml(gen.model || 'AI Model')}${gen.answeredBy ? ` <span style="font-weight: 400; font-size: 12px; color: #65676b;" title="The requested model failed, so a fallback answered">↪ ${escapeHtml(gen.answeredBy)}</span>` : ''}${gen.cached ? ` <span style="font-weight: 400; font-size: 12px; color: #65676b;" title="Served from the response cache - nothing was generated or charged">⚡ Cached</span>` : ''}</div>`;
         logsHTML += `<div style="font-size: 13px; color: #65676b; margin-top: 2px;">${timeAgo} · Temp: ${gen.temperature} ${isLatest ? '· Latest' : ''}</div>`;
         logsHTML += `</div>`;
         logsHTML += `</div>`;
@@ -7310,6 +10916,14 @@ function saveModalCell() {
 
   if (!modalPromptEl || !modalModelEl) return;
 
+  let responseSchema;
+  try {
+    responseSchema = readModalResponseSchema();
+  } catch (error) {
+    showError(error.message);
+    return;
+  }
+
   const prompt = modalPromptEl.value;
   const model = modalModelEl.value;
   const temperature = modalTemperatureEl ? parseFloat(modalTemperatureEl.value) : 0.7;
@@ -7334,18 +10948,33 @@ function saveModalCell() {
     currentSheet.cells[currentModalCellId] = { prompt: '', output: '', model: saveDefaultModel, temperature: 0.7, cellPrompt: '', autoRun: false };
   }
 
+  if (currentSheet.cells[currentModalCellId].prompt !== prompt) {
+    // A hand-edited row no longer follows its column template
+    delete currentSheet.cells[currentModalCellId].columnTemplate;
+  }
   currentSheet.cells[currentModalCellId].prompt = prompt;
   currentSheet.cells[currentModalCellId].output = output;
   currentSheet.cells[currentModalCellId].model = model;
   currentSheet.cells[currentModalCellId].temperature = temperature;
   currentSheet.cells[currentModalCellId].cellPrompt = cellPrompt;
   currentSheet.cells[currentModalCellId].autoRun = autoRun;
-
-  // Save to database
-  if (currentSheet.id) {
+  currentSheet.cells[currentModalCellId].mediaOptions = readModalMediaOptions();
+  currentSheet.cells[currentModalCellId].bypassCache = document.getElementById('modalBypassCache')?.checked || false;
+  currentSheet.cells[currentModalCellId].responseSchema = responseSchema;
+  currentSheet.cells[currentModalCellId].cellType = document.getElementById('modalCellType')?.value || 'single';
+  currentSheet.cells[currentModalCellId].systemPrompt = document.getElementById('modalSystemPrompt')?.value || '';
+
+  // Save to database (formulas are recalculated, saved and propagated)
+  if (isFormula(prompt)) {
+    recalculateFormulaCell(currentModalCellId).catch(error => {
+      console.error(`❌ Error recalculating formula in ${currentModalCellId}:`, error);
+    });
+    output = currentSheet.cells[currentModalCellId].output;
+  } else if (currentSheet.id) {
     const cellInterval = currentSheet.cells[currentModalCellId]?.interval || 0;
     saveCellToDatabase(currentModalCellId, prompt, output, model, temperature, cellPrompt, autoRun, cellInterval);
   }
+  reapplyColumnTemplates(currentModalCellId);
 
   // Update the grid display
   const textarea = document.getElementById('prompt-' + currentModalCellId);
@@ -7432,6 +11061,9 @@ function saveModalCell() {
 async function runModalCell() {
   if (!currentModalCellId) return;
 
+  // The button doubles as "Stop" while the cell is generating
+  if (cancelCellGeneration(currentModalCellId)) return;
+
   // 1. Save changes first (without closing modal logic)
   const modalPromptEl = document.getElementById('modalPrompt');
   const modalModelEl = document.getElementById('modalModel');
@@ -7441,12 +11073,11 @@ async function runModalCell() {
 
   if (!modalPromptEl || !modalModelEl) return;
 
-  // Update UI to show running state
+  // Update UI to show running state. The button stays enabled as a stop control.
   const runBtn = document.querySelector('.run-button');
   const originalBtnText = runBtn.textContent;
   if (runBtn) {
-    runBtn.textContent = 'Running...';
-    runBtn.disabled = true;
+    runBtn.textContent = '⏹ Stop';
   }
 
   try {
@@ -7455,6 +11086,7 @@ async function runModalCell() {
     const temperature = modalTemperatureEl ? parseFloat(modalTemperatureEl.value) : 0.7;
     const cellPrompt = modalCellPromptEl ? modalCellPromptEl.value : '';
     const autoRun = modalAutoRunEl ? modalAutoRunEl.checked : false;
+    const responseSchema = readModalResponseSchema();
 
     // Update cell data
     if (!currentSheet.cells[currentModalCellId]) {
@@ -7463,23 +11095,37 @@ async function runModalCell() {
       };
     }
 
+    if (currentSheet.cells[currentModalCellId].prompt !== prompt) {
+      // A hand-edited row no longer follows its column template
+      delete currentSheet.cells[currentModalCellId].columnTemplate;
+    }
     currentSheet.cells[currentModalCellId].prompt = prompt;
     currentSheet.cells[currentModalCellId].model = model;
     currentSheet.cells[currentModalCellId].temperature = temperature;
     currentSheet.cells[currentModalCellId].cellPrompt = cellPrompt;
     currentSheet.cells[currentModalCellId].autoRun = autoRun;
+    currentSheet.cells[currentModalCellId].mediaOptions = readModalMediaOptions();
+    currentSheet.cells[currentModalCellId].bypassCache = document.getElementById('modalBypassCache')?.checked || false;
+    currentSheet.cells[currentModalCellId].responseSchema = responseSchema;
+    currentSheet.cells[currentModalCellId].cellType = document.getElementById('modalCellType')?.value || 'single';
+    currentSheet.cells[currentModalCellId].systemPrompt = document.getElementById('modalSystemPrompt')?.value || '';
 
     // Save to database
     const cellInterval = currentSheet.cells[currentModalCellId]?.interval || 0;
     saveCellToDatabase(currentModalCellId, prompt, currentSheet.cells[currentModalCellId].output, model, temperature, cellPrompt, autoRun, cellInterval);
 
     // 2. Run the cell
-    await runCellWithDependencies(currentModalCellId);
+    const cellId = currentModalCellId;
+    const generationsBefore = (currentSheet.cells[cellId].generations || []).length;
+    await runCellWithDependencies(cellId);
 
     // 3. Re-open modal to refresh data (simplest way to update history and output)
-    openModal(currentModalCellId);
+    openModal(cellId);
 
-    showSuccess(`Cell ${currentModalCellId} executed successfully`);
+    // Cancelled or failed runs add no generation and already notified the user
+    if ((currentSheet.cells[cellId].generations || []).length > generationsBefore) {
+      showSuccess(`Cell ${cellId} executed successfully`);
+    }
 
   } catch (error) {
     console.error('Error running cell from modal:', error);
@@ -7488,7 +11134,6 @@ async function runModalCell() {
     // Restore button state
     if (runBtn) {
       runBtn.textContent = originalBtnText;
-      runBtn.disabled = false;
     }
   }
 }
@@ -7593,17 +11238,19 @@ function isVideoUrl(text) {
 /**
  * Check if a text string is an audio URL
  * 
- * Detects base64-encoded audio data URLs in various formats (MP3, WAV, OGG).
+ * Detects base64-encoded audio data URLs in various formats (MP3, WAV, OGG)
+ * and speech stored by the server (/api/media/<id>.mp3).
  * 
  * @param {string} text - Text to check
- * @returns {boolean} True if text appears to be an audio data URL
+ * @returns {boolean} True if text appears to be an audio URL
  */
 function isAudioUrl(text) {
   if (!text) return false;
   // Check if it's a base64 audio data URL
   return text.startsWith('data:audio/mp3;base64,') ||
     text.startsWith('data:audio/wav;base64,') ||
-    text.startsWith('data:audio/ogg;base64,');
+    text.startsWith('data:audio/ogg;base64,') ||
+    /^https?:\/\/\S+\/api\/media\/[\w-]+\.mp3$/.test(text);
 }
 
 /**
@@ -7876,13 +11523,17 @@ function renderImageOutput(cellId, imageUrl) {
  * Render text output in a cell
  * 
  * Displays plain text content in the cell's output area. Shows the output
- * div if text is present, hides it if empty.
+ * div if text is present, hides it if empty. While a generation is
+ * streaming, the partial text is also mirrored into the modal when it is
+ * open on the same cell.
  * 
  * @param {string} cellId - Cell identifier
  * @param {string} text - Text content to display
+ * @param {Object} [options]
+ * @param {boolean} [options.streaming=false] - Text is a partial, still-streaming result
  * @returns {void}
  */
-function renderTextOutput(cellId, text) {
+function renderTextOutput(cellId, text, { streaming = false } = {}) {
   const outDiv = document.getElementById('output-' + cellId);
   if (outDiv) {
     const outputContent = outDiv.querySelector('.output-content');
@@ -7891,6 +11542,15 @@ function renderTextOutput(cellId, text) {
     }
     outDiv.style.display = text ? 'block' : 'none';
   }
+
+  if (streaming && currentModalCellId === cellId) {
+    const modalOutput = document.getElementById('modalOutput');
+    if (modalOutput) {
+      modalOutput.textContent = text;
+      modalOutput.style.whiteSpace = 'pre-wrap';
+      modalOutput.scrollTop = modalOutput.scrollHeight;
+    }
+  }
 }
 
 /**
@@ -8367,7 +12027,6 @@ function applyRowResize() {
 }
 
 // Make admin functions available globally for console access
-window.makeCurrentUserAdmin = makeCurrentUserAdmin;
 window.checkAdminStatus = checkAdminStatus;
 window.addAdminLink = addAdminLink;
 window.forceAddAdminLink = function () {
@@ -8418,38 +12077,28 @@ function drawConnectionLines() {
   // Get all cards
   const cards = document.querySelectorAll('.card');
 
+  // Highlight the cards (and the links between them) that form a dependency loop
+  const cycleOf = findDependencyCycles(buildDependencyGraph());
+  const getCardCycle = (cellId) => cycleOf.get(getCellGraphKey(currentSheet, cellId));
+
   cards.forEach(card => {
     const targetCellId = card.getAttribute('data-cell-id');
+    card.classList.toggle('card-in-cycle', getCardCycle(targetCellId) !== undefined);
+
     const targetCell = currentSheet.cells[targetCellId];
     if (!targetCell || !targetCell.prompt) return;
 
-    // Parse dependencies from prompt
-    const deps = parseDependencies(targetCell.prompt);
+    // Parse dependencies from prompt (a range links every card it covers)
+    const deps = expandRangeDependencies(parseDependencies(targetCell.prompt));
 
     deps.forEach(depRef => {
-      // Extract cell ID from dependency reference
-      // Handle formats like: "A1", "prompt:A1", "output:A1", "A1-1", "A1:1-3", "A1:2"
-      let depId = depRef;
-
       // Skip cross-sheet references
-      if (depId.includes('!')) {
+      const reference = parseTemplateReference(depRef);
+      if (!reference || reference.sheet !== null) {
         return;
       }
 
-      // Remove prefixes like "prompt:", "output:"
-      if (depRef.includes(':')) {
-        const parts = depRef.split(':');
-        depId = parts[parts.length - 1];
-      }
-
-      // Remove generation suffixes like "-1", ":1-3", ":2"
-      if (depId.includes('-')) {
-        depId = depId.split('-')[0];
-      }
-
-      // Remove any remaining colons (for generation ranges)
-      depId = depId.split(':')[0];
-
+      const depId = reference.cellId;
       const sourceCard = document.getElementById(`card-${depId}`);
       if (!sourceCard) {
         // Card doesn't exist yet, skip drawing this connection
@@ -8468,12 +12117,17 @@ function drawConnectionLines() {
       const targetY = targetRect.top + targetRect.height / 2 - containerRect.top;
 
       // Create line
+      const sourceCycle = getCardCycle(depId);
+      const inCycle = sourceCycle !== undefined && sourceCycle === getCardCycle(targetCellId);
       const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
       line.setAttribute('x1', sourceX);
       line.setAttribute('y1', sourceY);
       line.setAttribute('x2', targetX);
       line.setAttribute('y2', targetY);
-      line.setAttribute('stroke', '#1967d2');
+      line.setAttribute('stroke', inCycle ? '#d93025' : '#1967d2');
+      if (inCycle) {
+        line.setAttribute('stroke-dasharray', '6 4');
+      }
       line.setAttribute('stroke-width', '2');
       line.setAttribute('marker-end', 'url(#arrowhead)');
       svg.appendChild(line);
@@ -8910,6 +12564,7 @@ function createCardForCell(cellId) {
   // Check if card has a valid model selected
   const hasValidModel = checkCardHasModel(cellId);
   const modelIndicator = hasValidModel ? '' : '<span class="card-model-indicator" title="No AI model selected">⚠️</span>';
+  const staleIndicator = `<span class="card-stale-indicator" id="stale-${cellId}" title="Inputs changed since this card last ran" style="display: ${cell.stale ? 'inline' : 'none'}; margin-left: 6px; padding: 0 6px; border-radius: 8px; background: #fef7e0; color: #b06000; font-size: 10px; font-weight: 500;">stale</span>`;
 
   card.innerHTML = `
     <div class="card-port input" title="Drop connection here"></div>
@@ -8918,6 +12573,7 @@ function createCardForCell(cellId) {
       <div class="card-header-left">
       <span class="card-id">${cellId}</span>
         ${modelIndicator}
+        ${staleIndicator}
       </div>
       <div class="card-header-actions">
         <button class="card-modal-btn" onclick="openModal('${cellId}')" title="Open in modal">📋</button>
@@ -8949,8 +12605,8 @@ function createCardForCell(cellId) {
           <div class="cell-control-group">
             <label class="cell-control-label">Temperature</label>
             <div class="cell-temp-control">
-              <input type="range" class="cell-temp-slider" id="temp-slider-${cellId}" min="0" max="1" step="0.1" value="${(cell.temperature || 0.7)}" oninput="updateTempFromSlider('${cellId}', this.value)">
-              <input type="number" class="cell-temp-input" id="temp-${cellId}" min="0" max="1" step="0.1" value="${(cell.temperature || 0.7)}" onchange="updateCellTemperature('${cellId}')" title="Temperature (0-1)">
+              <input type="range" class="cell-temp-slider" id="temp-slider-${cellId}" min="0" max="1" step="0.1" value="${(cell.temperature ?? 0.7)}" oninput="updateTempFromSlider('${cellId}', this.value)">
+              <input type="number" class="cell-temp-input" id="temp-${cellId}" min="0" max="1" step="0.1" value="${(cell.temperature ?? 0.7)}" onchange="updateCellTemperature('${cellId}')" title="Temperature (0-1)">
             </div>
           </div>
           <div class="cell-control-group">
@@ -9094,22 +12750,10 @@ function showDisconnectMenu(event, cellId) {
   // Extract unique cell IDs from dependencies (handle formats like "A1", "prompt:A1", etc.)
   const uniqueCellIds = new Set();
   deps.forEach(depRef => {
-    let cellId = depRef;
-    // Skip cross-sheet references
-    if (cellId.includes('!')) return;
-    // Remove prefixes like "prompt:", "output:"
-    if (cellId.includes(':')) {
-      const parts = cellId.split(':');
-      cellId = parts[parts.length - 1];
-    }
-    // Remove generation suffixes like "-1", ":1-3", ":2"
-    if (cellId.includes('-')) {
-      cellId = cellId.split('-')[0];
-    }
-    // Remove any remaining colons
-    cellId = cellId.split(':')[0];
-    if (cellId) {
-      uniqueCellIds.add(cellId);
+    // Skip cross-sheet references and ranges
+    const reference = parseTemplateReference(depRef);
+    if (reference && reference.sheet === null && !parseTemplateRange(depRef)) {
+      uniqueCellIds.add(reference.cellId);
     }
   });
 
@@ -9274,26 +12918,13 @@ async function deleteCard(cellId) {
       const deps = parseDependencies(otherCell.prompt);
       // Check if any dependency references this cell
       const hasDependency = deps.some(depRef => {
-        let depId = depRef;
-        // Extract cell ID from reference
-        // Skip cross-sheet references for same-sheet check
-        if (depId.includes('!')) {
-          // Check if it's a cross-sheet reference to this cell
-          const sheetName = currentSheet.name;
-          if (depId.includes(`${sheetName}!${cellId}`)) {
-            return true;
-          }
+        // Ranges read a missing cell as empty, so deleting one doesn't break them
+        if (parseTemplateRange(depRef)) {
           return false;
         }
-        if (depId.includes(':')) {
-          const parts = depId.split(':');
-          depId = parts[parts.length - 1];
-        }
-        if (depId.includes('-')) {
-          depId = depId.split('-')[0];
-        }
-        depId = depId.split(':')[0];
-        return depId === cellId;
+        // A reference naming this sheet points here too
+        const reference = parseTemplateReference(depRef);
+        return Boolean(reference) && (reference.sheet === null || reference.sheet === currentSheet.name) && reference.cellId === cellId;
       });
 
       if (hasDependency) {
@@ -9323,37 +12954,12 @@ async function deleteCard(cellId) {
         // Check if any dependency references this cell from the current sheet
         const sheetName = currentSheet.name;
         const hasCrossSheetDependency = deps.some(depRef => {
-          // Check for cross-sheet reference format: SheetName!CellId
-          if (depRef.includes('!')) {
-            // Extract sheet name and cell ID from reference
-            let refSheetName = '';
-            let refCellId = depRef;
-
-            // Handle type prefixes like "prompt:" or "output:"
-            if (depRef.includes(':') && (depRef.startsWith('prompt:') || depRef.startsWith('output:'))) {
-              const colonIndex = depRef.indexOf(':');
-              refCellId = depRef.substring(colonIndex + 1);
-            }
-
-            // Extract sheet name and cell ID from "SheetName!CellId" format
-            if (refCellId.includes('!')) {
-              const exclamationIndex = refCellId.indexOf('!');
-              refSheetName = refCellId.substring(0, exclamationIndex);
-              refCellId = refCellId.substring(exclamationIndex + 1);
-            }
-
-            // Remove generation suffixes like "-1", ":1-3", ":2"
-            if (refCellId.includes('-')) {
-              refCellId = refCellId.split('-')[0];
-            }
-            if (refCellId.includes(':')) {
-              refCellId = refCellId.split(':')[0];
-            }
-
-            // Check if this reference points to the cell we're trying to delete
-            return refSheetName === sheetName && refCellId === cellId;
+          // Ranges don't break, see above
+          if (parseTemplateRange(depRef)) {
+            return false;
           }
-          return false;
+          const reference = parseTemplateReference(depRef);
+          return Boolean(reference) && reference.sheet === sheetName && reference.cellId === cellId;
         });
 
         if (hasCrossSheetDependency) {
@@ -9375,6 +12981,21 @@ async function deleteCard(cellId) {
     return;
   }
 
+  await removeCard(cellId);
+  afterCardsRemoved();
+
+  // Show success message
+  showSuccess(`Card ${cellId} deleted`);
+}
+
+/**
+ * Remove a card from the sheet, the page and the database (no checks or
+ * confirmation - see deleteCard and deleteSelectedCells)
+ * 
+ * @param {string} cellId - Cell identifier
+ * @returns {Promise<void>}
+ */
+async function removeCard(cellId) {
   // Clear interval timer if exists
   if (cellIntervalTimers[cellId]) {
     clearInterval(cellIntervalTimers[cellId]);
@@ -9410,7 +13031,14 @@ async function deleteCard(cellId) {
       // Silently handle error - card is already removed from UI
     }
   }
+}
 
+/**
+ * Tidy up the page after cards were removed
+ * 
+ * @returns {void}
+ */
+function afterCardsRemoved() {
   // Redraw connection lines
   if (typeof drawConnectionLines === 'function') {
     drawConnectionLines();
@@ -9424,9 +13052,6 @@ async function deleteCard(cellId) {
   if (allCellIds.length === 0) {
     renderGrid();
   }
-
-  // Show success message
-  showSuccess(`Card ${cellId} deleted`);
 }
 
 /**
@@ -9444,29 +13069,16 @@ function removeCardDependency(targetCellId, sourceCellIdOrRef) {
   if (!targetCell) return;
 
   // Extract cell ID from reference if needed (handle formats like "A1", "prompt:A1", etc.)
-  let sourceCellId = sourceCellIdOrRef;
-  if (sourceCellIdOrRef.includes(':')) {
-    const parts = sourceCellIdOrRef.split(':');
-    sourceCellId = parts[parts.length - 1];
-  }
-  if (sourceCellId.includes('-')) {
-    sourceCellId = sourceCellId.split('-')[0];
-  }
-  sourceCellId = sourceCellId.split(':')[0];
-
-  // Remove dependency from prompt (match the exact format in the prompt)
-  // Try both {{sourceCellId}} and {{prompt:sourceCellId}}, {{output:sourceCellId}}, etc.
-  const patterns = [
-    new RegExp(`\\{\\{${sourceCellId}\\}\\}`, 'g'),
-    new RegExp(`\\{\\{prompt:${sourceCellId}\\}\\}`, 'g'),
-    new RegExp(`\\{\\{output:${sourceCellId}\\}\\}`, 'g'),
-    new RegExp(`\\{\\{${sourceCellIdOrRef}\\}\\}`, 'g')
-  ];
+  const sourceReference = parseTemplateReference(sourceCellIdOrRef);
+  const sourceCellId = sourceReference ? sourceReference.cellId : sourceCellIdOrRef;
 
+  // Remove every same-sheet reference to the source cell, whatever its form:
+  // {{A1}}, {{prompt:A1}}, {{$A$1}}, {{A1-2}}, {{A1.title}} (ranges stay)
   if (targetCell.prompt) {
-    let updatedPrompt = targetCell.prompt;
-    patterns.forEach(pattern => {
-      updatedPrompt = updatedPrompt.replace(pattern, '');
+    const updatedPrompt = targetCell.prompt.replace(/\{\{([^}]+)\}\}/g, (match, reference) => {
+      const parsed = parseTemplateReference(reference);
+      const pointsAtSource = parsed && parsed.sheet === null && parsed.cellId === sourceCellId && !parseTemplateRange(reference);
+      return pointsAtSource ? '' : match;
     });
     targetCell.prompt = updatedPrompt.trim().replace(/\s+/g, ' '); // Clean up extra spaces
   }
@@ -9516,6 +13128,30 @@ window.setupCardEventDelegation = setupCardEventDelegation;
 window.setupCardConnections = setupCardConnections;
 window.updateCellInterval = updateCellInterval;
 window.runCellWithDependencies = runCellWithDependencies;
+window.cancelCellGeneration = cancelCellGeneration;
+window.cancelBatchExecution = cancelBatchExecution;
+window.runStaleCells = runStaleCells;
+window.showCostReport = showCostReport;
+window.closeCostReport = closeCostReport;
+window.updateModalMediaOptions = updateModalMediaOptions;
+window.updateModalConversation = updateModalConversation;
+window.openColumnTemplateModal = openColumnTemplateModal;
+window.closeColumnTemplateModal = closeColumnTemplateModal;
+window.loadColumnTemplate = loadColumnTemplate;
+window.saveColumnTemplate = saveColumnTemplate;
+window.unlinkColumnTemplate = unlinkColumnTemplate;
+window.clearModalConversation = clearModalConversation;
+window.runSelectedCells = runSelectedCells;
+window.clearSelectedCells = clearSelectedCells;
+window.setSelectedCellsModel = setSelectedCellsModel;
+window.setSelectedCellsTemperature = setSelectedCellsTemperature;
+window.toggleSelectedCellsAutoRun = toggleSelectedCellsAutoRun;
+window.formatSelectedCells = formatSelectedCells;
+window.toggleSelectedCellsFormat = toggleSelectedCellsFormat;
+window.copySelection = copySelection;
+window.pasteSelection = pasteSelection;
+window.deleteSelectedCells = deleteSelectedCells;
+window.clearSelection = clearSelection;
 window.toggleModelDropdown = toggleModelDropdown;
 window.selectCellModel = selectCellModel;
 window.handleProfileClick = handleProfileClick;
@@ -8,13 +8,17 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
+const crypto = require('crypto');
 const sqlite3 = require('sqlite3').verbose();
 
 // Load environment variables from .env file
 require('dotenv').config();
 
 // Firebase server integration for cloud deployment
-const { initializeFirebase, getFalAIApiKey, getOpenRouterApiKey, getActiveModelsFromFirebase, diagnoseFirebaseModels } = require('./firebase-server-config');
+const { initializeFirebase, getActiveModelsFromFirebase, diagnoseFirebaseModels, verifyIdToken, isUserAdmin, setUserAdminClaim, grantConfiguredAdmins, getUserSubscription } = require('./firebase-server-config');
+
+// Model pricing (costPer1kTokens) for usage accounting
+const { MODEL_CONFIG } = require('./model-config');
 
 // Local development configuration
 const { initializeLocalDev, getFalAIApiKeyLocal, getActiveModelsLocal } = require('./local-dev-config');
@@ -34,8 +38,94 @@ let availableModels = [];
 let modelsCacheTime = 0;
 const CACHE_DURATION = parseInt(process.env.CACHE_DURATION) || 5 * 60 * 1000; // 5 minutes
 
-// Circuit breaker for API requests
-let apiRequestInProgress = false;
+// Generation queue configuration (per-user and per-provider concurrency)
+const QUEUE_USER_CONCURRENCY = parseInt(process.env.QUEUE_USER_CONCURRENCY) || 2; // Running generations per user
+const QUEUE_MAX_PENDING_PER_USER = parseInt(process.env.QUEUE_MAX_PENDING_PER_USER) || 100; // Waiting generations per user
+const QUEUE_PROVIDER_CONCURRENCY = {
+  'openrouter': parseInt(process.env.QUEUE_OPENROUTER_CONCURRENCY) || 8,
+  'fal-ai': parseInt(process.env.QUEUE_FAL_AI_CONCURRENCY) || 4,
+  'openai': parseInt(process.env.QUEUE_OPENAI_CONCURRENCY) || 2,
+  'anthropic': parseInt(process.env.QUEUE_ANTHROPIC_CONCURRENCY) || 4,
+  // Self-hosted servers usually run one generation at a time
+  'local': parseInt(process.env.QUEUE_LOCAL_CONCURRENCY) || 1
+};
+
+// Retries for provider errors worth retrying (429, 5xx, dropped connections).
+// Models can override maxRetries in the admin dashboard.
+const GENERATION_RETRY_POLICY = {
+  maxRetries: process.env.GENERATION_MAX_RETRIES !== undefined ? parseInt(process.env.GENERATION_MAX_RETRIES) || 0 : 2,
+  baseDelayMs: parseInt(process.env.GENERATION_RETRY_BASE_DELAY_MS) || 1000, // Doubles on each retry
+  maxDelayMs: parseInt(process.env.GENERATION_RETRY_MAX_DELAY_MS) || 30000   // Longer Retry-After waits go straight to the fallbacks
+};
+
+// Turn roles accepted in a conversation's messages array
+const CHAT_MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+// Attempts at structured (JSON Schema) output before the generation fails
+const STRUCTURED_OUTPUT_MAX_ATTEMPTS = parseInt(process.env.STRUCTURED_OUTPUT_MAX_ATTEMPTS) || 3;
+
+// Cached generations are reused for this long (opt-in per request, see getGenerationCacheKey)
+const GENERATION_CACHE_TTL_HOURS = parseInt(process.env.GENERATION_CACHE_TTL_HOURS) || 168;
+// Answer length assumed when pricing text prompts ahead of time (see estimatePromptCosts)
+const ESTIMATED_COMPLETION_TOKENS = parseInt(process.env.ESTIMATED_COMPLETION_TOKENS) || 500;
+// Expired cache rows are deleted at startup and, at most this often, when a generation is cached
+const GENERATION_CACHE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+let lastGenerationCachePurge = 0;
+
+// Generation queue state
+const generationQueue = {
+  jobs: new Map(),              // jobId -> job (pending or running)
+  pendingByUser: new Map(),     // uid -> [job, ...] in submission order
+  userOrder: [],                // uids with pending jobs, in round-robin order
+  cursor: 0,                    // next index in userOrder to serve
+  runningByUser: new Map(),     // uid -> running job count
+  runningByProvider: new Map(), // provider -> running job count
+  providerWaiters: []           // running jobs waiting for a fallback provider's slot, in arrival order
+};
+let queueJobCounter = 0;
+
+// Video jobs run detached from the HTTP request, so they can poll for longer (2s per attempt)
+const VIDEO_POLL_MAX_ATTEMPTS = parseInt(process.env.VIDEO_POLL_MAX_ATTEMPTS) || 300;
+
+// Generation quotas per subscription plan. Monthly limits answer 402 when used up;
+// callsPerMinute answers 429. null means unlimited. QUOTA_PLANS (JSON) overrides.
+const QUOTA_PLANS = {
+  free: { callsPerMinute: 10, calls: 100, tokens: 100000, images: 20, videoSeconds: 30, cost: 1 },
+  pro: { callsPerMinute: 60, calls: 10000, tokens: 10000000, images: 2000, videoSeconds: 1800, cost: 100 },
+  premium: { callsPerMinute: 120, calls: null, tokens: null, images: 5000, videoSeconds: 3600, cost: 250 }
+};
+try {
+  Object.entries(JSON.parse(process.env.QUOTA_PLANS || '{}')).forEach(([plan, limits]) => {
+    QUOTA_PLANS[plan] = { ...(QUOTA_PLANS[plan] || QUOTA_PLANS.free), ...limits };
+  });
+} catch (error) {
+  console.error('❌ Ignoring invalid QUOTA_PLANS:', error.message);
+}
+const quotaBursts = new Map(); // uid -> timestamps of recent generation requests
+const userPlanCache = new Map(); // uid -> { plan, cachedAt }
+const USER_PLAN_CACHE_DURATION = 60 * 1000;
+
+// Provider key vault - keys set from the admin dashboard are stored encrypted
+// in SQLite and never sent to the browser. Environment variables are the fallback.
+const KEY_VAULT_SECRET = process.env.KEY_VAULT_SECRET || '';
+const VAULT_PROVIDERS = {
+  'openrouter': { name: 'OpenRouter', envVar: 'OPENROUTER_API_KEY' },
+  'fal-ai': { name: 'Fal.ai', envVar: 'FAL_AI_API_KEY' },
+  'openai': { name: 'OpenAI', envVar: 'OPENAI_API_KEY' },
+  'anthropic': { name: 'Anthropic', envVar: 'ANTHROPIC_API_KEY' },
+  // Optional - only servers started with an API key (vLLM --api-key) need one
+  'local': { name: 'Local models', envVar: 'LOCAL_LLM_API_KEY' }
+};
+const providerKeyCache = new Map(); // provider -> decrypted vault key (or null)
+const providerBaseUrlCache = new Map(); // provider -> base URL set from the admin dashboard (or null)
+
+// Hosts the admin dashboard may point a self-hosted provider at, so the setting
+// can't be used to reach other internal services (cloud metadata, databases)
+const PROVIDER_ENDPOINT_ALLOWED_HOSTS = (process.env.LOCAL_LLM_ALLOWED_HOSTS || 'localhost,127.0.0.1,::1,host.docker.internal')
+  .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+// After a failed model listing the local endpoint is left alone for this long
+const LOCAL_MODELS_RETRY_MS = 60 * 1000;
+let localModelsUnavailableUntil = 0;
 
 // Database setup
 const dbPath = process.env.DATABASE_URL || path.join(__dirname, 'spreadsheet.db');
@@ -65,6 +155,24 @@ function checkRateLimit(ip) {
   return true;
 }
 
+/**
+ * Authenticate a request using the Firebase ID token in the Authorization header
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<{uid: string, email: (string|null), isAdmin: boolean}>} The authenticated user
+ * @throws {Error} If the header is missing or the token cannot be verified
+ */
+async function authenticateRequest(req) {
+  const authHeader = req.headers['authorization'] || '';
+  const match = authHeader.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    throw new Error('Missing Authorization header');
+  }
+
+  const decoded = await verifyIdToken(match[1].trim());
+  return { uid: decoded.uid, email: decoded.email || null, isAdmin: isUserAdmin(decoded) };
+}
+
 /**
  * Enhanced error handling
  */
@@ -132,6 +240,94 @@ function initializeDatabase() {
           )
         `);
         
+        // Video jobs table - results outlive the HTTP request that started them
+        db.run(`
+          CREATE TABLE IF NOT EXISTS video_jobs (
+            id TEXT PRIMARY KEY,
+            uid TEXT NOT NULL,
+            model TEXT NOT NULL,
+            prompt TEXT,
+            sheet_id TEXT,
+            cell_id TEXT,
+            status TEXT DEFAULT 'queued',
+            progress INTEGER DEFAULT 0,
+            result TEXT,
+            error TEXT,
+            usage TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        
+        // Generation usage per user per calendar month (UTC), for quotas
+        db.run(`
+          CREATE TABLE IF NOT EXISTS usage_periods (
+            uid TEXT NOT NULL,
+            period TEXT NOT NULL,
+            calls INTEGER DEFAULT 0,
+            tokens INTEGER DEFAULT 0,
+            images INTEGER DEFAULT 0,
+            video_seconds REAL DEFAULT 0,
+            cost REAL DEFAULT 0,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (uid, period)
+          )
+        `);
+        
+        // Provider key vault - AES-256-GCM encrypted API keys
+        db.run(`
+          CREATE TABLE IF NOT EXISTS provider_keys (
+            provider TEXT PRIMARY KEY,
+            encrypted_key TEXT NOT NULL,
+            iv TEXT NOT NULL,
+            auth_tag TEXT NOT NULL,
+            updated_by TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        
+        // Base URLs for providers the admin points at their own server (local models)
+        db.run(`
+          CREATE TABLE IF NOT EXISTS provider_endpoints (
+            provider TEXT PRIMARY KEY,
+            base_url TEXT NOT NULL,
+            updated_by TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        
+        // Generated images and speech, served back by GET /api/media/:id
+        db.run(`
+          CREATE TABLE IF NOT EXISTS generated_media (
+            id TEXT PRIMARY KEY,
+            uid TEXT NOT NULL,
+            mime_type TEXT NOT NULL,
+            data BLOB NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        
+        // Opt-in cache of finished generations, keyed by getGenerationCacheKey
+        db.run(`
+          CREATE TABLE IF NOT EXISTS generation_cache (
+            cache_key TEXT PRIMARY KEY,
+            uid TEXT NOT NULL,
+            model TEXT NOT NULL,
+            output TEXT NOT NULL,
+            hits INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `);
+        purgeExpiredGenerations();
+        
+        // Jobs that were in flight when the server stopped can't be resumed
+        db.run(`
+          UPDATE video_jobs
+          SET status = 'failed', error = 'Server restarted before the job finished', updated_at = CURRENT_TIMESTAMP
+          WHERE status IN ('queued', 'running')
+        `);
+        
         // Check and add missing columns to existing tables
         db.get("PRAGMA table_info(cells)", (err, row) => {
           if (err) {
@@ -183,6 +379,15 @@ function initializeDatabase() {
                 });
               }
               
+              // Video jobs created before usage accounting have no usage column
+              db.all("PRAGMA table_info(video_jobs)", (err, jobColumns) => {
+                if (!err && !jobColumns.some(col => col.name === 'usage')) {
+                  db.run("ALTER TABLE video_jobs ADD COLUMN usage TEXT", (err) => {
+                    if (err) {}
+                  });
+                }
+              });
+              
               // Create default sheet if none exists
               db.get("SELECT COUNT(*) as count FROM sheets", (err, row) => {
                 if (err) {
@@ -338,457 +543,1026 @@ function updateSheetDimensions(sheetId, numRows, numCols) {
 }
 
 /**
- * Model providers configuration
+ * Create a video job record
  */
-const MODEL_PROVIDERS = {
-  'fal-ai': {
-    name: 'Fal.ai',
-    baseUrl: 'https://fal.run',
-    apiKey: process.env.FAL_AI_API_KEY || '',
-    models: [
-      // Image generation models
-      { id: 'fal-ai/flux/dev', name: 'FLUX Dev', description: 'High-quality image generation', type: 'image' },
-      { id: 'fal-ai/recraft-v3', name: 'Recraft V3', description: 'Vector art and image generation', type: 'image' },
-      // Video generation models
-      { id: 'fal-ai/stable-video-diffusion', name: 'Stable Video Diffusion', description: 'Text-to-video and image-to-video generation', type: 'video' },
-      { id: 'fal-ai/stable-video-diffusion/img2vid', name: 'Stable Video Diffusion (Image-to-Video)', description: 'Convert images to videos', type: 'video' },
-      { id: 'fal-ai/lightning-svd', name: 'Lightning SVD', description: 'Fast video generation model', type: 'video' }
-    ],
-    endpoint: '/v1/chat/completions'
-  },
-  'openrouter': {
-    name: 'OpenRouter',
-    baseUrl: 'https://openrouter.ai/api/v1',
-    apiKey: process.env.OPENROUTER_API_KEY || '',
-    models: [
-      { id: 'openai/gpt-4', name: 'GPT-4', description: 'Most advanced GPT-4 model', type: 'text' },
-      { id: 'openai/gpt-3.5-turbo', name: 'GPT-3.5 Turbo', description: 'Fast and efficient model', type: 'text' },
-      { id: 'anthropic/claude-3.5-sonnet', name: 'Claude 3.5 Sonnet', description: 'Advanced reasoning model', type: 'text' },
-      { id: 'meta-llama/llama-3.1-8b-instruct', name: 'Llama 3.1 8B', description: 'Fast and efficient text model', type: 'text' },
-      { id: 'meta-llama/llama-3.1-70b-instruct', name: 'Llama 3.1 70B', description: 'More capable text model', type: 'text' }
-    ],
-    endpoint: '/chat/completions'
-  },
-  'openai': {
-    name: 'OpenAI',
-    baseUrl: 'https://api.openai.com/v1',
-    apiKey: process.env.OPENAI_API_KEY || '',
-    models: [
-      { id: 'gpt-4o', name: 'GPT-4o', description: 'Most advanced GPT-4 model' },
-      { id: 'gpt-4o-mini', name: 'GPT-4o Mini', description: 'Faster, cheaper GPT-4 model' },
-      { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', description: 'Previous generation GPT-4' },
-      { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', description: 'Fast and efficient model' },
-      { id: 'dall-e-3', name: 'DALL-E 3', description: 'AI image generation model', type: 'image' },
-      { id: 'sora-2', name: 'Sora 2', description: 'OpenAI Sora 2 - Advanced video generation with text-to-video and image-to-video', type: 'video' },
-      { id: 'tts-1', name: 'TTS-1', description: 'Text-to-Speech model', type: 'audio' },
-      { id: 'tts-1-hd', name: 'TTS-1 HD', description: 'High-definition Text-to-Speech model', type: 'audio' },
-      // Add more OpenAI models here:
-      // { id: 'gpt-4o-2024-08-06', name: 'GPT-4o (Aug 6)', description: 'GPT-4o with specific date' },
-      // { id: 'gpt-3.5-turbo-0125', name: 'GPT-3.5 Turbo (Jan 25)', description: 'Latest GPT-3.5 Turbo' }
-    ],
-    endpoint: '/chat/completions'
-  },
-  
-  // Example: Add Anthropic Claude
-  // 'anthropic': {
-  //   name: 'Anthropic',
-  //   baseUrl: 'https://api.anthropic.com/v1',
-  //   apiKey: process.env.ANTHROPIC_API_KEY || '',
-  //   models: [
-  //     { id: 'claude-3-5-sonnet-20241022', name: 'Claude 3.5 Sonnet', description: 'Most capable Claude model' },
-  //     { id: 'claude-3-5-haiku-20241022', name: 'Claude 3.5 Haiku', description: 'Fast and efficient Claude model' }
-  //   ],
-  //   endpoint: '/messages'
-  // }
-};
+function createVideoJob(job) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      "INSERT INTO video_jobs (id, uid, model, prompt, sheet_id, cell_id, status) VALUES (?, ?, ?, ?, ?, ?, 'queued')",
+      [job.id, job.uid, job.model, job.prompt, job.sheetId || null, job.cellId || null],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(job.id);
+      }
+    );
+  });
+}
 
 /**
- * Make HTTP request to any API provider with dynamic API key
+ * Update a video job's status, progress, result, error or usage (JSON)
  */
-async function makeAPIRequest(provider, endpoint, data = null, apiKey = null) {
-  return new Promise(async (resolve, reject) => {
-    const config = MODEL_PROVIDERS[provider];
-    if (!config) {
-      reject(new Error(`Unknown provider: ${provider}`));
-      return;
-    }
-
-    // Get API key dynamically if not provided
-    let finalApiKey = apiKey;
-    if (!finalApiKey) {
-      if (provider === 'fal-ai') {
-        finalApiKey = process.env.FAL_AI_API_KEY;
-      } else if (provider === 'openrouter') {
-        finalApiKey = process.env.OPENROUTER_API_KEY;
-      } else {
-        finalApiKey = config.apiKey;
-      }
-    }
-
-    if (!finalApiKey) {
-      reject(new Error(`API key required for ${provider}`));
-      return;
-    }
+function updateVideoJob(jobId, fields) {
+  const columns = ['status', 'progress', 'result', 'error', 'usage'].filter(column => fields[column] !== undefined);
+  if (columns.length === 0) {
+    return Promise.resolve(0);
+  }
 
-    const url = new URL(config.baseUrl + endpoint);
-    console.log(`🌐 Making API request to: ${url.toString()}`);
-    console.log(`🔑 Using API key: ${finalApiKey ? finalApiKey.substring(0, 10) + '...' : 'NOT SET'}`);
-    
-    // Check if this is a TTS request (audio endpoint)
-    const isAudioRequest = endpoint === '/audio/speech';
-    
-    const options = {
-      hostname: url.hostname,
-      port: url.port || 443,
-      path: url.pathname + url.search,
-      method: data ? 'POST' : 'GET',
-      headers: {
-        'Authorization': `Bearer ${finalApiKey}`,
-        'Content-Type': 'application/json',
+  return new Promise((resolve, reject) => {
+    const assignments = columns.map(column => `${column} = ?`).join(', ');
+    const values = columns.map(column => fields[column]);
+    db.run(`UPDATE video_jobs SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [...values, jobId], function(err) {
+      if (err) {
+        reject(err);
+        return;
       }
-    };
-    
-    // Add provider-specific headers
-    if (provider === 'fal-ai') {
-      options.headers['Authorization'] = `Key ${finalApiKey}`;
-    } else if (provider === 'openrouter') {
-      options.headers['Authorization'] = `Bearer ${finalApiKey}`;
-    }
+      resolve(this.changes);
+    });
+  });
+}
 
-    // Add timeout to prevent hanging requests
-    const req = https.request(options, (res) => {
-      console.log(`📡 API Response Status: ${res.statusCode}`);
-      console.log(`📡 API Response Headers:`, res.headers);
-      
-      if (isAudioRequest) {
-        // Handle binary audio data
-        const chunks = [];
-        res.on('data', (chunk) => {
-          chunks.push(chunk);
-        });
-        res.on('end', () => {
-          if (res.statusCode >= 400) {
-            const errorData = Buffer.concat(chunks).toString();
-            console.log(`❌ API Error ${res.statusCode}: ${errorData}`);
-            reject(new Error(`API Error ${res.statusCode}: ${errorData.substring(0, 200)}`));
-            return;
-          }
-          
-          // Return the audio data as base64
-          const audioBuffer = Buffer.concat(chunks);
-          const base64Audio = audioBuffer.toString('base64');
-          resolve(base64Audio);
-        });
-      } else {
-        // Handle JSON responses
-        let responseData = '';
-        res.on('data', (chunk) => {
-          responseData += chunk;
-        });
-        res.on('end', () => {
-          console.log(`📡 API Response Data: ${responseData.substring(0, 500)}...`);
-          
-          if (res.statusCode >= 400) {
-            console.log(`❌ API Error ${res.statusCode}: ${responseData}`);
-            reject(new Error(`API Error ${res.statusCode}: ${responseData.substring(0, 200)}`));
-            return;
-          }
-          
-          try {
-            const parsed = JSON.parse(responseData);
-            console.log(`✅ API Success:`, parsed);
-            resolve(parsed);
-          } catch (error) {
-            console.log(`❌ JSON Parse Error:`, error.message);
-            reject(new Error(`Invalid JSON response: ${responseData.substring(0, 200)}`));
-          }
-        });
+/**
+ * Get a video job by ID
+ */
+function getVideoJob(jobId) {
+  return new Promise((resolve, reject) => {
+    db.get("SELECT * FROM video_jobs WHERE id = ?", [jobId], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
       }
+      resolve(row || null);
     });
+  });
+}
 
-    // Set timeout to prevent hanging requests
-    req.setTimeout(30000, () => {
-      console.log(`⏰ Request timeout after 30 seconds`);
-      req.destroy();
-      reject(new Error('Request timeout - API did not respond within 30 seconds'));
-    });
+/**
+ * Store a generated media file (image or speech audio)
+ */
+function createGeneratedMedia(media) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      "INSERT INTO generated_media (id, uid, mime_type, data) VALUES (?, ?, ?, ?)",
+      [media.id, media.uid, media.mimeType, media.data],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(media.id);
+      }
+    );
+  });
+}
 
-    req.on('error', (error) => {
-      console.log(`❌ Request error:`, error.message);
-      reject(error);
+/**
+ * Get a generated media file by ID
+ */
+function getGeneratedMedia(mediaId) {
+  return new Promise((resolve, reject) => {
+    db.get("SELECT * FROM generated_media WHERE id = ?", [mediaId], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(row || null);
     });
+  });
+}
 
-    if (data) {
-      console.log(`📤 Sending request data:`, JSON.stringify(data).substring(0, 200) + '...');
-      req.write(JSON.stringify(data));
-    }
-    req.end();
+/**
+ * Get a cached generation that hasn't expired, counting the hit
+ */
+function getCachedGeneration(cacheKey) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      "SELECT * FROM generation_cache WHERE cache_key = ? AND created_at >= datetime('now', ?)",
+      [cacheKey, `-${GENERATION_CACHE_TTL_HOURS} hours`],
+      (err, row) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        if (row) {
+          db.run("UPDATE generation_cache SET hits = hits + 1 WHERE cache_key = ?", [cacheKey]);
+        }
+        resolve(row || null);
+      }
+    );
   });
 }
 
 /**
- * Fetch available models from all providers
+ * Delete cached generations older than GENERATION_CACHE_TTL_HOURS
  */
-async function fetchAvailableModels() {
-  const allModels = [];
-  
-  try {
-    // Try to load models from Firestore (production deployment)
-    const models = await getActiveModelsFromFirebase();
-    
-    if (models.length > 0) {
-      allModels.push(...models);
-      console.log(`✅ Loaded ${models.length} models from Firebase`);
-    } else {
-      // Fallback to local models if Firebase returns empty
-      console.log('⚠️ No models found in Firebase, using local fallback');
-      const localModels = await getActiveModelsLocal();
-      allModels.push(...localModels);
-      console.log(`✅ Loaded ${localModels.length} models from local fallback`);
-    }
-  } catch (error) {
-    // Fallback to local models if Firebase fails
-    console.log('⚠️ Error loading models from Firebase, using local fallback:', error.message);
-    try {
-      const localModels = await getActiveModelsLocal();
-      allModels.push(...localModels);
-      console.log(`✅ Loaded ${localModels.length} models from local fallback`);
-    } catch (localError) {
-      console.error('❌ Error loading local models:', localError.message);
+function purgeExpiredGenerations() {
+  lastGenerationCachePurge = Date.now();
+  db.run(
+    "DELETE FROM generation_cache WHERE created_at < datetime('now', ?)",
+    [`-${GENERATION_CACHE_TTL_HOURS} hours`],
+    (err) => {
+      if (err) console.error('❌ Error purging expired cached generations:', err);
     }
-  }
-  
-  return allModels;
+  );
 }
 
 /**
- * Get available models (with caching)
+ * Store (or refresh) a cached generation, purging expired ones now and then
  */
-async function getAvailableModels() {
-  const now = Date.now();
-  if (availableModels.length === 0 || (now - modelsCacheTime) > CACHE_DURATION) {
-    availableModels = await fetchAvailableModels();
-    modelsCacheTime = now;
+function saveCachedGeneration(entry) {
+  if (Date.now() - lastGenerationCachePurge > GENERATION_CACHE_PURGE_INTERVAL_MS) {
+    purgeExpiredGenerations();
   }
-  return availableModels;
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT OR REPLACE INTO generation_cache (cache_key, uid, model, output, hits, created_at)
+       VALUES (?, ?, ?, ?, 0, CURRENT_TIMESTAMP)`,
+      [entry.cacheKey, entry.uid, entry.model, entry.output],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        resolve(entry.cacheKey);
+      }
+    );
+  });
 }
 
 /**
- * Get original model ID from sanitized ID
+ * Get a user's usage for a period ('YYYY-MM'), zeros if nothing recorded yet
  */
-async function getOriginalModelId(sanitizedId) {
-  try {
-    // If it already contains a slash, it's likely already in the correct format
-    if (sanitizedId.includes('/')) {
-      return sanitizedId;
-    }
-    
-    // Handle common model ID patterns
-    if (sanitizedId.includes('-')) {
-      const parts = sanitizedId.split('-');
-      
-      // Handle specific known patterns
-      if (sanitizedId.startsWith('qwen-')) {
-        return `qwen/${parts.slice(1).join('-')}`;
-      } else if (sanitizedId.startsWith('openai-')) {
-        return `openai/${parts.slice(1).join('-')}`;
-      } else if (sanitizedId.startsWith('anthropic-')) {
-        return `anthropic/${parts.slice(1).join('-')}`;
-      } else if (sanitizedId.startsWith('meta-llama-')) {
-        return `meta-llama/${parts.slice(2).join('-')}`;
-      } else if (sanitizedId.startsWith('google-')) {
-        return `google/${parts.slice(1).join('-')}`;
-      } else if (sanitizedId.startsWith('stability-ai-')) {
-        return `stability-ai/${parts.slice(2).join('-')}`;
-      } else if (sanitizedId.startsWith('gpt-') || sanitizedId.startsWith('tts-')) {
-        // These are OpenAI models without provider prefix - add openai/ prefix for OpenRouter
-        return `openai/${sanitizedId}`;
-      } else if (sanitizedId.startsWith('dall-e-')) {
-        // DALL-E models are not supported by Fal.ai
-        return sanitizedId;
-      } else if (sanitizedId.startsWith('fal-ai-')) {
-        // Convert Fal.ai sanitized IDs back to original format
-        const modelName = sanitizedId.replace('fal-ai-', '');
-        if (modelName === 'flux-dev') {
-          return 'fal-ai/flux/dev';
-        } else if (modelName === 'recraft-v3') {
-          return 'fal-ai/recraft-v3';
-        } else if (modelName === 'stable-video-diffusion') {
-          return 'fal-ai/stable-video-diffusion';
-        } else if (modelName === 'stable-video-diffusion-img2vid') {
-          return 'fal-ai/stable-video-diffusion/img2vid';
-        } else if (modelName === 'lightning-svd') {
-          return 'fal-ai/lightning-svd';
-        } else {
-          // Handle nested paths (e.g., stable-video-diffusion-img2vid -> stable-video-diffusion/img2vid)
-          const parts = modelName.split('-');
-          if (modelName.includes('stable-video-diffusion') && modelName.includes('img2vid')) {
-            return 'fal-ai/stable-video-diffusion/img2vid';
-          }
-          return `fal-ai/${modelName.replace(/-/g, '/')}`;
-        }
-      } else {
-        // Generic pattern: assume first part is provider
-        return `${parts[0]}/${parts.slice(1).join('-')}`;
+function getUsageRecord(uid, period) {
+  return new Promise((resolve, reject) => {
+    db.get("SELECT * FROM usage_periods WHERE uid = ? AND period = ?", [uid, period], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
       }
-    }
-    
-    return sanitizedId; // Return as-is if no conversion needed
-  } catch (error) {
-    return sanitizedId;
-  }
+      resolve({
+        calls: row ? row.calls : 0,
+        tokens: row ? row.tokens : 0,
+        images: row ? row.images : 0,
+        videoSeconds: row ? row.video_seconds : 0,
+        cost: row ? row.cost : 0
+      });
+    });
+  });
 }
 
 /**
- * Poll Fal.ai video job status until completion
- * 
- * @param {string} jobId - Video job ID from Fal.ai
- * @param {string} apiKey - Fal.ai API key
- * @param {string} modelId - Original model ID
- * @param {number} maxAttempts - Maximum polling attempts (default: 60)
- * @param {number} attempt - Current attempt number
+ * Add one generation's usage to a user's period totals
  */
-async function pollFalAIVideoJob(jobId, apiKey, modelId, maxAttempts = 60, attempt = 0) {
-  if (attempt >= maxAttempts) {
-    throw new Error('Fal.ai video generation timed out. Job may still be processing.');
-  }
-  
+function addUsage(uid, period, usage) {
   return new Promise((resolve, reject) => {
-    // Fal.ai uses status endpoint: /v1/fal/queue/{jobId}/status
-    // Or we can check the job directly
-    const options = {
-      hostname: 'fal.run',
-      port: 443,
-      path: `/v1/fal/queue/${jobId}/status`,
-      method: 'GET',
-      headers: {
-        'Authorization': `Key ${apiKey}`,
-        'Content-Type': 'application/json'
-      }
-    };
-    
-    const req = https.request(options, (res) => {
-      let responseData = '';
-      res.on('data', (chunk) => {
-        responseData += chunk;
-      });
-      res.on('end', () => {
-        if (res.statusCode >= 400) {
-          // Try alternative endpoint or return job ID for manual checking
-          if (res.statusCode === 404) {
-            // Job might be completed, try getting result directly
-            setTimeout(() => {
-              pollFalAIVideoJob(jobId, apiKey, modelId, maxAttempts, attempt + 1);
-            }, 2000);
-            return;
-          }
-          reject(new Error(`Fal.ai API Error ${res.statusCode}: ${responseData.substring(0, 200)}`));
+    db.run(
+      `INSERT INTO usage_periods (uid, period, calls, tokens, images, video_seconds, cost) VALUES (?, ?, 1, ?, ?, ?, ?)
+       ON CONFLICT(uid, period) DO UPDATE SET calls = calls + 1, tokens = tokens + excluded.tokens,
+         images = images + excluded.images, video_seconds = video_seconds + excluded.video_seconds,
+         cost = cost + excluded.cost, updated_at = CURRENT_TIMESTAMP`,
+      [uid, period, usage.tokens, usage.images, usage.videoSeconds, usage.cost],
+      function(err) {
+        if (err) {
+          reject(err);
           return;
         }
-        
-        try {
-          const parsed = JSON.parse(responseData);
-          const status = parsed.status || parsed.state;
-          
-          if (status === 'COMPLETED' || status === 'completed' || status === 'SUCCESS') {
-            const videoUrl = parsed.video?.url || parsed.video_url || parsed.data?.[0]?.video_url || parsed.data?.[0]?.url || parsed.url;
-            if (videoUrl) {
-              resolve(videoUrl);
-            } else {
-              reject(new Error('Video generation completed but no video URL found in response'));
-            }
-          } else if (status === 'FAILED' || status === 'failed' || status === 'ERROR') {
-            reject(new Error(`Fal.ai video generation failed: ${parsed.error?.message || parsed.message || 'Unknown error'}`));
-          } else {
-            // Still processing, poll again after 2 seconds
-            setTimeout(() => {
-              pollFalAIVideoJob(jobId, apiKey, modelId, maxAttempts, attempt + 1).then(resolve).catch(reject);
-            }, 2000);
-          }
-        } catch (error) {
-          reject(new Error(`Invalid JSON response from Fal.ai: ${responseData.substring(0, 200)}`));
-        }
-      });
-    });
-    
-    req.on('error', (error) => {
-      reject(error);
-    });
-    
-    req.end();
+        resolve(this.changes);
+      }
+    );
   });
 }
 
 /**
- * Poll Sora 2 video job status until completion
- * 
- * @param {string} jobId - Video job ID from OpenAI
- * @param {string} apiKey - OpenAI API key
- * @param {Function} resolve - Promise resolve function
- * @param {Function} reject - Promise reject function
- * @param {number} maxAttempts - Maximum polling attempts (default: 60)
- * @param {number} attempt - Current attempt number
+ * Derive the vault's AES-256 key from KEY_VAULT_SECRET
  */
-function pollVideoJobStatus(jobId, apiKey, resolve, reject, maxAttempts = 60, attempt = 0) {
-  if (attempt >= maxAttempts) {
-    reject(new Error('Video generation timed out. Job may still be processing.'));
-    return;
+function getVaultCipherKey() {
+  if (!KEY_VAULT_SECRET) {
+    throw new Error('Key vault is not configured. Set KEY_VAULT_SECRET to store provider keys.');
   }
-  
-  const options = {
-    hostname: 'api.openai.com',
-    port: 443,
-    path: `/v1/videos/${jobId}`,
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`
-    }
+  return crypto.createHash('sha256').update(KEY_VAULT_SECRET).digest();
+}
+
+/**
+ * Encrypt a provider API key for storage
+ */
+function encryptProviderKey(apiKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getVaultCipherKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+  return {
+    encryptedKey: encrypted.toString('base64'),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64')
   };
-  
-  const req = https.request(options, (res) => {
-    let responseData = '';
-    res.on('data', (chunk) => {
-      responseData += chunk;
-    });
-    res.on('end', () => {
-      if (res.statusCode >= 400) {
-        reject(new Error(`OpenAI API Error ${res.statusCode}: ${responseData.substring(0, 200)}`));
+}
+
+/**
+ * Decrypt a provider_keys row back into the API key
+ */
+function decryptProviderKey(record) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getVaultCipherKey(), Buffer.from(record.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(record.auth_tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(record.encrypted_key, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Get the stored (encrypted) key record for a provider
+ */
+function getProviderKeyRecord(provider) {
+  return new Promise((resolve, reject) => {
+    db.get("SELECT * FROM provider_keys WHERE provider = ?", [provider], (err, row) => {
+      if (err) {
+        reject(err);
         return;
       }
-      
-      try {
-        const parsed = JSON.parse(responseData);
-        const status = parsed.status;
-        
-        if (status === 'completed') {
-          // Get the video content URL from the job response
-          // According to OpenAI docs, the video_url is in the job object when completed
-          const videoUrl = parsed.video_url || parsed.video?.url || parsed.url;
-          if (videoUrl) {
-            resolve(videoUrl);
-          } else {
-            // Try to get video content directly via content endpoint
-            getVideoContent(jobId, apiKey, resolve, reject);
-          }
-        } else if (status === 'failed') {
-          reject(new Error(`Video generation failed: ${parsed.error?.message || 'Unknown error'}`));
-        } else {
-          // Still processing, poll again after 2 seconds
-          setTimeout(() => {
-            pollVideoJobStatus(jobId, apiKey, resolve, reject, maxAttempts, attempt + 1);
-          }, 2000);
-        }
-      } catch (error) {
-        reject(new Error(`Invalid JSON response: ${responseData.substring(0, 200)}`));
-      }
+      resolve(row || null);
     });
   });
-  
-  req.on('error', (error) => {
-    reject(error);
-  });
-  
-  req.end();
+}
+
+/**
+ * Store or rotate a provider's API key
+ */
+function saveProviderKey(provider, apiKey, updatedBy) {
+  const { encryptedKey, iv, authTag } = encryptProviderKey(apiKey);
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO provider_keys (provider, encrypted_key, iv, auth_tag, updated_by) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(provider) DO UPDATE SET encrypted_key = excluded.encrypted_key, iv = excluded.iv,
+         auth_tag = excluded.auth_tag, updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP`,
+      [provider, encryptedKey, iv, authTag, updatedBy],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        providerKeyCache.delete(provider);
+        resolve(this.changes);
+      }
+    );
+  });
+}
+
+/**
+ * Remove a provider's stored API key (the environment variable applies again)
+ */
+function deleteProviderKey(provider) {
+  return new Promise((resolve, reject) => {
+    db.run("DELETE FROM provider_keys WHERE provider = ?", [provider], function(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      providerKeyCache.delete(provider);
+      resolve(this.changes);
+    });
+  });
+}
+
+/**
+ * Get the API key for a provider - the vault first, then its environment variable
+ *
+ * @param {string} provider - Key of VAULT_PROVIDERS ('openrouter', 'fal-ai', 'openai', 'anthropic')
+ * @returns {Promise<string|null>} The API key, or null if the provider isn't configured
+ */
+async function getProviderApiKey(provider) {
+  const vaultProvider = VAULT_PROVIDERS[provider];
+  if (!vaultProvider) {
+    return null;
+  }
+
+  if (!providerKeyCache.has(provider)) {
+    let vaultKey = null;
+    try {
+      const record = await getProviderKeyRecord(provider);
+      if (record && KEY_VAULT_SECRET) {
+        vaultKey = decryptProviderKey(record);
+      }
+    } catch (error) {
+      console.error(`❌ Could not read ${vaultProvider.name} key from the vault:`, error.message);
+    }
+    providerKeyCache.set(provider, vaultKey);
+  }
+
+  return providerKeyCache.get(provider) || process.env[vaultProvider.envVar] || null;
+}
+
+/**
+ * Get the base URL stored for a provider
+ */
+function getProviderEndpointRecord(provider) {
+  return new Promise((resolve, reject) => {
+    db.get("SELECT * FROM provider_endpoints WHERE provider = ?", [provider], (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(row || null);
+    });
+  });
+}
+
+/**
+ * Store or change a provider's base URL
+ */
+function saveProviderEndpoint(provider, baseUrl, updatedBy) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO provider_endpoints (provider, base_url, updated_by) VALUES (?, ?, ?)
+       ON CONFLICT(provider) DO UPDATE SET base_url = excluded.base_url, updated_by = excluded.updated_by,
+         updated_at = CURRENT_TIMESTAMP`,
+      [provider, baseUrl, updatedBy],
+      function(err) {
+        if (err) {
+          reject(err);
+          return;
+        }
+        providerBaseUrlCache.delete(provider);
+        resolve(this.changes);
+      }
+    );
+  });
+}
+
+/**
+ * Remove a provider's stored base URL (its environment variable applies again)
+ */
+function deleteProviderEndpoint(provider) {
+  return new Promise((resolve, reject) => {
+    db.run("DELETE FROM provider_endpoints WHERE provider = ?", [provider], function(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      providerBaseUrlCache.delete(provider);
+      resolve(this.changes);
+    });
+  });
+}
+
+/**
+ * Check a base URL set from the admin dashboard against PROVIDER_ENDPOINT_ALLOWED_HOSTS
+ *
+ * @param {string} baseUrl - URL to check
+ * @returns {string} The URL without a trailing slash
+ * @throws {Error} If it isn't a plain http(s) URL on an allowed host
+ */
+function validateProviderBaseUrl(baseUrl) {
+  let parsed = null;
+  try {
+    parsed = new URL(baseUrl);
+  } catch (urlError) {}
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('baseUrl must be an http(s) URL, e.g. http://localhost:11434/v1');
+  }
+  if (parsed.username || parsed.password || parsed.search || parsed.hash) {
+    throw new Error('baseUrl must not contain credentials, a query string or a fragment');
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (!PROVIDER_ENDPOINT_ALLOWED_HOSTS.includes(host)) {
+    throw new Error(`${host} is not an allowed endpoint host. Add it to LOCAL_LLM_ALLOWED_HOSTS on the server.`);
+  }
+  return baseUrl.replace(/\/+$/, '');
+}
+
+/**
+ * Get the base URL requests to a provider go to
+ *
+ * Fixed for cloud providers. Providers marked `configurableBaseUrl` use the
+ * URL set from the admin dashboard, then their environment variable.
+ *
+ * @param {string} provider - Key of MODEL_PROVIDERS
+ * @returns {Promise<string|null>} Base URL without a trailing slash, or null if none is configured
+ */
+async function getProviderBaseUrl(provider) {
+  const config = MODEL_PROVIDERS[provider];
+  if (!config || !config.configurableBaseUrl) {
+    return config ? config.baseUrl : null;
+  }
+
+  if (!providerBaseUrlCache.has(provider)) {
+    let stored = null;
+    try {
+      const record = await getProviderEndpointRecord(provider);
+      // Re-checked in case LOCAL_LLM_ALLOWED_HOSTS changed since it was saved
+      stored = record ? validateProviderBaseUrl(record.base_url) : null;
+    } catch (error) {
+      console.error(`❌ Could not read the ${config.name} base URL:`, error.message);
+    }
+    providerBaseUrlCache.set(provider, stored);
+  }
+
+  const baseUrl = providerBaseUrlCache.get(provider) || process.env[config.baseUrlEnvVar] || null;
+  return baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Report which providers have a key, without revealing the keys
+ *
+ * Providers with a configurable base URL also report it as `baseUrl`.
+ *
+ * @returns {Promise<Object>} provider -> { name, configured, source ('vault' | 'env' | null), updatedAt }
+ */
+async function getProviderKeyStatus() {
+  const status = {};
+  for (const [provider, vaultProvider] of Object.entries(VAULT_PROVIDERS)) {
+    const record = await getProviderKeyRecord(provider);
+    await getProviderApiKey(provider); // Decrypts into the cache; a wrong KEY_VAULT_SECRET leaves null
+    const inVault = Boolean(record && providerKeyCache.get(provider));
+    const inEnv = Boolean(process.env[vaultProvider.envVar]);
+    status[provider] = {
+      name: vaultProvider.name,
+      configured: inVault || inEnv,
+      source: inVault ? 'vault' : (inEnv ? 'env' : null),
+      updatedAt: inVault ? record.updated_at : null
+    };
+    if (MODEL_PROVIDERS[provider]?.configurableBaseUrl) {
+      status[provider].baseUrl = await getProviderBaseUrl(provider);
+    }
+  }
+  return status;
+}
+
+/**
+ * Authenticate a request and require the user to be an admin
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<{uid: string, email: (string|null), isAdmin: boolean}>} The authenticated admin
+ * @throws {Error} 'Admin access required' if the user is signed in but not an admin
+ */
+async function authenticateAdminRequest(req) {
+  const user = await authenticateRequest(req);
+  if (!user.isAdmin) {
+    throw new Error('Admin access required');
+  }
+  return user;
+}
+
+/**
+ * Model providers configuration
+ */
+const MODEL_PROVIDERS = {
+  'fal-ai': {
+    name: 'Fal.ai',
+    baseUrl: 'https://fal.run',
+    authHeaders: (apiKey) => ({ 'Authorization': `Key ${apiKey}` }),
+    models: [
+      // Image generation models
+      { id: 'fal-ai/flux/dev', name: 'FLUX Dev', description: 'High-quality image generation', type: 'image' },
+      { id: 'fal-ai/recraft-v3', name: 'Recraft V3', description: 'Vector art and image generation', type: 'image' },
+      // Video generation models
+      { id: 'fal-ai/stable-video-diffusion', name: 'Stable Video Diffusion', description: 'Text-to-video and image-to-video generation', type: 'video' },
+      { id: 'fal-ai/stable-video-diffusion/img2vid', name: 'Stable Video Diffusion (Image-to-Video)', description: 'Convert images to videos', type: 'video' },
+      { id: 'fal-ai/lightning-svd', name: 'Lightning SVD', description: 'Fast video generation model', type: 'video' }
+    ],
+    endpoint: '/v1/chat/completions'
+  },
+  'openrouter': {
+    name: 'OpenRouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    models: [
+      { id: 'openai/gpt-4', name: 'GPT-4', description: 'Most advanced GPT-4 model', type: 'text' },
+      { id: 'openai/gpt-3.5-turbo', name: 'GPT-3.5 Turbo', description: 'Fast and efficient model', type: 'text' },
+      { id: 'anthropic/claude-3.5-sonnet', name: 'Claude 3.5 Sonnet', description: 'Advanced reasoning model', type: 'text' },
+      { id: 'meta-llama/llama-3.1-8b-instruct', name: 'Llama 3.1 8B', description: 'Fast and efficient text model', type: 'text' },
+      { id: 'meta-llama/llama-3.1-70b-instruct', name: 'Llama 3.1 70B', description: 'More capable text model', type: 'text' }
+    ],
+    endpoint: '/chat/completions'
+  },
+  'openai': {
+    name: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    models: [
+      { id: 'gpt-4o', name: 'GPT-4o', description: 'Most advanced GPT-4 model' },
+      { id: 'gpt-4o-mini', name: 'GPT-4o Mini', description: 'Faster, cheaper GPT-4 model' },
+      { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', description: 'Previous generation GPT-4' },
+      { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', description: 'Fast and efficient model' },
+      { id: 'dall-e-3', name: 'DALL-E 3', description: 'AI image generation model', type: 'image' },
+      { id: 'sora-2', name: 'Sora 2', description: 'OpenAI Sora 2 - Advanced video generation with text-to-video and image-to-video', type: 'video' },
+      { id: 'tts-1', name: 'TTS-1', description: 'Text-to-Speech model', type: 'audio' },
+      { id: 'tts-1-hd', name: 'TTS-1 HD', description: 'High-definition Text-to-Speech model', type: 'audio' },
+      // Add more OpenAI models here:
+      // { id: 'gpt-4o-2024-08-06', name: 'GPT-4o (Aug 6)', description: 'GPT-4o with specific date' },
+      // { id: 'gpt-3.5-turbo-0125', name: 'GPT-3.5 Turbo (Jan 25)', description: 'Latest GPT-3.5 Turbo' }
+    ],
+    endpoint: '/chat/completions'
+  },
+  'anthropic': {
+    name: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com/v1',
+    authHeaders: (apiKey) => ({ 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }),
+    models: [
+      { id: 'claude-3-5-sonnet-20241022', name: 'Claude 3.5 Sonnet', description: 'Most capable Claude model', type: 'text' },
+      { id: 'claude-3-5-haiku-20241022', name: 'Claude 3.5 Haiku', description: 'Fast and efficient Claude model', type: 'text' }
+    ],
+    endpoint: '/messages'
+  },
+  // Any OpenAI-compatible server (Ollama, llama.cpp server, vLLM) - prompts
+  // never leave your network. Models are discovered from its /models list.
+  'local': {
+    name: 'Local models',
+    baseUrl: null,
+    configurableBaseUrl: true,
+    baseUrlEnvVar: 'LOCAL_LLM_BASE_URL',
+    requiresApiKey: false,
+    authHeaders: (apiKey) => (apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+    models: [],
+    endpoint: '/chat/completions'
+  }
+};
+
+/**
+ * Get the authentication headers a provider expects (Bearer token unless it says otherwise)
+ *
+ * @param {string} provider - Key of MODEL_PROVIDERS
+ * @param {string} apiKey - Provider API key
+ * @returns {Object} Headers to add to the request
+ */
+function getProviderAuthHeaders(provider, apiKey) {
+  const config = MODEL_PROVIDERS[provider];
+  return config && config.authHeaders ? config.authHeaders(apiKey) : { 'Authorization': `Bearer ${apiKey}` };
+}
+
+/**
+ * Create the error for a failed provider response
+ *
+ * Keeps the status code and Retry-After header so runProviderGeneration can
+ * decide whether to retry.
+ *
+ * @param {number} statusCode - HTTP status from the provider
+ * @param {string} body - Response body (trimmed into the message)
+ * @param {Object} [headers] - Response headers
+ * @returns {Error} Error with `statusCode` and `retryAfter` properties
+ */
+function providerResponseError(statusCode, body, headers = {}) {
+  const error = new Error(`API Error ${statusCode}: ${body.substring(0, 200)}`);
+  error.statusCode = statusCode;
+  error.retryAfter = headers['retry-after'] || null;
+  return error;
+}
+
+/**
+ * Make HTTP request to any API provider with dynamic API key
+ */
+async function makeAPIRequest(provider, endpoint, data = null, apiKey = null, signal = null) {
+  return new Promise(async (resolve, reject) => {
+    const config = MODEL_PROVIDERS[provider];
+    if (!config) {
+      reject(new Error(`Unknown provider: ${provider}`));
+      return;
+    }
+
+    // Get API key from the vault (or environment) if not provided
+    const finalApiKey = apiKey || await getProviderApiKey(provider);
+
+    if (!finalApiKey && config.requiresApiKey !== false) {
+      reject(new Error(`API key required for ${provider}`));
+      return;
+    }
+
+    const baseUrl = await getProviderBaseUrl(provider);
+    if (!baseUrl) {
+      reject(new Error(`No base URL configured for ${config.name}. Set it in the admin dashboard or with ${config.baseUrlEnvVar}.`));
+      return;
+    }
+
+    const url = new URL(baseUrl + endpoint);
+    // Local servers are usually plain http
+    const transport = url.protocol === 'http:' ? http : https;
+    console.log(`🌐 Making API request to: ${url.toString()}`);
+    console.log(`🔑 Using API key: ${finalApiKey ? finalApiKey.substring(0, 10) + '...' : 'NOT SET'}`);
+    
+    // Check if this is a TTS request (audio endpoint)
+    const isAudioRequest = endpoint === '/audio/speech';
+    
+    const options = {
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
+      path: url.pathname + url.search,
+      method: data ? 'POST' : 'GET',
+      headers: {
+        ...getProviderAuthHeaders(provider, finalApiKey),
+        'Content-Type': 'application/json',
+      }
+    };
+
+    // Let the caller drop the upstream request (generation cancelled)
+    if (signal) {
+      options.signal = signal;
+    }
+
+    // Add timeout to prevent hanging requests
+    const req = transport.request(options, (res) => {
+      console.log(`📡 API Response Status: ${res.statusCode}`);
+      console.log(`📡 API Response Headers:`, res.headers);
+      
+      if (isAudioRequest) {
+        // Handle binary audio data
+        const chunks = [];
+        res.on('data', (chunk) => {
+          chunks.push(chunk);
+        });
+        res.on('end', () => {
+          if (res.statusCode >= 400) {
+            const errorData = Buffer.concat(chunks).toString();
+            console.log(`❌ API Error ${res.statusCode}: ${errorData}`);
+            reject(providerResponseError(res.statusCode, errorData, res.headers));
+            return;
+          }
+          
+          // Return the audio data as base64
+          const audioBuffer = Buffer.concat(chunks);
+          const base64Audio = audioBuffer.toString('base64');
+          resolve(base64Audio);
+        });
+      } else {
+        // Handle JSON responses
+        let responseData = '';
+        res.on('data', (chunk) => {
+          responseData += chunk;
+        });
+        res.on('end', () => {
+          console.log(`📡 API Response Data: ${responseData.substring(0, 500)}...`);
+          
+          if (res.statusCode >= 400) {
+            console.log(`❌ API Error ${res.statusCode}: ${responseData}`);
+            reject(providerResponseError(res.statusCode, responseData, res.headers));
+            return;
+          }
+          
+          try {
+            const parsed = JSON.parse(responseData);
+            console.log(`✅ API Success:`, parsed);
+            resolve(parsed);
+          } catch (error) {
+            console.log(`❌ JSON Parse Error:`, error.message);
+            reject(new Error(`Invalid JSON response: ${responseData.substring(0, 200)}`));
+          }
+        });
+      }
+    });
+
+    // Set timeout to prevent hanging requests
+    req.setTimeout(30000, () => {
+      console.log(`⏰ Request timeout after 30 seconds`);
+      req.destroy();
+      reject(new Error('Request timeout - API did not respond within 30 seconds'));
+    });
+
+    req.on('error', (error) => {
+      if (error.name === 'AbortError') {
+        console.log(`🛑 Upstream ${provider} request aborted`);
+        reject(new Error('Generation cancelled'));
+        return;
+      }
+      console.log(`❌ Request error:`, error.message);
+      reject(error);
+    });
+
+    if (data) {
+      console.log(`📤 Sending request data:`, JSON.stringify(data).substring(0, 200) + '...');
+      req.write(JSON.stringify(data));
+    }
+    req.end();
+  });
+}
+
+/**
+ * Discover the text models served by the local OpenAI-compatible endpoint
+ *
+ * Lists GET {baseUrl}/models. IDs are prefixed with 'local/' so they can't
+ * collide with cloud models of the same name. After a failure the endpoint is
+ * skipped for LOCAL_MODELS_RETRY_MS, so a stopped server doesn't slow every refresh.
+ *
+ * @returns {Promise<Array<Object>>} Catalog entries; empty if no endpoint is configured or it is down
+ */
+async function fetchLocalModels() {
+  if (!await getProviderBaseUrl('local') || Date.now() < localModelsUnavailableUntil) {
+    return [];
+  }
+
+  try {
+    // A stopped server shouldn't hold up the model list for long
+    const response = await makeAPIRequest('local', '/models', null, null, AbortSignal.timeout(5000));
+    return (response.data || response.models || [])
+      .map(model => model.id || model.name)
+      .filter(Boolean)
+      .map(id => ({
+        id: `local/${id}`,
+        name: `${id} (local)`,
+        type: 'text',
+        provider: 'local',
+        active: true,
+        description: 'Served by your local OpenAI-compatible endpoint',
+        originalId: null,
+        costPer1kTokens: 0
+      }));
+  } catch (error) {
+    // The abort from the timeout surfaces as a cancellation
+    const reason = error.message === 'Generation cancelled' ? 'no answer within 5 seconds' : error.message;
+    console.log(`⚠️ Could not list local models: ${reason} - retrying in ${LOCAL_MODELS_RETRY_MS / 1000}s`);
+    localModelsUnavailableUntil = Date.now() + LOCAL_MODELS_RETRY_MS;
+    return [];
+  }
+}
+
+/**
+ * Fetch available models from all providers
+ */
+async function fetchAvailableModels() {
+  const allModels = [];
+  
+  try {
+    // Try to load models from Firestore (production deployment)
+    const models = await getActiveModelsFromFirebase();
+    
+    if (models.length > 0) {
+      allModels.push(...models);
+      console.log(`✅ Loaded ${models.length} models from Firebase`);
+    } else {
+      // Fallback to local models if Firebase returns empty
+      console.log('⚠️ No models found in Firebase, using local fallback');
+      const localModels = await getActiveModelsLocal();
+      allModels.push(...localModels);
+      console.log(`✅ Loaded ${localModels.length} models from local fallback`);
+    }
+  } catch (error) {
+    // Fallback to local models if Firebase fails
+    console.log('⚠️ Error loading models from Firebase, using local fallback:', error.message);
+    try {
+      const localModels = await getActiveModelsLocal();
+      allModels.push(...localModels);
+      console.log(`✅ Loaded ${localModels.length} models from local fallback`);
+    } catch (localError) {
+      console.error('❌ Error loading local models:', localError.message);
+    }
+  }
+  
+  // Models on the admin's own OpenAI-compatible server, next to the cloud ones
+  const localModels = await fetchLocalModels();
+  if (localModels.length > 0) {
+    allModels.push(...localModels);
+    console.log(`✅ Discovered ${localModels.length} models on the local endpoint`);
+  }
+  
+  return allModels;
+}
+
+/**
+ * Get available models (with caching)
+ */
+async function getAvailableModels() {
+  const now = Date.now();
+  if (availableModels.length === 0 || (now - modelsCacheTime) > CACHE_DURATION) {
+    availableModels = await fetchAvailableModels();
+    modelsCacheTime = now;
+  }
+  return availableModels;
+}
+
+/**
+ * Get original model ID from sanitized ID
+ */
+async function getOriginalModelId(sanitizedId) {
+  try {
+    // If it already contains a slash, it's likely already in the correct format
+    if (sanitizedId.includes('/')) {
+      return sanitizedId;
+    }
+    
+    // Handle common model ID patterns
+    if (sanitizedId.includes('-')) {
+      const parts = sanitizedId.split('-');
+      
+      // Handle specific known patterns
+      if (sanitizedId.startsWith('qwen-')) {
+        return `qwen/${parts.slice(1).join('-')}`;
+      } else if (sanitizedId.startsWith('openai-')) {
+        return `openai/${parts.slice(1).join('-')}`;
+      } else if (sanitizedId.startsWith('anthropic-')) {
+        return `anthropic/${parts.slice(1).join('-')}`;
+      } else if (sanitizedId.startsWith('meta-llama-')) {
+        return `meta-llama/${parts.slice(2).join('-')}`;
+      } else if (sanitizedId.startsWith('google-')) {
+        return `google/${parts.slice(1).join('-')}`;
+      } else if (sanitizedId.startsWith('stability-ai-')) {
+        return `stability-ai/${parts.slice(2).join('-')}`;
+      } else if (sanitizedId.startsWith('gpt-') || sanitizedId.startsWith('tts-')) {
+        // These are OpenAI models without provider prefix - add openai/ prefix for OpenRouter
+        return `openai/${sanitizedId}`;
+      } else if (sanitizedId.startsWith('dall-e-')) {
+        // DALL-E models are not supported by Fal.ai
+        return sanitizedId;
+      } else if (sanitizedId.startsWith('fal-ai-')) {
+        // Convert Fal.ai sanitized IDs back to original format
+        const modelName = sanitizedId.replace('fal-ai-', '');
+        if (modelName === 'flux-dev') {
+          return 'fal-ai/flux/dev';
+        } else if (modelName === 'recraft-v3') {
+          return 'fal-ai/recraft-v3';
+        } else if (modelName === 'stable-video-diffusion') {
+          return 'fal-ai/stable-video-diffusion';
+        } else if (modelName === 'stable-video-diffusion-img2vid') {
+          return 'fal-ai/stable-video-diffusion/img2vid';
+        } else if (modelName === 'lightning-svd') {
+          return 'fal-ai/lightning-svd';
+        } else {
+          // Handle nested paths (e.g., stable-video-diffusion-img2vid -> stable-video-diffusion/img2vid)
+          const parts = modelName.split('-');
+          if (modelName.includes('stable-video-diffusion') && modelName.includes('img2vid')) {
+            return 'fal-ai/stable-video-diffusion/img2vid';
+          }
+          return `fal-ai/${modelName.replace(/-/g, '/')}`;
+        }
+      } else {
+        // Generic pattern: assume first part is provider
+        return `${parts[0]}/${parts.slice(1).join('-')}`;
+      }
+    }
+    
+    return sanitizedId; // Return as-is if no conversion needed
+  } catch (error) {
+    return sanitizedId;
+  }
+}
+
+/**
+ * Poll Fal.ai video job status until completion
+ * 
+ * @param {string} jobId - Video job ID from Fal.ai
+ * @param {string} apiKey - Fal.ai API key
+ * @param {string} modelId - Original model ID
+ * @param {number} maxAttempts - Maximum polling attempts (default: 60)
+ * @param {number} attempt - Current attempt number
+ * @param {AbortSignal|null} signal - Stops polling when the generation is cancelled
+ * @param {Function|null} onProgress - Called with a 0-100 progress estimate
+ */
+async function pollFalAIVideoJob(jobId, apiKey, modelId, maxAttempts = 60, attempt = 0, signal = null, onProgress = null) {
+  if (signal && signal.aborted) {
+    console.log(`🛑 Stopped polling Fal.ai job ${jobId} (generation cancelled)`);
+    throw new Error('Generation cancelled');
+  }
+
+  if (attempt >= maxAttempts) {
+    throw new Error('Fal.ai video generation timed out. Job may still be processing.');
+  }
+  
+  return new Promise((resolve, reject) => {
+    // Fal.ai uses status endpoint: /v1/fal/queue/{jobId}/status
+    // Or we can check the job directly
+    const options = {
+      hostname: 'fal.run',
+      port: 443,
+      path: `/v1/fal/queue/${jobId}/status`,
+      method: 'GET',
+      headers: {
+        'Authorization': `Key ${apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    };
+    
+    const req = https.request(options, (res) => {
+      let responseData = '';
+      res.on('data', (chunk) => {
+        responseData += chunk;
+      });
+      res.on('end', () => {
+        if (res.statusCode >= 400) {
+          // Try alternative endpoint or return job ID for manual checking
+          if (res.statusCode === 404) {
+            // Job might be completed, try getting result directly
+            setTimeout(() => {
+              pollFalAIVideoJob(jobId, apiKey, modelId, maxAttempts, attempt + 1, signal, onProgress).then(resolve).catch(reject);
+            }, 2000);
+            return;
+          }
+          reject(new Error(`Fal.ai API Error ${res.statusCode}: ${responseData.substring(0, 200)}`));
+          return;
+        }
+        
+        try {
+          const parsed = JSON.parse(responseData);
+          const status = parsed.status || parsed.state;
+          
+          if (status === 'COMPLETED' || status === 'completed' || status === 'SUCCESS') {
+            const videoUrl = parsed.video?.url || parsed.video_url || parsed.data?.[0]?.video_url || parsed.data?.[0]?.url || parsed.url;
+            if (videoUrl) {
+              resolve(videoUrl);
+            } else {
+              reject(new Error('Video generation completed but no video URL found in response'));
+            }
+          } else if (status === 'FAILED' || status === 'failed' || status === 'ERROR') {
+            reject(new Error(`Fal.ai video generation failed: ${parsed.error?.message || parsed.message || 'Unknown error'}`));
+          } else {
+            // Still processing - Fal.ai reports no percentage, so estimate from elapsed attempts
+            if (onProgress) {
+              onProgress(Math.min(95, Math.round(((attempt + 1) / maxAttempts) * 100)));
+            }
+            setTimeout(() => {
+              pollFalAIVideoJob(jobId, apiKey, modelId, maxAttempts, attempt + 1, signal, onProgress).then(resolve).catch(reject);
+            }, 2000);
+          }
+        } catch (error) {
+          reject(new Error(`Invalid JSON response from Fal.ai: ${responseData.substring(0, 200)}`));
+        }
+      });
+    });
+    
+    req.on('error', (error) => {
+      reject(error);
+    });
+    
+    req.end();
+  });
+}
+
+/**
+ * Poll Sora 2 video job status until completion
+ * 
+ * @param {string} jobId - Video job ID from OpenAI
+ * @param {string} apiKey - OpenAI API key
+ * @param {Function} resolve - Promise resolve function
+ * @param {Function} reject - Promise reject function
+ * @param {number} maxAttempts - Maximum polling attempts (default: 60)
+ * @param {number} attempt - Current attempt number
+ * @param {AbortSignal|null} signal - Stops polling when the generation is cancelled
+ * @param {Function|null} onProgress - Called with the 0-100 progress reported by OpenAI
+ */
+function pollVideoJobStatus(jobId, apiKey, resolve, reject, maxAttempts = 60, attempt = 0, signal = null, onProgress = null) {
+  if (signal && signal.aborted) {
+    console.log(`🛑 Stopped polling Sora job ${jobId} (generation cancelled)`);
+    reject(new Error('Generation cancelled'));
+    return;
+  }
+
+  if (attempt >= maxAttempts) {
+    reject(new Error('Video generation timed out. Job may still be processing.'));
+    return;
+  }
+  
+  const options = {
+    hostname: 'api.openai.com',
+    port: 443,
+    path: `/v1/videos/${jobId}`,
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`
+    }
+  };
+  
+  const req = https.request(options, (res) => {
+    let responseData = '';
+    res.on('data', (chunk) => {
+      responseData += chunk;
+    });
+    res.on('end', () => {
+      if (res.statusCode >= 400) {
+        reject(new Error(`OpenAI API Error ${res.statusCode}: ${responseData.substring(0, 200)}`));
+        return;
+      }
+      
+      try {
+        const parsed = JSON.parse(responseData);
+        const status = parsed.status;
+        
+        if (status === 'completed') {
+          // Get the video content URL from the job response
+          // According to OpenAI docs, the video_url is in the job object when completed
+          const videoUrl = parsed.video_url || parsed.video?.url || parsed.url;
+          if (videoUrl) {
+            resolve(videoUrl);
+          } else {
+            // Try to get video content directly via content endpoint
+            getVideoContent(jobId, apiKey, resolve, reject);
+          }
+        } else if (status === 'failed') {
+          reject(new Error(`Video generation failed: ${parsed.error?.message || 'Unknown error'}`));
+        } else {
+          // Still processing, poll again after 2 seconds
+          if (onProgress && typeof parsed.progress === 'number') {
+            onProgress(parsed.progress);
+          }
+          setTimeout(() => {
+            pollVideoJobStatus(jobId, apiKey, resolve, reject, maxAttempts, attempt + 1, signal, onProgress);
+          }, 2000);
+        }
+      } catch (error) {
+        reject(new Error(`Invalid JSON response: ${responseData.substring(0, 200)}`));
+      }
+    });
+  });
+  
+  req.on('error', (error) => {
+    reject(error);
+  });
+  
+  req.end();
 }
 
 /**
@@ -848,254 +1622,1715 @@ function getVideoContent(jobId, apiKey, resolve, reject) {
               resolve(`Video generation in progress. Job ID: ${jobId}. Please check the job status.`);
             }
           } catch (error) {
-            // Binary video data - would need storage solution
-            reject(new Error('Video content received as binary. Please check job status endpoint for video URL.'));
+            // Binary video data - would need storage solution
+            reject(new Error('Video content received as binary. Please check job status endpoint for video URL.'));
+          }
+        });
+      }
+    }
+  });
+  
+  req.on('error', (error) => {
+    reject(error);
+  });
+  
+  req.end();
+}
+
+/**
+ * Provider adapters
+ *
+ * A generation is routed by the provider and type declared on its model
+ * (see resolveModelRoute) to the adapter registered for that provider.
+ * Adding a provider means registering an adapter - an object with:
+ *
+ *   id              Provider key; matches the model's `provider` field, MODEL_PROVIDERS and VAULT_PROVIDERS
+ *   name            Display name used in messages
+ *   types           Model types it can generate ('text', 'image', 'video', 'audio')
+ *   requiresApiKey  false for providers that need no key (default true)
+ *   resolveModelId(model, entry)      Optional - the provider's own ID for a catalog model
+ *   buildRequest(request)             Returns { endpoint, body } for makeAPIRequest
+ *   parseResponse(response, request)  Returns the output, { jobId } for a job that must be polled,
+ *                                     or { media, mimeType, extension } for a file to store (see storeGeneratedMedia)
+ *   poll(jobId, request)              Optional - waits for a job and resolves with its output
+ *   describeError(error, request)     Optional - turns a provider error into the error shown to users
+ *   stream(request, onToken)          Optional - streams a text completion and resolves with the full text
+ *
+ * `request` is { model, modelId, type, prompt, temperature, options, apiKey, signal, onProgress, onUsage },
+ * where `options` holds per-cell generation settings such as { voice, size, quality }.
+ * onUsage receives what the provider reports it used ({ promptTokens, completionTokens }
+ * for text, { images } or { videoSeconds } for media).
+ */
+const providerAdapters = new Map();
+
+/**
+ * Register (or replace) the adapter for a provider
+ *
+ * @param {Object} adapter - See "Provider adapters" above
+ * @throws {Error} If required members are missing
+ */
+function registerProviderAdapter(adapter) {
+  if (!adapter.id || typeof adapter.buildRequest !== 'function' || typeof adapter.parseResponse !== 'function') {
+    throw new Error(`Provider adapter ${adapter.id || '(unnamed)'} needs an id, buildRequest and parseResponse`);
+  }
+  providerAdapters.set(adapter.id, { name: adapter.id, types: [], requiresApiKey: true, ...adapter });
+}
+
+/**
+ * Work out which adapter serves a model from the provider and type it declares
+ *
+ * The model catalog (Firestore `models`, or the local fallback list) is checked
+ * first, then model-config.js. Models found in neither are rejected rather
+ * than guessed at. A declared provider must have a registered adapter. Catalog
+ * docs from before adapters, which name no provider, are routed the way they
+ * were then (see getLegacyProvider), as are model-config.js models, whose
+ * `provider` is the model's maker rather than who serves it.
+ *
+ * The route also carries the model's retry policy: `fallbackModels`, an
+ * ordered list of model IDs to try when it keeps failing, and `maxRetries`
+ * (null for GENERATION_RETRY_POLICY's default).
+ *
+ * @param {string} model - Model ID requested by the client (sanitized or original)
+ * @returns {Promise<{adapter: Object, provider: string, type: string, model: string, modelId: string,
+ *   fallbackModels: string[], maxRetries: number|null}>}
+ * @throws {Error} If the model is unknown or no registered adapter can serve it
+ */
+async function resolveModelRoute(model) {
+  const catalog = await getAvailableModels().catch(() => []);
+  const catalogEntry = catalog.find(m => m.id === model || m.originalId === model);
+  const entry = catalogEntry || (MODEL_CONFIG[model] ? { id: model, ...MODEL_CONFIG[model] } : null);
+  if (!entry) {
+    throw new Error(`Unknown model "${model}" - no provider adapter can serve it. Add it in the admin dashboard with its provider and type.`);
+  }
+
+  const type = entry.type || 'text';
+  // Firestore docs without a provider come back as 'unknown' (see getActiveModelsFromFirebase)
+  const declared = entry.provider && entry.provider !== 'unknown' ? entry.provider : null;
+  if (declared && !providerAdapters.has(declared)) {
+    throw new Error(`No provider adapter is registered for "${declared}" (model ${model})`);
+  }
+  const adapter = providerAdapters.get(catalogEntry && declared ? declared : getLegacyProvider(model));
+  if (!adapter.types.includes(type)) {
+    throw new Error(`The ${adapter.name} provider adapter does not support ${type} models (model ${model})`);
+  }
+
+  const modelId = adapter.resolveModelId
+    ? adapter.resolveModelId(model, entry)
+    : (entry.originalId || await getOriginalModelId(model));
+  return {
+    adapter,
+    provider: adapter.id,
+    type,
+    model,
+    modelId,
+    fallbackModels: Array.isArray(entry.fallbackModels) ? entry.fallbackModels : [],
+    maxRetries: typeof entry.maxRetries === 'number' ? entry.maxRetries : null
+  };
+}
+
+/**
+ * Pick the provider a model used before provider adapters: Fal.ai for image
+ * and Fal.ai video models, OpenAI for its own media models (Sora, DALL-E, TTS)
+ * and OpenRouter for everything else, including every text model
+ *
+ * @param {string} model - Model ID requested by the client
+ * @returns {string} A registered adapter ID
+ */
+function getLegacyProvider(model) {
+  const isImageModel = model.includes('flux') || (model.includes('stable-diffusion') && !model.includes('video')) || model.includes('recraft');
+  const isFalAIVideoModel = model.includes('fal-ai') && (model.includes('stable-video') || model.includes('lightning-svd') || model.includes('img2vid'));
+
+  if (isFalAIVideoModel || isImageModel) {
+    return 'fal-ai';
+  }
+  if (model.includes('sora') || model.includes('dall-e') || model.startsWith('tts-')) {
+    return 'openai';
+  }
+  return 'openrouter';
+}
+
+/**
+ * Get the API key an adapter needs
+ *
+ * @param {Object} adapter - Registered adapter
+ * @param {string} type - Model type (for the error message)
+ * @returns {Promise<string|null>} The key, or null if the adapter works without one and none is set
+ * @throws {Error} If the provider needs a key and has none configured
+ */
+async function getAdapterApiKey(adapter, type) {
+  const apiKey = await getProviderApiKey(adapter.id);
+  if (!apiKey && adapter.requiresApiKey) {
+    const envVar = VAULT_PROVIDERS[adapter.id] ? ` or set ${VAULT_PROVIDERS[adapter.id].envVar}` : '';
+    throw new Error(`${adapter.name} API key is required for ${type} generation. Please add it in the admin dashboard${envVar}.`);
+  }
+  return apiKey;
+}
+
+/**
+ * Check whether a provider error is worth retrying - rate limits, server
+ * errors and dropped connections, but not bad requests or cancellations
+ *
+ * @param {Error} error - Error from a provider call
+ * @returns {boolean} True if the same request may succeed later
+ */
+function isRetryableProviderError(error) {
+  if (error.message.includes('cancelled')) {
+    return false;
+  }
+  if (error.statusCode) {
+    return error.statusCode === 429 || error.statusCode >= 500;
+  }
+  return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'].includes(error.code)
+    || error.message.includes('Request timeout');
+}
+
+/**
+ * Work out how long to wait before retrying a provider call
+ *
+ * Honours Retry-After (seconds or an HTTP date); otherwise backs off
+ * exponentially from GENERATION_RETRY_POLICY.baseDelayMs with some jitter.
+ *
+ * @param {Error} error - The retryable error
+ * @param {number} attempt - Retries already made (0 for the first)
+ * @returns {number} Delay in milliseconds; more than maxDelayMs means "don't wait, fall back"
+ */
+function getRetryDelay(error, attempt) {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(error.retryAfter) - Date.now() : seconds * 1000;
+    if (!Number.isNaN(delay)) {
+      return Math.max(0, delay);
+    }
+  }
+  const backoff = GENERATION_RETRY_POLICY.baseDelayMs * 2 ** attempt;
+  return Math.min(GENERATION_RETRY_POLICY.maxDelayMs, backoff + Math.random() * GENERATION_RETRY_POLICY.baseDelayMs);
+}
+
+/**
+ * Wait before a retry, giving up early if the generation is cancelled
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} signal - The generation's abort signal
+ * @returns {Promise<void>}
+ * @throws {Error} 'Generation cancelled' if the signal fires first
+ */
+function waitBeforeRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new Error('Generation cancelled'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Generation cancelled'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Run a generation, retrying provider errors and then trying the model's fallbacks
+ *
+ * Each model gets its retries (Retry-After is honoured, otherwise exponential
+ * backoff) before the next model in its `fallbackModels` list is tried.
+ * Errors a retry can't fix (a missing key, a 401) move straight on to the
+ * next model. Only a cancellation, or a stream that has already sent tokens
+ * to the client, ends the chain early. A fallback
+ * is checked against the user's quotas again and moves the queued job to its
+ * provider's concurrency slot.
+ *
+ * @param {Object} route - Result of resolveModelRoute
+ * @param {Object} options
+ * @param {string} options.prompt - Fully resolved prompt
+ * @param {Array<Object>|null} [options.messages] - Conversation turns sent instead of the prompt (see normalizeChatMessages)
+ * @param {number} [options.temperature=0.7] - Sampling temperature
+ * @param {string|null} [options.uid] - Firebase uid of the requesting user
+ * @param {AbortSignal|null} [options.signal] - Aborts upstream requests and job polling when cancelled
+ * @param {Function|null} [options.onProgress] - Receives 0-100 progress updates while a job is polled
+ * @param {Function|null} [options.onUsage] - Receives what the provider reports it used
+ * @param {Function|null} [options.onToken] - Streams text deltas; adapters without streaming send the whole text once
+ * @param {Function|null} [options.onAnswer] - Receives the route of the model that answered (not `route` after a fallback)
+ * @param {Object} [options.options] - Per-cell generation settings passed to the adapter ({ voice, size, quality })
+ * @param {Object|null} [options.responseSchema] - JSON Schema for structured output (see runStructuredGeneration)
+ * @param {string|null} [options.mediaBaseUrl] - Origin that URLs for stored media are built on
+ * @param {Object|null} [options.job] - Queued job running the generation (see enqueueGeneration)
+ * @returns {Promise<string>} Generated text, or the media URL
+ */
+async function runProviderGeneration(route, { onToken = null, onAnswer = null, job = null, ...options }) {
+  let streamed = false;
+  const relayToken = onToken ? (token) => { streamed = true; onToken(token); } : null;
+
+  const candidates = [route.model, ...route.fallbackModels.filter(model => model !== route.model)];
+  let lastError = null;
+  for (const model of candidates) {
+    let candidate = route;
+    if (model !== route.model) {
+      try {
+        candidate = await resolveModelRoute(model);
+      } catch (error) {
+        console.log(`⚠️ Skipping fallback ${model} for ${route.model}: ${error.message}`);
+        continue;
+      }
+      if (candidate.type !== route.type) {
+        console.log(`⚠️ Skipping fallback ${model} for ${route.model}: it generates ${candidate.type}, not ${route.type}`);
+        continue;
+      }
+      console.log(`↪️ Falling back from ${route.model} to ${model}`);
+      if (options.uid) {
+        await checkGenerationQuota(options.uid, model, candidate.type, { fallback: true });
+      }
+      if (job) {
+        await moveJobToProvider(job, candidate.provider, options.signal);
+      }
+    }
+
+    const maxRetries = candidate.maxRetries !== null ? candidate.maxRetries : GENERATION_RETRY_POLICY.maxRetries;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const output = await runProviderAttempt(candidate, { ...options, onToken: relayToken });
+        if (onAnswer) onAnswer(candidate);
+        return output;
+      } catch (error) {
+        lastError = error;
+        if (streamed || (options.signal && options.signal.aborted) || error.message.includes('cancelled')) {
+          throw error;
+        }
+        if (!error.retryable) {
+          break;
+        }
+        const delay = getRetryDelay(error, attempt);
+        if (attempt >= maxRetries || delay > GENERATION_RETRY_POLICY.maxDelayMs) {
+          break;
+        }
+        console.log(`🔁 ${candidate.model} failed (${error.message}); retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+        await waitBeforeRetry(delay, options.signal);
+      }
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Make one call to a model through its provider adapter
+ *
+ * Errors are marked `retryable` (see isRetryableProviderError) before the
+ * adapter's describeError rewrites them.
+ *
+ * @param {Object} route - Result of resolveModelRoute
+ * @param {Object} options - See runProviderGeneration
+ * @returns {Promise<string>} Generated text, or the media URL
+ */
+async function runProviderAttempt(route, { prompt, messages = null, temperature = 0.7, options = {}, responseSchema = null, uid = null, signal = null, onProgress = null, onUsage = null, onToken = null, mediaBaseUrl = null }) {
+  const { adapter } = route;
+  console.log(`🎯 Routing generation for user ${uid || 'unknown'} - ${route.modelId} via ${adapter.name} (${route.type})`);
+
+  const request = {
+    model: route.model,
+    modelId: route.modelId,
+    type: route.type,
+    prompt,
+    messages,
+    temperature,
+    options: options || {},
+    responseSchema,
+    signal,
+    onProgress,
+    onUsage,
+    apiKey: await getAdapterApiKey(adapter, route.type)
+  };
+
+  try {
+    if (onToken && adapter.stream) {
+      return await adapter.stream(request, onToken);
+    }
+
+    const { endpoint, body } = adapter.buildRequest(request);
+    const response = await makeAPIRequest(adapter.id, endpoint, body, request.apiKey, signal);
+    let output = adapter.parseResponse(response, request);
+    if (output && output.jobId) {
+      if (!adapter.poll) {
+        throw new Error(`${adapter.name} returned job ${output.jobId} but its adapter cannot poll jobs`);
+      }
+      output = await adapter.poll(output.jobId, request);
+    }
+    if (output && output.media) {
+      output = await storeGeneratedMedia(uid, output, mediaBaseUrl);
+    }
+
+    if (onToken) {
+      onToken(output);
+    }
+    return output;
+  } catch (error) {
+    const described = adapter.describeError ? adapter.describeError(error, request) : error;
+    described.retryable = isRetryableProviderError(error);
+    throw described;
+  }
+}
+
+/**
+ * Run a text generation whose output must be JSON matching a schema
+ *
+ * Providers with native structured output get the schema in the request (see
+ * buildChatCompletionRequest); every provider also gets it in the prompt. The
+ * answer is parsed and validated, and invalid answers are retried with the
+ * validation errors fed back to the model.
+ *
+ * @param {Object} route - Result of resolveModelRoute
+ * @param {Object} options - See runProviderGeneration; `responseSchema` is required
+ * @returns {Promise<string>} The validated object as formatted JSON
+ * @throws {Error} If no attempt produced valid JSON
+ */
+async function runStructuredGeneration(route, { responseSchema, prompt, messages = null, onUsage = null, ...options }) {
+  // Token usage adds up across attempts
+  const usage = { promptTokens: 0, completionTokens: 0 };
+  const addUsage = (reported) => {
+    usage.promptTokens += reported.promptTokens || 0;
+    usage.completionTokens += reported.completionTokens || 0;
+    if (onUsage) onUsage({ ...usage });
+  };
+
+  let errors = [];
+  for (let attempt = 1; attempt <= STRUCTURED_OUTPUT_MAX_ATTEMPTS; attempt++) {
+    // Conversations carry the instructions in their last (user) turn
+    const lastMessage = messages && messages[messages.length - 1];
+    const text = await runProviderGeneration(route, {
+      ...options,
+      prompt: buildStructuredPrompt(prompt, responseSchema, errors),
+      messages: messages && [...messages.slice(0, -1), { ...lastMessage, content: buildStructuredPrompt(lastMessage.content, responseSchema, errors) }],
+      responseSchema,
+      onUsage: addUsage
+    });
+
+    let value;
+    try {
+      value = parseJsonOutput(text);
+    } catch (parseError) {
+      errors = [`Output is not valid JSON (${parseError.message})`];
+    }
+    if (value !== undefined) {
+      errors = validateJsonSchema(value, responseSchema);
+    }
+    if (value !== undefined && errors.length === 0) {
+      return JSON.stringify(value, null, 2);
+    }
+    console.log(`🧩 Structured output attempt ${attempt}/${STRUCTURED_OUTPUT_MAX_ATTEMPTS} from ${route.model} did not match the schema: ${errors.join('; ')}`);
+  }
+  throw new Error(`Output did not match the response schema after ${STRUCTURED_OUTPUT_MAX_ATTEMPTS} attempts: ${errors.slice(0, 5).join('; ')}`);
+}
+
+/**
+ * Append the response schema (and the previous attempt's mistakes) to a prompt
+ *
+ * @param {string} prompt - Fully resolved prompt
+ * @param {Object} schema - JSON Schema the answer must match
+ * @param {Array<string>} errors - Validation errors from the previous attempt
+ * @returns {string} Prompt asking for JSON only
+ */
+function buildStructuredPrompt(prompt, schema, errors) {
+  let structuredPrompt = `${prompt}\n\nRespond with only a JSON value (no markdown, no explanation) that matches this JSON Schema:\n${JSON.stringify(schema)}`;
+  if (errors.length > 0) {
+    structuredPrompt += `\n\nYour previous answer was rejected: ${errors.slice(0, 5).join('; ')}`;
+  }
+  return structuredPrompt;
+}
+
+/**
+ * Parse a model's JSON answer, tolerating a surrounding ```json fence
+ *
+ * @param {string} text - Model output
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} If the output is not JSON
+ */
+function parseJsonOutput(text) {
+  const fenced = String(text).trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+
+/**
+ * Check a response schema from the client before generating with it
+ *
+ * `pattern` is refused: a client's regular expression run against model output
+ * can backtrack for minutes and stall the server for everyone.
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path='$'] - Location of `schema`, used in error messages
+ * @returns {Array<string>} Problems with the schema, empty when it can be used
+ */
+function checkResponseSchema(schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const problems = [];
+
+  if (schema.pattern !== undefined) {
+    problems.push(`${path}.pattern is not supported - use enum, minLength or maxLength instead`);
+  }
+
+  Object.entries(schema.properties || {}).forEach(([name, property]) => problems.push(...checkResponseSchema(property, `${path}.properties.${name}`)));
+  ['items', 'additionalProperties'].forEach(keyword => problems.push(...checkResponseSchema(schema[keyword], `${path}.${keyword}`)));
+  ['anyOf', 'oneOf'].forEach(keyword => {
+    if (Array.isArray(schema[keyword])) {
+      schema[keyword].forEach((option, index) => problems.push(...checkResponseSchema(option, `${path}.${keyword}[${index}]`)));
+    }
+  });
+  return problems;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * Covers the keywords extraction schemas use: type, enum, const, properties,
+ * required, additionalProperties, items, min/maxItems, min/maxLength,
+ * minimum/maximum, anyOf and oneOf. Other keywords are ignored, including
+ * `pattern` (see checkResponseSchema).
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path='$'] - Location of `value`, used in error messages
+ * @returns {Array<string>} Validation errors, empty when the value matches
+ */
+function validateJsonSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesJsonType(value, type))) {
+      return [`${path} should be ${types.join(' or ')}`];
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+  }
+  if (Array.isArray(schema.anyOf) && !schema.anyOf.some(option => validateJsonSchema(value, option, path).length === 0)) {
+    errors.push(`${path} does not match any of the allowed schemas`);
+  }
+  if (Array.isArray(schema.oneOf) && schema.oneOf.filter(option => validateJsonSchema(value, option, path).length === 0).length !== 1) {
+    errors.push(`${path} should match exactly one of the allowed schemas`);
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`${path} should have at least ${schema.minLength} characters`);
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) errors.push(`${path} should have at most ${schema.maxLength} characters`);
+  } else if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path} should be at least ${schema.minimum}`);
+    if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path} should be at most ${schema.maximum}`);
+  } else if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) errors.push(`${path} should have at least ${schema.minItems} items`);
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) errors.push(`${path} should have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  } else if (value && typeof value === 'object') {
+    const properties = schema.properties || {};
+    (Array.isArray(schema.required) ? schema.required : []).forEach(name => {
+      if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+    });
+    Object.keys(value).forEach(name => {
+      if (properties[name]) {
+        errors.push(...validateJsonSchema(value[name], properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(value[name], schema.additionalProperties, `${path}.${name}`));
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * Check a value against a single JSON Schema type name
+ *
+ * @param {*} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has that type
+ */
+function matchesJsonType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'null': return value === null;
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+/**
+ * Store a file an adapter generated and return the URL it is served from
+ *
+ * Providers that answer with raw bytes (speech) or short-lived links are
+ * stored server-side so cells keep a URL that stays playable.
+ *
+ * @param {string|null} uid - Firebase uid of the requesting user
+ * @param {{media: Buffer, mimeType: string, extension: string}} file - What the adapter returned
+ * @param {string|null} baseUrl - Origin to build the URL on (see getRequestOrigin)
+ * @returns {Promise<string>} URL of the stored file
+ */
+async function storeGeneratedMedia(uid, file, baseUrl) {
+  const id = `${crypto.randomUUID()}.${file.extension}`;
+  await createGeneratedMedia({ id, uid: uid || 'unknown', mimeType: file.mimeType, data: file.media });
+  console.log(`💾 Stored generated ${file.mimeType} (${file.media.length} bytes) as ${id}`);
+  return `${baseUrl || ''}/api/media/${id}`;
+}
+
+/**
+ * Get the origin clients reach this server on, for URLs returned to them
+ *
+ * PUBLIC_BASE_URL wins; otherwise the Host header (and X-Forwarded-Proto
+ * behind Railway's proxy) is used.
+ *
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {string} Origin without a trailing slash
+ */
+function getRequestOrigin(req) {
+  if (process.env.PUBLIC_BASE_URL) {
+    return process.env.PUBLIC_BASE_URL.replace(/\/+$/, '');
+  }
+  const protocol = (req.headers['x-forwarded-proto'] || '').split(',')[0].trim() || 'http';
+  return `${protocol}://${req.headers.host}`;
+}
+
+/**
+ * Validate the conversation turns a client sent for a chat generation
+ *
+ * Consecutive turns from the same role are merged, since Anthropic requires
+ * user and assistant turns to alternate.
+ *
+ * @param {*} messages - Request's `messages` field
+ * @returns {Array<{role: string, content: string}>} Turns with only role and content kept
+ * @throws {Error} "Invalid messages: ..." if the turns are malformed or don't end with the user
+ */
+function normalizeChatMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new Error('Invalid messages: expected a non-empty array');
+  }
+  const normalized = messages.map((message, index) => {
+    if (!message || !CHAT_MESSAGE_ROLES.includes(message.role) || typeof message.content !== 'string') {
+      throw new Error(`Invalid messages: turn ${index + 1} needs a role (${CHAT_MESSAGE_ROLES.join(', ')}) and text content`);
+    }
+    return { role: message.role, content: message.content };
+  });
+  const merged = mergeConsecutiveChatTurns(normalized);
+  const last = merged[merged.length - 1];
+  if (last.role !== 'user' || last.content.trim() === '') {
+    throw new Error('Invalid messages: the last turn must be a non-empty user message');
+  }
+  return merged;
+}
+
+/**
+ * Join runs of turns from the same role into one turn
+ *
+ * @param {Array<{role: string, content: string}>} messages - Conversation turns
+ * @returns {Array<{role: string, content: string}>} Turns whose roles alternate
+ */
+function mergeConsecutiveChatTurns(messages) {
+  return messages.reduce((merged, message) => {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.role === message.role) {
+      merged[merged.length - 1] = { role: message.role, content: `${previous.content}\n\n${message.content}` };
+    } else {
+      merged.push(message);
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Flatten conversation turns into one text, for logging, pricing and cache keys
+ *
+ * @param {Array<{role: string, content: string}>} messages - Normalized turns
+ * @returns {string} "role: content" blocks separated by blank lines
+ */
+function flattenChatMessages(messages) {
+  return messages.map(message => `${message.role}: ${message.content}`).join('\n\n');
+}
+
+/**
+ * Build an OpenAI-compatible chat completion request (OpenRouter, OpenAI)
+ *
+ * @param {Object} request - Adapter request
+ * @returns {{endpoint: string, body: Object}}
+ */
+function buildChatCompletionRequest(request) {
+  const body = {
+    model: request.modelId,
+    messages: request.messages || [
+      { role: 'user', content: request.prompt }
+    ],
+    temperature: request.temperature,
+    max_tokens: 2000
+  };
+  if (request.responseSchema) {
+    // Native structured output; the answer is still validated (see runStructuredGeneration)
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'cell_output', schema: request.responseSchema, strict: false }
+    };
+  }
+  return { endpoint: '/chat/completions', body };
+}
+
+/**
+ * Read the text and token usage from an OpenAI-compatible chat completion
+ *
+ * @param {Object} response - Parsed response body
+ * @param {Object} request - Adapter request
+ * @returns {string} The completion text
+ */
+function parseChatCompletionResponse(response, request) {
+  if (request.onUsage && response.usage) {
+    request.onUsage({ promptTokens: response.usage.prompt_tokens, completionTokens: response.usage.completion_tokens });
+  }
+  return response.choices?.[0]?.message?.content || 'No response generated';
+}
+
+/**
+ * Stream an OpenAI-compatible chat completion, relaying tokens as they arrive
+ *
+ * Uses `stream: true` mode, which answers with SSE `data:` lines terminated
+ * by `data: [DONE]`.
+ *
+ * @param {string} provider - Key of MODEL_PROVIDERS to call
+ * @param {Object} request - Adapter request
+ * @param {Function} onToken - Called with each text delta
+ * @param {Object} [usageOption] - Body fields asking the provider to report token usage in the last chunk
+ * @returns {Promise<string>} The full completion text
+ */
+async function streamChatCompletion(provider, request, onToken, usageOption = {}) {
+  console.log(`🌊 Streaming text generation - ${provider} model ID: ${request.modelId}`);
+
+  const baseUrl = await getProviderBaseUrl(provider);
+  if (!baseUrl) {
+    throw new Error(`No base URL configured for ${MODEL_PROVIDERS[provider].name}`);
+  }
+  const url = new URL(baseUrl + '/chat/completions');
+  const transport = url.protocol === 'http:' ? http : https;
+  const requestData = JSON.stringify({
+    ...buildChatCompletionRequest(request).body,
+    stream: true,
+    ...usageOption
+  });
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request({
+      hostname: url.hostname,
+      port: url.port || (url.protocol === 'http:' ? 80 : 443),
+      path: url.pathname,
+      method: 'POST',
+      signal: request.signal,
+      headers: {
+        ...getProviderAuthHeaders(provider, request.apiKey),
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        'Content-Length': Buffer.byteLength(requestData)
+      }
+    }, (res) => {
+      console.log(`📡 Stream Response Status: ${res.statusCode}`);
+      res.setEncoding('utf8');
+
+      if (res.statusCode >= 400) {
+        let errorData = '';
+        res.on('data', chunk => { errorData += chunk; });
+        res.on('end', () => {
+          console.log(`❌ API Error ${res.statusCode}: ${errorData}`);
+          reject(providerResponseError(res.statusCode, errorData, res.headers));
+        });
+        return;
+      }
+
+      let buffer = '';
+      let fullText = '';
+      let finished = false;
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const rawLine of lines) {
+          const line = rawLine.trim();
+          // Skip blank separators and SSE comments (OpenRouter sends ": OPENROUTER PROCESSING")
+          if (!line.startsWith('data:')) continue;
+
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') {
+            finished = true;
+            continue;
+          }
+
+          try {
+            const parsed = JSON.parse(payload);
+            if (parsed.error) {
+              const streamError = new Error(`API Error: ${parsed.error.message || JSON.stringify(parsed.error)}`);
+              // OpenRouter puts the HTTP status in error.code when a stream fails mid-way
+              streamError.statusCode = typeof parsed.error.code === 'number' ? parsed.error.code : null;
+              reject(streamError);
+              req.destroy();
+              return;
+            }
+            const delta = parsed.choices?.[0]?.delta?.content;
+            if (delta) {
+              fullText += delta;
+              onToken(delta);
+            }
+            if (parsed.usage && request.onUsage) {
+              request.onUsage({ promptTokens: parsed.usage.prompt_tokens, completionTokens: parsed.usage.completion_tokens });
+            }
+          } catch (error) {
+            console.log(`⚠️ Skipping malformed stream chunk: ${payload.substring(0, 100)}`);
           }
-        });
+        }
+      });
+      res.on('end', () => {
+        if (!finished) {
+          console.log(`⚠️ Stream ended without [DONE] marker`);
+        }
+        resolve(fullText || 'No response generated');
+      });
+      res.on('error', reject);
+    });
+
+    // Abort if no bytes arrive for 30 seconds (matches makeAPIRequest)
+    req.setTimeout(30000, () => {
+      console.log(`⏰ Stream timeout after 30 seconds of inactivity`);
+      req.destroy();
+      reject(new Error('Request timeout - API did not respond within 30 seconds'));
+    });
+
+    req.on('error', (error) => {
+      if (error.name === 'AbortError') {
+        reject(new Error('Generation cancelled'));
+        return;
       }
-    }
-  });
-  
-  req.on('error', (error) => {
-    reject(error);
+      reject(error);
+    });
+
+    req.write(requestData);
+    req.end();
   });
-  
-  req.end();
 }
 
+// OpenRouter - text models from many vendors behind one OpenAI-compatible API
+registerProviderAdapter({
+  id: 'openrouter',
+  name: 'OpenRouter',
+  types: ['text'],
+  buildRequest: buildChatCompletionRequest,
+  parseResponse: parseChatCompletionResponse,
+  // Ask OpenRouter to append token counts to the last chunk
+  stream: (request, onToken) => streamChatCompletion('openrouter', request, onToken, { usage: { include: true } })
+});
+
+// Fal.ai - image models, and video models that may answer with a job to poll
+registerProviderAdapter({
+  id: 'fal-ai',
+  name: 'Fal.ai',
+  types: ['image', 'video'],
+  buildRequest(request) {
+    const endpoint = `/${request.modelId}`;
+    if (request.type === 'image') {
+      // Image models expect prompt at root level, not in input object
+      return { endpoint, body: { prompt: request.prompt, num_inference_steps: 20, guidance_scale: 7.5 } };
+    }
+
+    const isImageToVideo = request.modelId.includes('img2vid') || request.modelId.includes('image-to-video');
+    if (!isImageToVideo) {
+      return { endpoint, body: { prompt: request.prompt, num_inference_steps: 25, guidance_scale: 7.5 } };
+    }
+
+    // Image-to-video needs an image URL in the prompt, either
+    // "image_url: https://..." or just an image link
+    let imageUrl = null;
+    let textPrompt = request.prompt;
+    const imageUrlMatch = request.prompt.match(/image[_\s]*url[:\s]+(https?:\/\/[^\s]+)/i);
+    if (imageUrlMatch) {
+      imageUrl = imageUrlMatch[1];
+      textPrompt = request.prompt.replace(/image[_\s]*url[:\s]+https?:\/\/[^\s]+/gi, '').trim();
+    } else {
+      const urlMatch = request.prompt.match(/(https?:\/\/[^\s]+\.(jpg|jpeg|png|gif|webp))/i);
+      if (urlMatch) {
+        imageUrl = urlMatch[1];
+        textPrompt = request.prompt.replace(urlMatch[1], '').trim();
+      }
+    }
+
+    if (!imageUrl) {
+      throw new Error('Image-to-video model requires an image URL. Please provide an image URL in one of these formats:\n1. "image_url: https://example.com/image.jpg prompt: your text"\n2. "https://example.com/image.jpg your text"\n\nOr use the text-to-video model (Stable Video Diffusion) instead of the image-to-video model.');
+    }
+    return { endpoint, body: { image_url: imageUrl, prompt: textPrompt || 'Generate video from this image' } };
+  },
+  parseResponse(response, request) {
+    if (request.type === 'image') {
+      if (request.onUsage) request.onUsage({ images: response.images?.length || response.data?.length || 1 });
+      return response.images?.[0]?.url || response.data?.[0]?.url || 'No image generated';
+    }
+
+    // Some video models answer with a job that must be polled
+    if ((response.status === 'pending' || response.status === 'processing') && (response.id || response.job_id)) {
+      return { jobId: response.id || response.job_id };
+    }
+    return response.video?.url || response.video_url || response.data?.[0]?.video_url || response.data?.[0]?.url || response.url || 'No video generated';
+  },
+  poll: (jobId, request) => pollFalAIVideoJob(jobId, request.apiKey, request.modelId, VIDEO_POLL_MAX_ATTEMPTS, 0, request.signal, request.onProgress),
+  describeError(error, request) {
+    if (error.message.includes('404') || error.message.includes('not found')) {
+      return new Error(`Fal.ai model "${request.modelId}" not found. Please check the model ID or use a different model.`);
+    } else if (error.message.includes('401') || error.message.includes('unauthorized')) {
+      return new Error('Fal.ai API key is invalid or expired. Please check the key in the admin dashboard.');
+    } else if (error.message.includes('429') || error.message.includes('rate limit')) {
+      return new Error('Fal.ai rate limit exceeded. Please try again later.');
+    }
+    return error;
+  }
+});
+
 /**
- * Call AI API with hybrid approach: Fal.ai for images, OpenRouter for text, OpenAI for videos
+ * Settings cells may pass to OpenAI images (DALL-E 3) and speech (TTS-1)
  */
-async function callHybridAI(model, prompt, temperature = 0.7) {
-  try {
-    // Determine model type
-    const isImageModel = model.includes('flux') || (model.includes('stable-diffusion') && !model.includes('video')) || model.includes('recraft') || model.includes('dall-e');
-    const isVideoModel = model.includes('sora') || model.includes('runway') || model.includes('pika') || model.includes('stable-video') || model.includes('lightning-svd');
-    const isFalAIVideoModel = model.includes('fal-ai') && (model.includes('stable-video') || model.includes('lightning-svd') || model.includes('img2vid'));
-    const isTextModel = model.includes('llama') || model.includes('mistral') || model.includes('codellama') || model.includes('gpt') || model.includes('claude') || model.includes('gemini');
-    
-    if (isFalAIVideoModel) {
-      // Video generation via Fal.ai
-      const falApiKey = process.env.FAL_AI_API_KEY;
-      if (!falApiKey) {
-        throw new Error('Fal.ai API key is required for video generation. Please configure FAL_AI_API_KEY in Railway.');
+const OPENAI_MEDIA_OPTIONS = {
+  voices: ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'],
+  sizes: ['1024x1024', '1792x1024', '1024x1792'],
+  qualities: ['standard', 'hd']
+};
+
+// The speech endpoint rejects longer input
+const OPENAI_SPEECH_MAX_CHARACTERS = 4096;
+
+/**
+ * Read one generation option, falling back to its default
+ *
+ * @param {Object} options - Per-cell generation settings
+ * @param {string} name - Option name (voice, size, quality)
+ * @param {string[]} allowed - Accepted values; the first is the default
+ * @returns {string} The chosen value
+ * @throws {Error} If the value is not one of `allowed`
+ */
+function pickGenerationOption(options, name, allowed) {
+  const value = options[name];
+  if (value === undefined || value === null || value === '') {
+    return allowed[0];
+  }
+  if (!allowed.includes(value)) {
+    throw new Error(`Invalid generation option: ${name} must be one of ${allowed.join(', ')} (got "${value}")`);
+  }
+  return value;
+}
+
+// OpenAI - chat models, DALL-E images, TTS speech, and Sora 2 video jobs
+// (https://platform.openai.com/docs/guides/video-generation)
+registerProviderAdapter({
+  id: 'openai',
+  name: 'OpenAI',
+  types: ['text', 'image', 'audio', 'video'],
+  // OpenAI wants its own IDs ('gpt-4o'), not OpenRouter-style 'openai/gpt-4o'
+  resolveModelId: (model, entry) => (entry.originalId || model).replace(/^openai[\/-]/, ''),
+  buildRequest(request) {
+    if (request.type === 'image') {
+      return {
+        endpoint: '/images/generations',
+        body: {
+          model: request.modelId,
+          prompt: request.prompt,
+          n: 1,
+          size: pickGenerationOption(request.options, 'size', OPENAI_MEDIA_OPTIONS.sizes),
+          quality: pickGenerationOption(request.options, 'quality', OPENAI_MEDIA_OPTIONS.qualities),
+          // Hosted DALL-E links expire after an hour, so take the bytes and store them
+          response_format: 'b64_json'
+        }
+      };
+    }
+    if (request.type === 'audio') {
+      if (request.prompt.length > OPENAI_SPEECH_MAX_CHARACTERS) {
+        throw new Error(`Invalid generation option: speech input is limited to ${OPENAI_SPEECH_MAX_CHARACTERS} characters (got ${request.prompt.length})`);
       }
-      
-      // Convert sanitized model ID back to original format for Fal.ai
-      const originalModelId = await getOriginalModelId(model);
-      
-      // Fal.ai video models use different endpoints
-      // For image-to-video, we need to check if there's an image URL in the prompt
-      const isImageToVideo = model.includes('img2vid') || model.includes('image-to-video');
-      
-      let requestData;
-      if (isImageToVideo) {
-        // Extract image URL from prompt (check multiple formats)
-        // Format 1: "image_url: https://..."
-        // Format 2: "https://..." (just a URL)
-        // Format 3: Check if prompt contains a URL that looks like an image
-        let imageUrl = null;
-        let textPrompt = prompt;
-        
-        // Try format 1: explicit image_url: prefix
-        const imageUrlMatch1 = prompt.match(/image[_\s]*url[:\s]+(https?:\/\/[^\s]+)/i);
-        if (imageUrlMatch1) {
-          imageUrl = imageUrlMatch1[1];
-          textPrompt = prompt.replace(/image[_\s]*url[:\s]+https?:\/\/[^\s]+/gi, '').trim();
-        } else {
-          // Try format 2: check if prompt starts with or contains an image URL
-          const urlMatch = prompt.match(/(https?:\/\/[^\s]+\.(jpg|jpeg|png|gif|webp))/i);
-          if (urlMatch) {
-            imageUrl = urlMatch[1];
-            textPrompt = prompt.replace(urlMatch[1], '').trim();
-          }
+      return {
+        endpoint: '/audio/speech',
+        body: {
+          model: request.modelId,
+          input: request.prompt,
+          voice: pickGenerationOption(request.options, 'voice', OPENAI_MEDIA_OPTIONS.voices),
+          response_format: 'mp3'
         }
-        
-        if (!imageUrl) {
-          // If no image URL found, provide helpful error message
-          throw new Error('Image-to-video model requires an image URL. Please provide an image URL in one of these formats:\n1. "image_url: https://example.com/image.jpg prompt: your text"\n2. "https://example.com/image.jpg your text"\n\nOr use the text-to-video model (Stable Video Diffusion) instead of the image-to-video model.');
+      };
+    }
+    if (request.type === 'video') {
+      return {
+        endpoint: '/videos',
+        body: {
+          model: request.modelId,
+          prompt: request.prompt,
+          size: '1280x720', // Default resolution (can be 1280x720, 1920x1080, etc.)
+          seconds: 8 // Default duration (can be 5-60 seconds)
         }
-        
-        requestData = {
-          image_url: imageUrl,
-          prompt: textPrompt || 'Generate video from this image'
-        };
+      };
+    }
+    return buildChatCompletionRequest(request);
+  },
+  parseResponse(response, request) {
+    if (request.type === 'image') {
+      const image = response.data?.[0]?.b64_json;
+      if (!image) {
+        throw new Error('Invalid response from OpenAI: no image returned');
+      }
+      if (request.onUsage) request.onUsage({ images: response.data.length });
+      return { media: Buffer.from(image, 'base64'), mimeType: 'image/png', extension: 'png' };
+    }
+    if (request.type === 'audio') {
+      // makeAPIRequest hands back /audio/speech bodies base64-encoded
+      return { media: Buffer.from(response, 'base64'), mimeType: 'audio/mpeg', extension: 'mp3' };
+    }
+    if (request.type === 'video') {
+      // Sora 2 returns a job object with id and status
+      if (!response.id) {
+        throw new Error('Invalid response from OpenAI: missing job ID');
+      }
+      if (request.onUsage) request.onUsage({ videoSeconds: 8 });
+      return { jobId: response.id };
+    }
+    return parseChatCompletionResponse(response, request);
+  },
+  poll: (jobId, request) => new Promise((resolve, reject) => {
+    pollVideoJobStatus(jobId, request.apiKey, resolve, reject, VIDEO_POLL_MAX_ATTEMPTS, 0, request.signal, request.onProgress);
+  }),
+  stream: (request, onToken) => streamChatCompletion('openai', request, onToken, { stream_options: { include_usage: true } })
+});
+
+// Local models - an OpenAI-compatible server the admin points us at (see MODEL_PROVIDERS.local)
+registerProviderAdapter({
+  id: 'local',
+  name: 'Local models',
+  types: ['text'],
+  requiresApiKey: false,
+  // Discovered models are listed as 'local/<id>' (see fetchLocalModels)
+  resolveModelId: (model) => model.replace(/^local\//, ''),
+  buildRequest: buildChatCompletionRequest,
+  parseResponse: parseChatCompletionResponse,
+  // Ollama and vLLM report token usage in the last chunk when asked
+  stream: (request, onToken) => streamChatCompletion('local', request, onToken, { stream_options: { include_usage: true } }),
+  describeError(error) {
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+      return new Error(`Local model server is not reachable (${error.message}). Check that it is running and the base URL in the admin dashboard.`);
+    }
+    return error;
+  }
+});
+
+// Anthropic - Claude models through the Messages API
+registerProviderAdapter({
+  id: 'anthropic',
+  name: 'Anthropic',
+  types: ['text'],
+  resolveModelId: (model, entry) => (entry.originalId || model).replace(/^anthropic[\/-]/, ''),
+  buildRequest(request) {
+    // Anthropic takes the system prompt as its own field, not as a turn
+    const messages = request.messages || [{ role: 'user', content: request.prompt }];
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    return {
+      endpoint: '/messages',
+      body: {
+        model: request.modelId,
+        max_tokens: 2000,
+        temperature: Math.min(request.temperature, 1),
+        ...(system ? { system } : {}),
+        // Taking out system turns can leave two user turns next to each other
+        messages: mergeConsecutiveChatTurns(messages.filter(message => message.role !== 'system'))
+      }
+    };
+  },
+  parseResponse(response, request) {
+    if (request.onUsage && response.usage) {
+      request.onUsage({ promptTokens: response.usage.input_tokens, completionTokens: response.usage.output_tokens });
+    }
+    const text = (response.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+    return text || 'No response generated';
+  }
+});
+
+
+/**
+ * Write one Server-Sent Event to an open response
+ *
+ * @param {http.ServerResponse} res - Response opened with text/event-stream
+ * @param {string} event - Event name
+ * @param {Object} data - JSON-serializable payload
+ */
+function sendSSE(res, event, data) {
+  if (res.writableEnded || res.destroyed) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+
+/**
+ * Add a generation to the queue
+ *
+ * The returned job exposes a `promise` that settles with the result of `task`
+ * once the job has been scheduled and run.
+ *
+ * @param {Object} options
+ * @param {string} options.uid - Firebase uid of the requesting user
+ * @param {string} options.provider - Provider key from resolveModelRoute (for per-provider concurrency)
+ * @param {string} options.model - Model ID (informational)
+ * @param {string} [options.type] - Model type, used to price the job's usage
+ * @param {string} [options.prompt] - Prompt, used to estimate the job's usage while it is in flight
+ * @param {string} [options.requestId] - Client-supplied ID used to look up queue position
+ * @param {Function} options.task - Async function performing the generation; receives an AbortSignal and the job
+ * @returns {Object} The queued job
+ * @throws {Error} If the user already has too many pending generations
+ */
+function enqueueGeneration({ uid, provider, model, type = null, prompt = '', requestId, task }) {
+  const pending = generationQueue.pendingByUser.get(uid) || [];
+  if (pending.length >= QUEUE_MAX_PENDING_PER_USER) {
+    throw new Error(`Generation queue is full (${QUEUE_MAX_PENDING_PER_USER} pending requests). Please wait for running cells to finish.`);
+  }
+
+  queueJobCounter++;
+  const job = {
+    id: requestId && !generationQueue.jobs.has(requestId) ? String(requestId) : `job-${Date.now()}-${queueJobCounter}`,
+    uid,
+    provider,
+    model,
+    type,
+    task,
+    // Counted against the user's quotas until the job finishes (see checkGenerationQuota)
+    estimatedUsage: estimateGenerationUsage(model, prompt, '', { type, expectedCompletionTokens: ESTIMATED_COMPLETION_TOKENS }),
+    status: 'pending',
+    queuedAt: Date.now(),
+    startedAt: null,
+    abortController: new AbortController()
+  };
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+
+  pending.push(job);
+  if (!generationQueue.pendingByUser.has(uid)) {
+    generationQueue.pendingByUser.set(uid, pending);
+    generationQueue.userOrder.push(uid);
+  }
+  generationQueue.jobs.set(job.id, job);
+
+  dispatchGenerationQueue();
+  return job;
+}
+
+/**
+ * Start as many pending jobs as the per-user and per-provider limits allow
+ *
+ * Users are served round-robin so one user's large batch cannot starve others.
+ */
+function dispatchGenerationQueue() {
+  // Running jobs moving to a fallback provider go ahead of pending jobs
+  generationQueue.providerWaiters = generationQueue.providerWaiters.filter(waiter => {
+    if (!hasProviderCapacity(waiter.provider)) return true;
+    waiter.start();
+    return false;
+  });
+
+  let startedJob = true;
+  while (startedJob) {
+    startedJob = false;
+    const users = generationQueue.userOrder;
+
+    for (let i = 0; i < users.length; i++) {
+      const index = (generationQueue.cursor + i) % users.length;
+      const uid = users[index];
+
+      if ((generationQueue.runningByUser.get(uid) || 0) >= QUEUE_USER_CONCURRENCY) {
+        continue;
+      }
+
+      const pending = generationQueue.pendingByUser.get(uid);
+      const jobIndex = pending.findIndex(job => hasProviderCapacity(job.provider));
+      if (jobIndex === -1) {
+        continue;
+      }
+
+      const [job] = pending.splice(jobIndex, 1);
+      if (pending.length === 0) {
+        generationQueue.pendingByUser.delete(uid);
+        users.splice(index, 1);
+        generationQueue.cursor = users.length > 0 ? index % users.length : 0;
       } else {
-        // Text-to-video
-        requestData = {
-          prompt: prompt,
-          num_inference_steps: 25,
-          guidance_scale: 7.5
-        };
+        generationQueue.cursor = (index + 1) % users.length;
       }
-      
-      try {
-        const response = await makeAPIRequest('fal-ai', `/${originalModelId}`, requestData, falApiKey);
-        
-        // Fal.ai video models return video URLs in different formats
-        // Some models return job-based responses that need polling
-        if (response.status === 'pending' || response.status === 'processing') {
-          // Handle async job-based video generation
-          const jobId = response.id || response.job_id;
-          if (jobId) {
-            // Poll for completion (similar to Sora 2)
-            return await pollFalAIVideoJob(jobId, falApiKey, originalModelId);
-          }
-        }
-        
-        // Direct video URL response
-        return response.video?.url || response.video_url || response.data?.[0]?.video_url || response.data?.[0]?.url || response.url || 'No video generated';
-      } catch (apiError) {
-        // Provide more helpful error messages
-        if (apiError.message.includes('404') || apiError.message.includes('not found')) {
-          throw new Error(`Fal.ai model "${originalModelId}" not found. Please check the model ID or use a different video model.`);
-        } else if (apiError.message.includes('401') || apiError.message.includes('unauthorized')) {
-          throw new Error('Fal.ai API key is invalid or expired. Please check your FAL_AI_API_KEY.');
-        } else if (apiError.message.includes('429') || apiError.message.includes('rate limit')) {
-          throw new Error('Fal.ai rate limit exceeded. Please try again later.');
+
+      startQueuedJob(job);
+      startedJob = true;
+      break;
+    }
+  }
+}
+
+/**
+ * Check whether a provider can accept another running job
+ *
+ * @param {string} provider - Provider key
+ * @returns {boolean} True if below the provider's concurrency limit
+ */
+function hasProviderCapacity(provider) {
+  const limit = QUEUE_PROVIDER_CONCURRENCY[provider] || 1;
+  return (generationQueue.runningByProvider.get(provider) || 0) < limit;
+}
+
+/**
+ * Run a job and release its slots when it settles
+ *
+ * @param {Object} job - Job removed from the pending list
+ */
+function startQueuedJob(job) {
+  job.status = 'running';
+  job.startedAt = Date.now();
+  generationQueue.runningByUser.set(job.uid, (generationQueue.runningByUser.get(job.uid) || 0) + 1);
+  generationQueue.runningByProvider.set(job.provider, (generationQueue.runningByProvider.get(job.provider) || 0) + 1);
+  console.log(`▶️ Queue: started ${job.id} (user ${job.uid}, ${job.provider}) after ${job.startedAt - job.queuedAt}ms`);
+
+  Promise.resolve()
+    .then(() => job.task(job.abortController.signal, job))
+    .then(job.resolve, job.reject)
+    .finally(() => {
+      generationQueue.runningByUser.set(job.uid, generationQueue.runningByUser.get(job.uid) - 1);
+      // No provider while it waits for a fallback provider's slot (see moveJobToProvider)
+      if (job.provider) {
+        generationQueue.runningByProvider.set(job.provider, generationQueue.runningByProvider.get(job.provider) - 1);
+      }
+      generationQueue.jobs.delete(job.id);
+      dispatchGenerationQueue();
+    });
+}
+
+/**
+ * Move a running job to another provider's concurrency slot (for a fallback model)
+ *
+ * Its current slot is freed first, so two jobs falling back onto each
+ * other's providers can't deadlock.
+ *
+ * @param {Object} job - Running job
+ * @param {string} provider - Provider the fallback model uses
+ * @param {AbortSignal|null} signal - Stops waiting when the generation is cancelled
+ * @returns {Promise<void>} Resolves once the job holds a slot on `provider`
+ */
+function moveJobToProvider(job, provider, signal) {
+  if (job.provider === provider) {
+    return Promise.resolve();
+  }
+
+  generationQueue.runningByProvider.set(job.provider, generationQueue.runningByProvider.get(job.provider) - 1);
+  job.provider = null;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      generationQueue.providerWaiters = generationQueue.providerWaiters.filter(waiter => waiter.job !== job);
+      reject(new Error('Generation cancelled'));
+    };
+    generationQueue.providerWaiters.push({
+      job,
+      provider,
+      start: () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        generationQueue.runningByProvider.set(provider, (generationQueue.runningByProvider.get(provider) || 0) + 1);
+        job.provider = provider;
+        resolve();
+      }
+    });
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    // Hands out the freed slot, and this job's new one if there is room
+    dispatchGenerationQueue();
+  });
+}
+
+/**
+ * Remove a job that has not started yet (e.g. the client disconnected)
+ *
+ * @param {string} jobId - Job ID
+ * @returns {boolean} True if a pending job was removed
+ */
+function cancelQueuedJob(jobId) {
+  const job = generationQueue.jobs.get(jobId);
+  if (!job || job.status !== 'pending') {
+    return false;
+  }
+
+  const pending = generationQueue.pendingByUser.get(job.uid) || [];
+  const jobIndex = pending.indexOf(job);
+  if (jobIndex !== -1) {
+    pending.splice(jobIndex, 1);
+  }
+  if (pending.length === 0 && generationQueue.pendingByUser.has(job.uid)) {
+    generationQueue.pendingByUser.delete(job.uid);
+    const userIndex = generationQueue.userOrder.indexOf(job.uid);
+    generationQueue.userOrder.splice(userIndex, 1);
+    if (generationQueue.cursor > userIndex) {
+      generationQueue.cursor--;
+    }
+    generationQueue.cursor = generationQueue.userOrder.length > 0 ? generationQueue.cursor % generationQueue.userOrder.length : 0;
+  }
+
+  generationQueue.jobs.delete(jobId);
+  job.status = 'cancelled';
+  job.reject(new Error('Request cancelled before it started'));
+  console.log(`🗑️ Queue: cancelled pending job ${jobId}`);
+  return true;
+}
+
+/**
+ * Cancel a generation whether it is still queued or already running
+ *
+ * Running jobs are aborted through their AbortSignal, which drops the
+ * upstream HTTP request or stops video polling.
+ *
+ * @param {string} jobId - Job ID
+ * @param {string} [uid] - If given, only cancel jobs owned by this user
+ * @returns {boolean} True if a job was cancelled
+ */
+function cancelGeneration(jobId, uid = null) {
+  const job = generationQueue.jobs.get(jobId);
+  if (!job || (uid && job.uid !== uid)) {
+    return false;
+  }
+
+  if (job.status === 'pending') {
+    return cancelQueuedJob(jobId);
+  }
+
+  if (job.status === 'running') {
+    job.status = 'cancelling';
+    job.abortController.abort();
+    console.log(`🛑 Queue: aborting running job ${jobId}`);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Get a job's position in the queue
+ *
+ * Positions follow the round-robin order the dispatcher will use, so a user
+ * with many pending jobs only delays others by one job per turn.
+ *
+ * @param {string} jobId - Job ID
+ * @returns {number|null} 1-based position, 0 if running, null if unknown
+ */
+function getQueuePosition(jobId) {
+  const job = generationQueue.jobs.get(jobId);
+  if (!job) return null;
+  if (job.status !== 'pending') return 0;
+
+  const users = generationQueue.userOrder;
+  const longest = Math.max(0, ...users.map(uid => generationQueue.pendingByUser.get(uid).length));
+  let position = 0;
+  for (let round = 0; round < longest; round++) {
+    for (let i = 0; i < users.length; i++) {
+      const pending = generationQueue.pendingByUser.get(users[(generationQueue.cursor + i) % users.length]);
+      if (round < pending.length) {
+        position++;
+        if (pending[round] === job) {
+          return position;
         }
-        throw apiError;
       }
-      
-    } else if (isVideoModel && model.includes('sora-2')) {
-      // Video generation via OpenAI Sora 2 API
-      const openaiApiKey = process.env.OPENAI_API_KEY;
-      if (!openaiApiKey) {
-        throw new Error('OpenAI API key is required for Sora 2 video generation. Please configure OPENAI_API_KEY in Railway.');
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe a user's queued and running generations
+ *
+ * @param {string} uid - Firebase uid
+ * @returns {Array<Object>} Job summaries with their queue positions
+ */
+function getUserQueueStatus(uid) {
+  const jobs = [];
+  for (const job of generationQueue.jobs.values()) {
+    if (job.uid !== uid) continue;
+    jobs.push({
+      id: job.id,
+      status: job.status,
+      provider: job.provider,
+      model: job.model,
+      position: getQueuePosition(job.id),
+      queuedAt: new Date(job.queuedAt).toISOString()
+    });
+  }
+  return jobs;
+}
+
+/**
+ * Current usage period - quotas reset at the start of each calendar month (UTC)
+ *
+ * @param {Date} [date] - Defaults to now
+ * @returns {string} 'YYYY-MM'
+ */
+function getUsagePeriod(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * When the current usage period ends
+ *
+ * @returns {string} ISO timestamp of the first instant of next month (UTC)
+ */
+function getUsagePeriodEnd() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+}
+
+/**
+ * Look up a model's pricing in model-config.js
+ *
+ * Model IDs arrive in several shapes ('gpt-4o', 'openai/gpt-4o', 'openai-gpt-4o'),
+ * so the longest MODEL_CONFIG key the ID ends with wins.
+ *
+ * @param {string} model - Model ID from the request
+ * @param {string|null} [declaredType] - Type declared in the model catalog (see resolveModelRoute)
+ * @returns {{type: string, rate: number}} Model type and its costPer1kTokens (0 if unknown)
+ */
+function getModelPricing(model, declaredType = null) {
+  const id = String(model || '');
+  let key = MODEL_CONFIG[id] ? id : null;
+  if (!key) {
+    key = Object.keys(MODEL_CONFIG)
+      .filter(candidate => id.endsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0] || null;
+  }
+
+  const config = key ? MODEL_CONFIG[key] : null;
+  return { type: declaredType || (config ? config.type : 'text'), rate: config ? config.costPer1kTokens : 0 };
+}
+
+/**
+ * Look up an admin-set price for a model (the costPer1kTokens field on its Firestore
+ * doc - the rules only let admins write models)
+ *
+ * @param {string} model - Model ID from the request
+ * @returns {Promise<number|null>} The admin price, or null to fall back to model-config.js
+ */
+async function getAdminModelRate(model) {
+  try {
+    const models = await getAvailableModels();
+    const match = models.find(m => m.id === model || m.originalId === model);
+    return match && typeof match.costPer1kTokens === 'number' ? match.costPer1kTokens : null;
+  } catch (error) {
+    console.log(`⚠️ Could not read admin pricing for ${model}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Work out what one generation used and cost
+ *
+ * costPer1kTokens is read per model type: per 1k tokens for text, per image
+ * for images, per second for video and per 1k characters for speech.
+ * Token counts reported by the provider take precedence; otherwise tokens
+ * are estimated at ~4 characters each.
+ *
+ * @param {string} model - Model ID
+ * @param {string} prompt - Prompt sent to the model
+ * @param {string} output - Generated text, or the media URL
+ * @param {Object} [options]
+ * @param {Object} [options.reported] - Usage reported by the provider (see "Provider adapters")
+ * @param {number|null} [options.rate] - Admin-set price overriding model-config.js
+ * @param {string|null} [options.type] - Model type declared in the catalog
+ * @param {number|null} [options.expectedCompletionTokens] - Answer length to assume for text not generated yet
+ * @returns {{model: string, promptTokens: number, completionTokens: number, tokens: number,
+ *   images: number, videoSeconds: number, cost: number, estimated: boolean}}
+ */
+function estimateGenerationUsage(model, prompt, output, { reported = {}, rate = null, type = null, expectedCompletionTokens = null } = {}) {
+  const pricing = getModelPricing(model, type);
+  const price = rate !== null ? rate : pricing.rate;
+  const usage = { model, promptTokens: 0, completionTokens: 0, tokens: 0, images: 0, videoSeconds: 0, cost: 0, estimated: false };
+
+  if (pricing.type === 'image') {
+    usage.images = reported.images || 1;
+    usage.cost = price * usage.images;
+  } else if (pricing.type === 'video') {
+    // Sora jobs are requested at 8 seconds; Fal.ai SVD clips run about 4
+    usage.videoSeconds = reported.videoSeconds || (String(model).includes('sora') ? 8 : 4);
+    usage.estimated = !reported.videoSeconds;
+    usage.cost = price * usage.videoSeconds;
+  } else if (pricing.type === 'audio') {
+    usage.cost = price * (prompt || '').length / 1000;
+  } else {
+    usage.estimated = reported.promptTokens === undefined;
+    usage.promptTokens = usage.estimated ? Math.ceil((prompt || '').length / 4) : reported.promptTokens;
+    usage.completionTokens = usage.estimated
+      ? (expectedCompletionTokens ?? Math.ceil((output || '').length / 4))
+      : (reported.completionTokens || 0);
+    usage.tokens = usage.promptTokens + usage.completionTokens;
+    usage.cost = price * usage.tokens / 1000;
+  }
+  usage.cost = Math.round(usage.cost * 1e6) / 1e6;
+  return usage;
+}
+
+/**
+ * Get a user's subscription plan (cached briefly to spare Firestore reads)
+ *
+ * @param {string} uid - Firebase uid
+ * @returns {Promise<string>} A key of QUOTA_PLANS
+ */
+async function getUserPlan(uid) {
+  const cached = userPlanCache.get(uid);
+  if (cached && Date.now() - cached.cachedAt < USER_PLAN_CACHE_DURATION) {
+    return cached.plan;
+  }
+
+  const subscription = await getUserSubscription(uid);
+  const plan = QUOTA_PLANS[subscription] ? subscription : 'free';
+  userPlanCache.set(uid, { plan, cachedAt: Date.now() });
+  return plan;
+}
+
+/**
+ * Create the error thrown when a quota is used up
+ *
+ * @param {number} statusCode - 402 for monthly limits, 429 for the per-minute limit
+ * @param {string} message - Explanation shown to the user
+ * @param {Object} quota - { plan, metric, used, limit, resetsAt }
+ * @returns {Error} Error with `statusCode` and `quota` properties
+ */
+function quotaError(statusCode, message, quota) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.quota = quota;
+  return error;
+}
+
+/**
+ * Check a user's quotas before accepting a generation
+ *
+ * Queued and running generations count as calls already, and their estimated
+ * usage counts towards the other limits, so a burst of requests can't
+ * overshoot the monthly limits. The per-minute slot is taken before anything
+ * is awaited, so parallel requests can't all slip under the burst limit. A
+ * fallback belongs to a call that was already counted, so only the usage
+ * limits are checked for it.
+ *
+ * @param {string} uid - Firebase uid
+ * @param {string} model - Model ID being requested
+ * @param {string|null} [type] - Model type from resolveModelRoute
+ * @param {Object} [options]
+ * @param {boolean} [options.fallback=false] - Checking a fallback model of an accepted generation
+ * @returns {Promise<void>}
+ * @throws {Error} quotaError with statusCode 402 or 429
+ */
+async function checkGenerationQuota(uid, model, type = null, { fallback = false } = {}) {
+  const plan = await getUserPlan(uid);
+  const limits = QUOTA_PLANS[plan];
+
+  // Short-term burst limit
+  const now = Date.now();
+  const recent = (quotaBursts.get(uid) || []).filter(timestamp => timestamp > now - 60 * 1000);
+  if (!fallback && limits.callsPerMinute !== null && recent.length >= limits.callsPerMinute) {
+    const retryAfter = Math.max(1, Math.ceil((recent[0] + 60 * 1000 - now) / 1000));
+    throw quotaError(429, `Too many generations - the ${plan} plan allows ${limits.callsPerMinute} per minute. Try again in ${retryAfter}s.`, {
+      plan, metric: 'callsPerMinute', used: recent.length, limit: limits.callsPerMinute, retryAfter
+    });
+  }
+  if (!fallback) {
+    recent.push(now);
+    quotaBursts.set(uid, recent);
+  }
+
+  // Monthly plan limits
+  const used = await getUsageRecord(uid, getUsagePeriod());
+  const inFlight = getInFlightUsage(uid);
+  const pricing = getModelPricing(model, type);
+  const checks = [
+    ...(fallback ? [] : [{ metric: 'calls', used: used.calls + inFlight.calls, label: 'generations' }]),
+    { metric: 'tokens', used: used.tokens + inFlight.tokens, label: 'tokens' },
+    { metric: 'cost', used: used.cost + inFlight.cost, label: 'estimated spend' },
+    ...(pricing.type === 'image' ? [{ metric: 'images', used: used.images + inFlight.images, label: 'images' }] : []),
+    ...(pricing.type === 'video' ? [{ metric: 'videoSeconds', used: used.videoSeconds + inFlight.videoSeconds, label: 'video seconds' }] : [])
+  ];
+  for (const check of checks) {
+    const limit = limits[check.metric];
+    if (limit !== null && limit !== undefined && check.used >= limit) {
+      if (!fallback) {
+        // Refused generations don't use up the per-minute allowance
+        const bursts = quotaBursts.get(uid) || [];
+        const index = bursts.indexOf(now);
+        if (index !== -1) bursts.splice(index, 1);
       }
-      
-      // Sora 2 uses the /videos endpoint
-      // According to OpenAI docs: https://platform.openai.com/docs/guides/video-generation
-      // We'll create the video job and poll for completion
-      const requestData = JSON.stringify({
-        model: 'sora-2',
-        prompt: prompt,
-        size: '1280x720', // Default resolution (can be 1280x720, 1920x1080, etc.)
-        seconds: 8 // Default duration (can be 5-60 seconds)
+      throw quotaError(402, `Monthly ${check.label} limit reached for the ${plan} plan (${Math.round(check.used * 100) / 100} / ${limit}). Upgrade your plan or wait until the quota resets.`, {
+        plan, metric: check.metric, used: check.used, limit, resetsAt: getUsagePeriodEnd()
+      });
+    }
+  }
+}
+
+/**
+ * Add up the estimated usage of a user's queued and running generations
+ *
+ * @param {string} uid - Firebase uid
+ * @returns {{calls: number, tokens: number, cost: number, images: number, videoSeconds: number}}
+ */
+function getInFlightUsage(uid) {
+  const usage = { calls: 0, tokens: 0, cost: 0, images: 0, videoSeconds: 0 };
+  for (const job of generationQueue.jobs.values()) {
+    if (job.uid !== uid) continue;
+    usage.calls++;
+    usage.tokens += job.estimatedUsage.tokens;
+    usage.cost += job.estimatedUsage.cost;
+    usage.images += job.estimatedUsage.images;
+    usage.videoSeconds += job.estimatedUsage.videoSeconds;
+  }
+  return usage;
+}
+
+/**
+ * Record a generation's usage once its job succeeds (failed and cancelled jobs are free)
+ *
+ * The priced usage is also kept on `job.usagePromise` so the route can return
+ * it with the result. Tasks store what the provider reported on `job.reportedUsage`
+ * and the model that answered (after any fallback) on `job.answeredModel`.
+ *
+ * @param {Object} job - Job from enqueueGeneration
+ * @param {string} prompt - Prompt sent to the model
+ * @returns {Promise<Object|null>} The usage, or null if the job failed
+ */
+function recordGenerationUsage(job, prompt) {
+  job.usagePromise = job.promise.then(
+    async (output) => {
+      // Price the model that answered, which may be a fallback
+      const model = job.answeredModel || job.model;
+      const usage = estimateGenerationUsage(model, prompt, output, {
+        reported: job.reportedUsage,
+        type: job.type,
+        rate: await getAdminModelRate(model)
       });
-      
-      // Create video generation job
-      return new Promise((resolve, reject) => {
-        const options = {
-          hostname: 'api.openai.com',
-          port: 443,
-          path: '/v1/videos',
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${openaiApiKey}`,
-            'Content-Type': 'application/json',
-            'Content-Length': Buffer.byteLength(requestData)
-          }
-        };
-        
-        const req = https.request(options, (res) => {
-          let responseData = '';
-          res.on('data', (chunk) => {
-            responseData += chunk;
-          });
-          res.on('end', () => {
-            if (res.statusCode >= 400) {
-              reject(new Error(`OpenAI API Error ${res.statusCode}: ${responseData.substring(0, 200)}`));
-              return;
-            }
-            
-            try {
-              const parsed = JSON.parse(responseData);
-              // Sora 2 returns a job object with id and status
-              if (parsed.id) {
-                // Poll for job completion
-                pollVideoJobStatus(parsed.id, openaiApiKey, resolve, reject);
-              } else {
-                reject(new Error('Invalid response from OpenAI: missing job ID'));
-              }
-            } catch (error) {
-              reject(new Error(`Invalid JSON response: ${responseData.substring(0, 200)}`));
-            }
-          });
-        });
-        
-        req.on('error', (error) => {
-          reject(error);
-        });
-        
-        req.write(requestData);
-        req.end();
+      await addUsage(job.uid, getUsagePeriod(), usage)
+        .catch(dbError => console.error(`❌ Could not record usage for job ${job.id}:`, dbError.message));
+      return usage;
+    },
+    () => null
+  );
+  return job.usagePromise;
+}
+
+/**
+ * Build the generation cache key for a request
+ *
+ * Keys are per user, so a cached answer is never served to anyone else, and
+ * cover everything that changes the output: the model, the temperature, the
+ * prompt after references were resolved and the media options.
+ *
+ * @param {string} uid - Firebase uid
+ * @param {string} model - Requested model ID
+ * @param {number} temperature - Sampling temperature
+ * @param {string} prompt - Fully resolved prompt
+ * @param {Object} [options] - Media options (voice, size, quality)
+ * @returns {string} Hex SHA-256 digest
+ */
+function getGenerationCacheKey(uid, model, temperature, prompt, options) {
+  const sortedOptions = Object.keys(options || {}).sort()
+    .map(name => [name, options[name]]);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([uid, model, temperature, prompt, sortedOptions]))
+    .digest('hex');
+}
+
+/**
+ * Usage reported for a cache hit - nothing was generated, so nothing is charged
+ *
+ * @param {string} model - Model that produced the cached output
+ * @returns {Object} Zeroed usage in the estimateGenerationUsage shape, flagged `cached`
+ */
+function cachedGenerationUsage(model) {
+  return { model, promptTokens: 0, completionTokens: 0, tokens: 0, images: 0, videoSeconds: 0, cost: 0, estimated: false, cached: true };
+}
+
+/**
+ * Cache a finished generation once its job succeeds. Failures are only logged:
+ * the generation itself already went through.
+ *
+ * @param {Object} job - Job from enqueueGeneration
+ * @param {string} cacheKey - Key from getGenerationCacheKey
+ */
+function cacheGenerationResult(job, cacheKey) {
+  job.promise.then(
+    output => saveCachedGeneration({
+      cacheKey,
+      uid: job.uid,
+      model: job.answeredModel || job.model,
+      output
+    }).catch(dbError => console.error(`❌ Could not cache generation for job ${job.id}:`, dbError.message)),
+    () => {}
+  );
+}
+
+/**
+ * Price a batch of prompts before they run (the dry run behind runAll's estimate)
+ *
+ * Only the input is known ahead of time, so text is priced on its prompt tokens
+ * plus an answer of ESTIMATED_COMPLETION_TOKENS; media is priced per image or
+ * video second as usual.
+ *
+ * @param {Array<{model: string, prompt: string}>} items - Prompts about to be generated
+ * @returns {Promise<Array<Object>>} One estimateGenerationUsage result per item
+ */
+async function estimatePromptCosts(items) {
+  const pricing = new Map();
+  const estimates = [];
+  for (const { model, prompt } of items) {
+    if (!pricing.has(model)) {
+      const route = await resolveModelRoute(model).catch(() => null);
+      pricing.set(model, {
+        rate: await getAdminModelRate(model),
+        type: route ? route.type : null,
+        expectedCompletionTokens: ESTIMATED_COMPLETION_TOKENS
       });
-      
-    } else if (isImageModel) {
-      // Image generation via Fal.ai
-      
-      // Get Fal.ai API key from environment variables
-      const falApiKey = process.env.FAL_AI_API_KEY;
-      if (!falApiKey) {
-        throw new Error('Fal.ai API key is required for image generation. Please configure FAL_AI_API_KEY in Railway.');
-      }
-      
-      // Convert sanitized model ID back to original format for Fal.ai
-      const originalModelId = await getOriginalModelId(model);
-      
-      // Image models expect prompt at root level, not in input object
-      const response = await makeAPIRequest('fal-ai', `/${originalModelId}`, {
-        prompt: prompt,
-        num_inference_steps: 20,
-        guidance_scale: 7.5
-      }, falApiKey);
-      
-      // Return the image URL
-      return response.images?.[0]?.url || response.data?.[0]?.url || 'No image generated';
-      
-    } else if (isTextModel) {
-      // Text generation via OpenRouter
-      
-      // Get OpenRouter API key from environment variables
-      const openRouterApiKey = process.env.OPENROUTER_API_KEY;
-      if (!openRouterApiKey) {
-        throw new Error('OpenRouter API key is required for text generation. Please configure OPENROUTER_API_KEY in Railway.');
-      }
-      
-      // Convert sanitized model ID back to original format for OpenRouter
-      const originalModelId = await getOriginalModelId(model);
-      console.log(`🤖 Text generation - Original model ID: ${originalModelId}`);
-      
-      // Text generation via OpenRouter
-      const response = await makeAPIRequest('openrouter', '/chat/completions', {
-        model: originalModelId,
-        messages: [
-          { role: 'user', content: prompt }
-        ],
-        temperature: temperature,
-        max_tokens: 2000
-      }, openRouterApiKey);
-      
-      return response.choices?.[0]?.message?.content || 'No response generated';
-      
-    } else {
-      // Default to text generation via OpenRouter
-      
-      const openRouterApiKey = process.env.OPENROUTER_API_KEY;
-      if (!openRouterApiKey) {
-        throw new Error('OpenRouter API key is required for text generation. Please configure OPENROUTER_API_KEY in Railway.');
-      }
-      
-      const originalModelId = await getOriginalModelId(model);
-      
-      const response = await makeAPIRequest('openrouter', '/chat/completions', {
-        model: originalModelId,
-        messages: [
-          { role: 'user', content: prompt }
-        ],
-        temperature: temperature,
-        max_tokens: 2000
-      }, openRouterApiKey);
-      
-      return response.choices?.[0]?.message?.content || 'No response generated';
     }
-    
-  } catch (error) {
-    throw error;
+    estimates.push(estimateGenerationUsage(model, prompt, '', pricing.get(model)));
   }
+  return estimates;
 }
 
+/**
+ * Build the usage document shown in the Usage modal
+ *
+ * @param {string} uid - Firebase uid
+ * @returns {Promise<Object>} { plan, period, resetsAt, usage, limits }
+ */
+async function getUsageDocument(uid) {
+  const plan = await getUserPlan(uid);
+  return {
+    plan,
+    period: getUsagePeriod(),
+    resetsAt: getUsagePeriodEnd(),
+    usage: await getUsageRecord(uid, getUsagePeriod()),
+    limits: QUOTA_PLANS[plan]
+  };
+}
+
+/**
+ * Answer a request that hit a quota (402 monthly limit, 429 per-minute limit)
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} err - Error from checkGenerationQuota
+ */
+function sendQuotaError(res, err) {
+  res.statusCode = err.statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  if (err.quota.retryAfter) {
+    res.setHeader('Retry-After', String(err.quota.retryAfter));
+  }
+  res.end(JSON.stringify({ error: err.message, quota: err.quota, status: err.statusCode }));
+}
 
 /**
  * Resolve a request URL to a file path on disk. Defaults to index.html for the root.
@@ -1411,93 +3646,404 @@ window.storage = storage;`;
       } catch (error) {
         res.statusCode = 500;
         res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ error: error.message }));
+        res.end(JSON.stringify({ error: error.message }));
+      }
+    });
+    return;
+  }
+
+  if (req.url.startsWith('/api/sheets/') && req.method === 'DELETE') {
+    try {
+      const sheetId = parseInt(req.url.split('/')[3]);
+      await deleteSheet(sheetId);
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ success: true }));
+    } catch (error) {
+      res.statusCode = 500;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ error: error.message }));
+    }
+    return;
+  }
+
+  if (req.url.startsWith('/api/sheets/') && req.method === 'PUT') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      try {
+        const sheetId = parseInt(req.url.split('/')[3]);
+        const data = JSON.parse(body);
+        await renameSheet(sheetId, data.name);
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ success: true }));
+      } catch (error) {
+        res.statusCode = 500;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error: error.message }));
+      }
+    });
+    return;
+  }
+
+  if (req.url === '/api/save-cell' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      try {
+        const data = JSON.parse(body);
+        await saveCell(
+          data.sheetId, 
+          data.cellId, 
+          data.prompt, 
+          data.output, 
+          data.model || 'gpt-3.5-turbo', 
+          data.temperature ?? 0.7
+        );
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ success: true }));
+      } catch (error) {
+        res.statusCode = 500;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error: error.message }));
+      }
+    });
+    return;
+  }
+
+  if (req.url === '/api/update-sheet-dimensions' && req.method === 'POST') {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      try {
+        const data = JSON.parse(body);
+        await updateSheetDimensions(data.sheetId, data.numRows, data.numCols);
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ success: true }));
+      } catch (error) {
+        res.statusCode = 500;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ error: error.message }));
+      }
+    });
+    return;
+  }
+
+  // Which providers have an API key - the keys themselves never leave the server
+  if (req.method === 'GET' && req.url === '/api/providers/status') {
+    try {
+      await authenticateRequest(req);
+    } catch (authError) {
+      handleError(res, 401, 'Authentication required. Please sign in again.');
+      return;
+    }
+
+    try {
+      const status = await getProviderKeyStatus();
+      const providers = {};
+      Object.entries(status).forEach(([provider, info]) => {
+        providers[provider] = { configured: info.configured };
+      });
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ providers }));
+    } catch (err) {
+      handleError(res, 500, 'Failed to read provider status', err);
+    }
+    return;
+  }
+
+  // Admin key management - GET lists providers, POST /api/admin/keys/:provider
+  // sets or rotates a key, POST /api/admin/keys/:provider/clear removes it
+  if (req.url === '/api/admin/keys' || req.url.startsWith('/api/admin/keys/')) {
+    let admin;
+    try {
+      admin = await authenticateAdminRequest(req);
+    } catch (authError) {
+      if (authError.message === 'Admin access required') {
+        handleError(res, 403, 'Admin access required');
+      } else {
+        handleError(res, 401, 'Authentication required. Please sign in again.');
+      }
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/api/admin/keys') {
+      try {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ providers: await getProviderKeyStatus(), vaultEnabled: Boolean(KEY_VAULT_SECRET) }));
+      } catch (err) {
+        handleError(res, 500, 'Failed to read provider keys', err);
+      }
+      return;
+    }
+
+    const keyMatch = req.url.match(/^\/api\/admin\/keys\/([^\/?]+)(\/clear)?$/);
+    if (!keyMatch || req.method !== 'POST') {
+      handleError(res, keyMatch ? 405 : 404, keyMatch ? 'Method not allowed' : 'Not found');
+      return;
+    }
+
+    const provider = decodeURIComponent(keyMatch[1]);
+    if (!VAULT_PROVIDERS[provider]) {
+      handleError(res, 404, `Unknown provider: ${provider}`);
+      return;
+    }
+    if (!KEY_VAULT_SECRET) {
+      handleError(res, 503, 'Key vault is not configured. Set KEY_VAULT_SECRET on the server.');
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 1e4) req.connection.destroy();
+    });
+    req.on('end', async () => {
+      try {
+        if (keyMatch[2]) {
+          await deleteProviderKey(provider);
+          console.log(`🔑 ${VAULT_PROVIDERS[provider].name} key removed from the vault by ${admin.uid}`);
+        } else {
+          const data = JSON.parse(body || '{}');
+          const apiKey = typeof data.apiKey === 'string' ? data.apiKey.trim() : '';
+          if (!apiKey) {
+            handleError(res, 400, 'apiKey is required');
+            return;
+          }
+          await saveProviderKey(provider, apiKey, admin.uid);
+          console.log(`🔑 ${VAULT_PROVIDERS[provider].name} key stored in the vault by ${admin.uid}`);
+        }
+
+        const status = await getProviderKeyStatus();
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ provider, ...status[provider] }));
+      } catch (err) {
+        if (err instanceof SyntaxError) {
+          handleError(res, 400, 'Invalid JSON in request body');
+        } else {
+          handleError(res, 500, 'Failed to update provider key', err);
+        }
+      }
+    });
+    return;
+  }
+
+  // Admin role management - POST /api/admin/users/:uid/role grants or revokes
+  // the admin custom claim ({ role: 'admin' | 'user' })
+  const roleMatch = req.url.match(/^\/api\/admin\/users\/([^\/?]+)\/role$/);
+  if (roleMatch) {
+    let admin;
+    try {
+      admin = await authenticateAdminRequest(req);
+    } catch (authError) {
+      if (authError.message === 'Admin access required') {
+        handleError(res, 403, 'Admin access required');
+      } else {
+        handleError(res, 401, 'Authentication required. Please sign in again.');
+      }
+      return;
+    }
+    if (req.method !== 'POST') {
+      handleError(res, 405, 'Method not allowed');
+      return;
+    }
+
+    const targetUid = decodeURIComponent(roleMatch[1]);
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 1e4) req.connection.destroy();
+    });
+    req.on('end', async () => {
+      try {
+        const data = JSON.parse(body || '{}');
+        if (!['admin', 'user'].includes(data.role)) {
+          handleError(res, 400, "role must be 'admin' or 'user'");
+          return;
+        }
+        await setUserAdminClaim(targetUid, data.role === 'admin');
+        console.log(`🛡️ ${targetUid} set to ${data.role} by ${admin.uid}`);
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ uid: targetUid, role: data.role }));
+      } catch (err) {
+        if (err instanceof SyntaxError) {
+          handleError(res, 400, 'Invalid JSON in request body');
+        } else if (err.code === 'auth/user-not-found') {
+          handleError(res, 404, 'User not found');
+        } else {
+          handleError(res, 500, 'Failed to update user role', err);
+        }
+      }
+    });
+    return;
+  }
+
+  // Admin endpoint management - POST /api/admin/endpoints/:provider sets the
+  // base URL of a self-hosted provider, POST .../clear removes it
+  const endpointMatch = req.url.match(/^\/api\/admin\/endpoints\/([^\/?]+)(\/clear)?$/);
+  if (endpointMatch) {
+    let admin;
+    try {
+      admin = await authenticateAdminRequest(req);
+    } catch (authError) {
+      if (authError.message === 'Admin access required') {
+        handleError(res, 403, 'Admin access required');
+      } else {
+        handleError(res, 401, 'Authentication required. Please sign in again.');
+      }
+      return;
+    }
+
+    const provider = decodeURIComponent(endpointMatch[1]);
+    if (!MODEL_PROVIDERS[provider] || !MODEL_PROVIDERS[provider].configurableBaseUrl) {
+      handleError(res, 404, `Provider ${provider} has no configurable base URL`);
+      return;
+    }
+    if (req.method !== 'POST') {
+      handleError(res, 405, 'Method not allowed');
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 1e4) req.connection.destroy();
+    });
+    req.on('end', async () => {
+      try {
+        if (endpointMatch[2]) {
+          await deleteProviderEndpoint(provider);
+          console.log(`🔌 ${MODEL_PROVIDERS[provider].name} base URL removed by ${admin.uid}`);
+        } else {
+          const data = JSON.parse(body || '{}');
+          let baseUrl;
+          try {
+            baseUrl = validateProviderBaseUrl(typeof data.baseUrl === 'string' ? data.baseUrl.trim() : '');
+          } catch (urlError) {
+            handleError(res, 400, urlError.message);
+            return;
+          }
+          await saveProviderEndpoint(provider, baseUrl, admin.uid);
+          console.log(`🔌 ${MODEL_PROVIDERS[provider].name} base URL set to ${baseUrl} by ${admin.uid}`);
+        }
+
+        // Rediscover models on the next /api/models, trying the new endpoint straight away
+        modelsCacheTime = 0;
+        localModelsUnavailableUntil = 0;
+        const localModels = await fetchLocalModels();
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ provider, baseUrl: await getProviderBaseUrl(provider), models: localModels.map(m => m.id) }));
+      } catch (err) {
+        if (err instanceof SyntaxError) {
+          handleError(res, 400, 'Invalid JSON in request body');
+        } else {
+          handleError(res, 500, 'Failed to update provider endpoint', err);
+        }
       }
     });
     return;
   }
 
-  if (req.url.startsWith('/api/sheets/') && req.method === 'DELETE') {
+  // Usage document for the signed-in user: this month's totals and plan limits
+  if (req.method === 'GET' && req.url === '/api/usage') {
+    let user;
+    try {
+      user = await authenticateRequest(req);
+    } catch (authError) {
+      handleError(res, 401, 'Authentication required. Please sign in again.');
+      return;
+    }
+
     try {
-      const sheetId = parseInt(req.url.split('/')[3]);
-      await deleteSheet(sheetId);
       res.statusCode = 200;
       res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({ success: true }));
-    } catch (error) {
-      res.statusCode = 500;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({ error: error.message }));
+      res.end(JSON.stringify(await getUsageDocument(user.uid)));
+    } catch (err) {
+      handleError(res, 500, 'Failed to read usage', err);
     }
     return;
   }
 
-  if (req.url.startsWith('/api/sheets/') && req.method === 'PUT') {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', async () => {
-      try {
-        const sheetId = parseInt(req.url.split('/')[3]);
-        const data = JSON.parse(body);
-        await renameSheet(sheetId, data.name);
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ success: true }));
-      } catch (error) {
-        res.statusCode = 500;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ error: error.message }));
-      }
-    });
-    return;
-  }
+  // Cost estimate for a batch of prompts, shown before runAll and dependency chains
+  if (req.method === 'POST' && req.url === '/api/estimate') {
+    try {
+      await authenticateRequest(req);
+    } catch (authError) {
+      handleError(res, 401, 'Authentication required. Please sign in again.');
+      return;
+    }
 
-  if (req.url === '/api/save-cell' && req.method === 'POST') {
     let body = '';
-    req.on('data', chunk => { body += chunk; });
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 1e7) req.connection.destroy();
+    });
     req.on('end', async () => {
       try {
-        const data = JSON.parse(body);
-        await saveCell(
-          data.sheetId, 
-          data.cellId, 
-          data.prompt, 
-          data.output, 
-          data.model || 'gpt-3.5-turbo', 
-          data.temperature || 0.7
-        );
+        const data = JSON.parse(body || '{}');
+        const isEntry = item => item && typeof item === 'object' && typeof item.model === 'string' && typeof item.prompt === 'string';
+        if (!Array.isArray(data.items) || data.items.length > 1000 || !data.items.every(isEntry)) {
+          handleError(res, 400, 'items must be an array of up to 1000 { model, prompt } entries');
+          return;
+        }
+
+        const items = data.items.map(({ model, prompt }) => ({ model, prompt }));
         res.statusCode = 200;
         res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ success: true }));
-      } catch (error) {
-        res.statusCode = 500;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ error: error.message }));
+        res.end(JSON.stringify({ estimates: await estimatePromptCosts(items) }));
+      } catch (err) {
+        if (err instanceof SyntaxError) {
+          handleError(res, 400, 'Invalid JSON in request body');
+        } else {
+          handleError(res, 500, 'Failed to estimate cost', err);
+        }
       }
     });
     return;
   }
 
-  if (req.url === '/api/update-sheet-dimensions' && req.method === 'POST') {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', async () => {
-      try {
-        const data = JSON.parse(body);
-        await updateSheetDimensions(data.sheetId, data.numRows, data.numCols);
-        res.statusCode = 200;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ success: true }));
-      } catch (error) {
-        res.statusCode = 500;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ error: error.message }));
+  // Queue status for the signed-in user's pending and running generations
+  if (req.method === 'GET' && req.url === '/api/queue') {
+    let user;
+    try {
+      user = await authenticateRequest(req);
+    } catch (authError) {
+      handleError(res, 401, 'Authentication required. Please sign in again.');
+      return;
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      jobs: getUserQueueStatus(user.uid),
+      limits: {
+        perUser: QUEUE_USER_CONCURRENCY,
+        maxPendingPerUser: QUEUE_MAX_PENDING_PER_USER,
+        perProvider: QUEUE_PROVIDER_CONCURRENCY
       }
-    });
+    }));
     return;
   }
 
   if (req.method === 'POST' && req.url === '/api/llm') {
+    // Every generation must be tied to a signed-in Firebase user
+    let user;
+    try {
+      user = await authenticateRequest(req);
+    } catch (authError) {
+      console.log(`🚫 Rejected unauthenticated /api/llm request from ${clientIP}: ${authError.message}`);
+      handleError(res, 401, 'Authentication required. Please sign in again.');
+      return;
+    }
+
     let body = '';
     req.on('data', chunk => {
       body += chunk;
@@ -1506,18 +4052,6 @@ window.storage = storage;`;
     });
     req.on('end', async () => {
       try {
-        // Circuit breaker - prevent multiple concurrent API requests
-        if (apiRequestInProgress) {
-          console.log(`🚫 API request already in progress, rejecting new request`);
-          res.statusCode = 429;
-          res.setHeader('Content-Type', 'application/json');
-          res.end(JSON.stringify({ error: 'API request already in progress. Please wait.' }));
-          return;
-        }
-        
-        apiRequestInProgress = true;
-        console.log(`🔒 Circuit breaker: API request started`);
-        
         // Parse request body
         let data;
         try {
@@ -1527,13 +4061,16 @@ window.storage = storage;`;
           res.setHeader('Content-Type', 'application/json');
           res.setHeader('Access-Control-Allow-Origin', '*');
           res.end(JSON.stringify({ error: 'Invalid JSON in request body', details: parseError.message }));
-          apiRequestInProgress = false;
           return;
         }
         
-        const prompt = data.prompt || '';
+        // Conversation cells send their turns; the flattened text stands in for
+        // the prompt when pricing, caching and logging
+        const messages = data.messages ? normalizeChatMessages(data.messages) : null;
+        const prompt = messages ? flattenChatMessages(messages) : (data.prompt || '');
         const model = data.model || 'gpt-3.5-turbo';
-        const temperature = data.temperature || 0.7;
+        // 0 is a valid (deterministic) temperature
+        const temperature = typeof data.temperature === 'number' ? data.temperature : 0.7;
         
         // Validate required fields
         if (!prompt || prompt.trim() === '') {
@@ -1541,31 +4078,129 @@ window.storage = storage;`;
           res.setHeader('Content-Type', 'application/json');
           res.setHeader('Access-Control-Allow-Origin', '*');
           res.end(JSON.stringify({ error: 'Prompt is required' }));
-          apiRequestInProgress = false;
           return;
         }
         
-        console.log(`🚀 API Request - Model: ${model}, Prompt: ${prompt.substring(0, 50)}...`);
+        console.log(`🚀 API Request - User: ${user.uid}, Model: ${model}, Prompt: ${prompt.substring(0, 50)}...`);
+        
+        // Find the adapter for the model's declared provider and type
+        const route = await resolveModelRoute(model);
+        
+        // Structured output: the answer must be JSON matching this schema
+        const responseSchema = data.responseSchema || null;
+        if (responseSchema) {
+          if (typeof responseSchema !== 'object' || Array.isArray(responseSchema)) {
+            handleError(res, 400, 'Invalid response schema: expected a JSON Schema object');
+            return;
+          }
+          const schemaProblems = checkResponseSchema(responseSchema);
+          if (schemaProblems.length > 0) {
+            handleError(res, 400, `Invalid response schema: ${schemaProblems.slice(0, 5).join('; ')}`);
+            return;
+          }
+          if (route.type !== 'text') {
+            handleError(res, 400, `Structured output is only available for text models (got ${model})`);
+            return;
+          }
+        }
+        if (messages && route.type !== 'text') {
+          handleError(res, 400, `Conversations are only available for text models (got ${model})`);
+          return;
+        }
+        
+        // Opt-in cache: an identical earlier request is answered for free,
+        // without touching the quota or the queue
+        const cacheKey = data.cache === true && route.type !== 'video'
+          ? getGenerationCacheKey(user.uid, model, temperature, prompt, responseSchema ? { ...data.options, responseSchema } : data.options)
+          : null;
+        const cached = cacheKey ? await getCachedGeneration(cacheKey) : null;
+        if (cached) {
+          console.log(`⚡ Cache hit for user ${user.uid} on ${model}`);
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({
+            text: cached.output,
+            json: responseSchema ? JSON.parse(cached.output) : undefined,
+            model: cached.model,
+            usage: cachedGenerationUsage(cached.model),
+            cached: true,
+            queue: { position: 0, waitedMs: 0 }
+          }));
+          return;
+        }
+        
+        // Enforce the user's plan quotas before spending anything
+        await checkGenerationQuota(user.uid, model, route.type);
+        
+        // Queue the generation - jobs are scheduled fairly across users and
+        // capped per provider, instead of one global request at a time
+        const job = enqueueGeneration({
+          uid: user.uid,
+          provider: route.provider,
+          model,
+          type: route.type,
+          prompt,
+          requestId: data.requestId,
+          task: (signal, queuedJob) => (responseSchema ? runStructuredGeneration : runProviderGeneration)(route, {
+            prompt,
+            messages,
+            temperature,
+            options: data.options,
+            responseSchema,
+            uid: user.uid,
+            signal,
+            onUsage: (reported) => { queuedJob.reportedUsage = reported; },
+            onAnswer: (answered) => { queuedJob.answeredModel = answered.model; },
+            job: queuedJob,
+            mediaBaseUrl: getRequestOrigin(req)
+          })
+        });
+        recordGenerationUsage(job, prompt);
+        if (cacheKey) {
+          cacheGenerationResult(job, cacheKey);
+        }
+        const initialPosition = getQueuePosition(job.id);
+        console.log(`📥 Queued job ${job.id} for user ${user.uid} on ${job.provider} (position ${initialPosition})`);
+        
+        // Drop the job (or abort the upstream request) if the client goes away
+        res.on('close', () => {
+          if (!res.writableEnded) {
+            cancelGeneration(job.id);
+          }
+        });
         
-        // Call Hybrid AI API (Fal.ai for images, OpenRouter for text)
-        const responseText = await callHybridAI(model, prompt, temperature);
+        const responseText = await job.promise;
+        const usage = await job.usagePromise;
         
         console.log(`✅ AI Generation Success - Response: ${responseText.substring(0, 100)}...`);
         
         res.statusCode = 200;
         res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({ text: responseText }));
-        
-        // Reset circuit breaker on success
-        apiRequestInProgress = false;
-        console.log(`🔓 Circuit breaker: API request completed successfully`);
+        res.end(JSON.stringify({
+          text: responseText,
+          // The parsed object for structured output
+          json: responseSchema ? JSON.parse(responseText) : undefined,
+          // Differs from the requested model when a fallback answered
+          model: job.answeredModel || model,
+          usage,
+          queue: {
+            position: initialPosition,
+            waitedMs: (job.startedAt || Date.now()) - job.queuedAt
+          }
+        }));
       } catch (err) {
-        console.log(`❌ AI Generation Error:`, err.message);
+        console.log(`❌ AI Generation Error (user ${user.uid}):`, err.message);
         console.log(`❌ Error Stack:`, err.stack);
         
-        // Reset circuit breaker on error
-        apiRequestInProgress = false;
-        console.log(`🔓 Circuit breaker: API request failed, resetting`);
+        // Nothing to answer if the client already disconnected
+        if (res.writableEnded || res.destroyed) {
+          return;
+        }
+        
+        if (err.quota) {
+          sendQuotaError(res, err);
+          return;
+        }
         
         // Handle different types of errors gracefully
         let errorMessage = err.message || 'An error occurred while processing your request';
@@ -1575,20 +4210,32 @@ window.storage = storage;`;
         if (err instanceof SyntaxError && err.message.includes('JSON')) {
           errorMessage = 'Invalid request format. Please check your request data.';
           statusCode = 400;
+        } else if (err.message.includes('queue is full')) {
+          errorMessage = err.message;
+          statusCode = 429;
+        } else if (err.message.includes('did not match the response schema')) {
+          // Every structured output attempt came back invalid
+          errorMessage = err.message;
+          statusCode = 422;
+        } else if (err.message.includes('provider adapter') || err.message.includes('Invalid generation option') || err.message.includes('Invalid messages')) {
+          // Model missing from the catalog, its provider/type has no adapter,
+          // a voice/size/quality the provider doesn't offer, or malformed conversation turns
+          errorMessage = err.message;
+          statusCode = 400;
+        } else if (err.message.includes('Generation cancelled') || err.message.includes('cancelled before it started')) {
+          errorMessage = 'Generation cancelled';
+          statusCode = 499; // Client Closed Request
         } else if (err.message.includes('Image URL is required') || err.message.includes('image-to-video')) {
           // Image-to-video model requires image URL
           errorMessage = err.message; // Use the detailed error message we created
           statusCode = 400;
         } else if (err.message.includes('API key') || err.message.includes('API configuration')) {
           // Provide more specific error message for API key issues
-          if (err.message.includes('Fal.ai')) {
-            errorMessage = 'Fal.ai API key is required. Please configure FAL_AI_API_KEY in your .env file or Railway environment variables.';
-          } else if (err.message.includes('OpenRouter')) {
-            errorMessage = 'OpenRouter API key is required. Please configure OPENROUTER_API_KEY in your .env file or Railway environment variables.';
-          } else if (err.message.includes('OpenAI')) {
-            errorMessage = 'OpenAI API key is required. Please configure OPENAI_API_KEY in your .env file or Railway environment variables.';
+          const keyProvider = err.message.match(/^(.+?) API key is required/);
+          if (keyProvider) {
+            errorMessage = `${keyProvider[1]} API key is required. Please ask an admin to add it in the admin dashboard.`;
           } else {
-            errorMessage = 'API configuration error. Please check your API keys in .env file or Railway environment variables.';
+            errorMessage = 'API configuration error. Please ask an admin to check the provider keys in the admin dashboard.';
           }
           statusCode = 400;
         } else if (err.message.includes('rate limit') || err.message.includes('429')) {
@@ -1614,6 +4261,365 @@ window.storage = storage;`;
     return;
   }
 
+  // Generated images and speech. Not authenticated: <img> and <audio> can't
+  // send the ID token, and the random IDs are only handed to their owner.
+  const mediaMatch = req.method === 'GET' && req.url.match(/^\/api\/media\/([\w-]+\.(png|mp3))$/);
+  if (mediaMatch) {
+    try {
+      const media = await getGeneratedMedia(mediaMatch[1]);
+      if (!media) {
+        handleError(res, 404, 'Media not found');
+        return;
+      }
+      res.statusCode = 200;
+      res.setHeader('Content-Type', media.mime_type);
+      res.setHeader('Content-Length', media.data.length);
+      res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+      res.end(media.data);
+    } catch (err) {
+      handleError(res, 500, 'Failed to load media', err);
+    }
+    return;
+  }
+
+  // Video jobs - POST creates a job and returns immediately; the result is
+  // stored server-side and fetched with GET /api/jobs/:id
+  if (req.url === '/api/jobs' || req.url.startsWith('/api/jobs/')) {
+    let user;
+    try {
+      user = await authenticateRequest(req);
+    } catch (authError) {
+      handleError(res, 401, 'Authentication required. Please sign in again.');
+      return;
+    }
+
+    if (req.method === 'POST' && req.url === '/api/jobs') {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > 1e7) req.connection.destroy();
+      });
+      req.on('end', async () => {
+        try {
+          const data = JSON.parse(body || '{}');
+          const prompt = data.prompt || '';
+          const model = data.model || '';
+          // 0 is a valid (deterministic) temperature
+          const temperature = typeof data.temperature === 'number' ? data.temperature : 0.7;
+
+          if (!prompt || prompt.trim() === '') {
+            handleError(res, 400, 'Prompt is required');
+            return;
+          }
+          const route = await resolveModelRoute(model);
+          if (route.type !== 'video') {
+            handleError(res, 400, `Jobs are only used for video models (got ${model || 'no model'})`);
+            return;
+          }
+
+          const jobId = data.requestId ? String(data.requestId) : `video-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+          if (generationQueue.jobs.has(jobId) || await getVideoJob(jobId)) {
+            handleError(res, 409, `Job ${jobId} already exists`);
+            return;
+          }
+
+          await checkGenerationQuota(user.uid, model, route.type);
+          await createVideoJob({ id: jobId, uid: user.uid, model, prompt, sheetId: data.sheetId, cellId: data.cellId });
+
+          let job;
+          try {
+            job = enqueueGeneration({
+              uid: user.uid,
+              provider: route.provider,
+              model,
+              type: route.type,
+              prompt,
+              requestId: jobId,
+              task: (signal, queuedJob) => {
+                updateVideoJob(jobId, { status: 'running' }).catch(() => {});
+                return runProviderGeneration(route, {
+                  prompt,
+                  temperature,
+                  uid: user.uid,
+                  signal,
+                  onProgress: (progress) => { updateVideoJob(jobId, { progress }).catch(() => {}); },
+                  onUsage: (reported) => { queuedJob.reportedUsage = reported; },
+                  onAnswer: (answered) => { queuedJob.answeredModel = answered.model; },
+                  job: queuedJob
+                });
+              }
+            });
+          } catch (queueError) {
+            // The row is already saved; don't leave it queued forever
+            await updateVideoJob(jobId, { status: 'failed', error: queueError.message }).catch(() => {});
+            throw queueError;
+          }
+
+          recordGenerationUsage(job, prompt);
+
+          job.promise
+            .then(async (result) => {
+              console.log(`🎬 Video job ${jobId} completed`);
+              const usage = await job.usagePromise;
+              return updateVideoJob(jobId, { status: 'completed', progress: 100, result, usage: JSON.stringify(usage) });
+            })
+            .catch((err) => {
+              const cancelled = err.message.includes('cancelled');
+              console.log(`${cancelled ? '🛑' : '❌'} Video job ${jobId} ${cancelled ? 'cancelled' : 'failed'}: ${err.message}`);
+              return updateVideoJob(jobId, { status: cancelled ? 'cancelled' : 'failed', error: err.message });
+            })
+            .catch(dbError => console.error(`❌ Could not record result for video job ${jobId}:`, dbError.message));
+
+          console.log(`🎬 Created video job ${jobId} for user ${user.uid} (${model})`);
+          res.statusCode = 202;
+          res.setHeader('Content-Type', 'application/json');
+          res.end(JSON.stringify({ job: { id: jobId, status: 'queued', progress: 0, position: getQueuePosition(jobId) } }));
+        } catch (err) {
+          if (err instanceof SyntaxError) {
+            handleError(res, 400, 'Invalid JSON in request body');
+          } else if (err.quota) {
+            sendQuotaError(res, err);
+          } else if (err.message.includes('queue is full')) {
+            handleError(res, 429, err.message);
+          } else if (err.message.includes('provider adapter')) {
+            handleError(res, 400, err.message);
+          } else {
+            handleError(res, 500, 'Failed to create video job', err);
+          }
+        }
+      });
+      return;
+    }
+
+    const jobMatch = req.url.match(/^\/api\/jobs\/([^\/?]+)(\/cancel)?$/);
+    if (!jobMatch) {
+      handleError(res, 404, 'Not found');
+      return;
+    }
+
+    const jobId = decodeURIComponent(jobMatch[1]);
+    try {
+      const record = await getVideoJob(jobId);
+      if (!record || record.uid !== user.uid) {
+        handleError(res, 404, `Job ${jobId} not found`);
+        return;
+      }
+
+      if (req.method === 'POST' && jobMatch[2]) {
+        const cancelled = cancelGeneration(jobId, user.uid);
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ cancelled }));
+        return;
+      }
+
+      if (req.method === 'GET' && !jobMatch[2]) {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          job: {
+            id: record.id,
+            model: record.model,
+            cellId: record.cell_id,
+            sheetId: record.sheet_id,
+            status: record.status,
+            progress: record.progress,
+            position: record.status === 'queued' ? getQueuePosition(record.id) : null,
+            result: record.result,
+            error: record.error,
+            usage: record.usage ? JSON.parse(record.usage) : null,
+            createdAt: record.created_at,
+            updatedAt: record.updated_at
+          }
+        }));
+        return;
+      }
+
+      handleError(res, 405, 'Method not allowed');
+    } catch (err) {
+      handleError(res, 500, 'Failed to read video job', err);
+    }
+    return;
+  }
+
+  // Cancel a queued or running generation by the requestId the client sent
+  if (req.method === 'POST' && req.url === '/api/llm/cancel') {
+    let user;
+    try {
+      user = await authenticateRequest(req);
+    } catch (authError) {
+      handleError(res, 401, 'Authentication required. Please sign in again.');
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 1e4) req.connection.destroy();
+    });
+    req.on('end', () => {
+      let data;
+      try {
+        data = JSON.parse(body || '{}');
+      } catch (parseError) {
+        handleError(res, 400, 'Invalid JSON in request body');
+        return;
+      }
+
+      const requestIds = Array.isArray(data.requestIds) ? data.requestIds : [data.requestId];
+      const cancelled = requestIds
+        .filter(Boolean)
+        .map(String)
+        .filter(requestId => cancelGeneration(requestId, user.uid));
+
+      console.log(`🛑 Cancel request from user ${user.uid}: ${cancelled.length}/${requestIds.length} generations cancelled`);
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ cancelled }));
+    });
+    return;
+  }
+
+  // Streaming text generation - relays OpenRouter tokens to the browser as SSE
+  if (req.method === 'POST' && req.url === '/api/llm/stream') {
+    let user;
+    try {
+      user = await authenticateRequest(req);
+    } catch (authError) {
+      console.log(`🚫 Rejected unauthenticated /api/llm/stream request from ${clientIP}: ${authError.message}`);
+      handleError(res, 401, 'Authentication required. Please sign in again.');
+      return;
+    }
+
+    // Client closed the stream (navigated away or pressed stop): drop the
+    // job if it is still queued, otherwise abort the upstream request
+    let job = null;
+    res.on('close', () => {
+      if (res.writableEnded) return;
+      console.log(`🛑 Stream closed by client (user ${user.uid})`);
+      if (job) cancelGeneration(job.id);
+    });
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      // Avoid overly large request bodies
+      if (body.length > 1e7) req.connection.destroy();
+    });
+    req.on('end', async () => {
+      let data;
+      try {
+        data = JSON.parse(body || '{}');
+      } catch (parseError) {
+        handleError(res, 400, 'Invalid JSON in request body');
+        return;
+      }
+
+      let messages = null;
+      try {
+        messages = data.messages ? normalizeChatMessages(data.messages) : null;
+      } catch (messagesError) {
+        handleError(res, 400, messagesError.message);
+        return;
+      }
+      const prompt = messages ? flattenChatMessages(messages) : (data.prompt || '');
+      const model = data.model || 'gpt-3.5-turbo';
+      // 0 is a valid (deterministic) temperature
+      const temperature = typeof data.temperature === 'number' ? data.temperature : 0.7;
+
+      if (!prompt || prompt.trim() === '') {
+        handleError(res, 400, 'Prompt is required');
+        return;
+      }
+      let cacheKey = null;
+      try {
+        const route = await resolveModelRoute(model);
+        if (route.type !== 'text') {
+          handleError(res, 400, `Streaming is only available for text models (got ${model})`);
+          return;
+        }
+
+        if (data.cache === true) {
+          cacheKey = getGenerationCacheKey(user.uid, model, temperature, prompt, data.options);
+          const cached = await getCachedGeneration(cacheKey);
+          if (cached) {
+            console.log(`⚡ Cache hit for user ${user.uid} on ${model} (stream)`);
+            res.statusCode = 200;
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            sendSSE(res, 'done', {
+              text: cached.output,
+              model: cached.model,
+              usage: cachedGenerationUsage(cached.model),
+              cached: true
+            });
+            res.end();
+            return;
+          }
+        }
+
+        await checkGenerationQuota(user.uid, model, route.type);
+        job = enqueueGeneration({
+          uid: user.uid,
+          provider: route.provider,
+          model,
+          type: route.type,
+          prompt,
+          requestId: data.requestId,
+          task: (signal, queuedJob) => runProviderGeneration(route, {
+            prompt,
+            messages,
+            temperature,
+            uid: user.uid,
+            signal,
+            onUsage: (reported) => { queuedJob.reportedUsage = reported; },
+            onAnswer: (answered) => { queuedJob.answeredModel = answered.model; },
+            job: queuedJob,
+            onToken: token => sendSSE(res, 'token', { text: token })
+          })
+        });
+      } catch (queueError) {
+        if (queueError.quota) {
+          sendQuotaError(res, queueError);
+        } else if (queueError.message.includes('provider adapter')) {
+          handleError(res, 400, queueError.message);
+        } else if (queueError.message.includes('queue is full')) {
+          handleError(res, 429, queueError.message);
+        } else {
+          handleError(res, 500, 'Failed to start generation', queueError);
+        }
+        return;
+      }
+      recordGenerationUsage(job, prompt);
+      if (cacheKey) {
+        cacheGenerationResult(job, cacheKey);
+      }
+
+      console.log(`🌊 Stream Request - User: ${user.uid}, Model: ${model}, Job: ${job.id}`);
+
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      sendSSE(res, 'queued', { id: job.id, position: getQueuePosition(job.id) });
+
+      job.promise
+        .then(async (text) => {
+          console.log(`✅ Stream complete for job ${job.id} (${text.length} chars)`);
+          sendSSE(res, 'done', { text, model: job.answeredModel || job.model, usage: await job.usagePromise });
+          res.end();
+        })
+        .catch((err) => {
+          console.log(`❌ Stream Error (user ${user.uid}, job ${job.id}):`, err.message);
+          sendSSE(res, 'error', { error: err.message });
+          res.end();
+        });
+    });
+
+    return;
+  }
+
   // Serve static files for GET requests
   if (req.method === 'GET' || req.method === 'HEAD') {
     const filePath = resolveFilePath(req.url);
@@ -1654,6 +4660,8 @@ async function startServer() {
     const firebaseResult = await initializeFirebase();
     if (firebaseResult === null) {
       console.log('⚠️ Firebase Admin SDK not initialized, but server will continue');
+    } else {
+      await grantConfiguredAdmins();
     }
     
     // Initialize local development mode
@@ -28,7 +28,7 @@ try {
   console.log('🚀 After applying these rules:');
   console.log('- Demo user will have full access');
   console.log('- Authenticated users will have access to their own data');
-  console.log('- Models and settings will be readable by all authenticated users');
+  console.log('- Models will be readable by all users; settings by admins only');
 } catch (error) {
   console.error('❌ Error reading rules file:', error.message);
 }